@@ -0,0 +1,139 @@
+/**
+ * Child Logger Benchmark
+ * Compares per-request child loggers built with winston.createLogger (the
+ * previous implementation) against prototype-linked children
+ * (src/utils/childLogger.js) for throughput and memory
+ *
+ * Usage: node --expose-gc scripts/benchmark-child-logger.js [requests]
+ */
+
+const { Writable } = require('stream');
+const winston = require('winston');
+const { createChildLogger } = require('../src/utils/childLogger');
+
+const REQUESTS = parseInt(process.argv[2], 10) || 20000;
+const LINES_PER_REQUEST = 3;
+
+const LEVELS = {
+  error: 0,
+  warn: 1,
+  info: 2,
+  http: 3,
+  debug: 4,
+  trace: 5,
+};
+
+/**
+ * Root logger with a transport that formats records and discards the output,
+ * so the benchmark measures the logger rather than disk I/O
+ */
+function createRootLogger() {
+  return winston.createLogger({
+    level: 'http',
+    levels: LEVELS,
+    format: winston.format.json(),
+    defaultMeta: { service: 'benchmark', pid: process.pid },
+    transports: [
+      new winston.transports.Stream({
+        stream: new Writable({
+          write(chunk, encoding, callback) {
+            callback();
+          },
+        }),
+      }),
+    ],
+  });
+}
+
+const strategies = {
+  // Previous implementation: a full winston logger (and pipe) per child
+  createLogger: (root, metadata) => winston.createLogger({
+    level: root.level,
+    levels: root.levels,
+    defaultMeta: { ...root.defaultMeta, ...metadata },
+    transports: root.transports,
+    exitOnError: false,
+  }),
+
+  // Current implementation
+  prototype: (root, metadata) => createChildLogger(root, metadata),
+};
+
+function heapUsed() {
+  if (global.gc) global.gc();
+  return process.memoryUsage().heapUsed;
+}
+
+async function runBenchmark(name) {
+  const root = createRootLogger();
+  const makeChild = strategies[name];
+  const transport = root.transports[0];
+
+  const heapBefore = heapUsed();
+  const start = process.hrtime.bigint();
+  let peakHeap = 0;
+
+  for (let i = 0; i < REQUESTS; i++) {
+    const requestLogger = makeChild(root, {
+      request_id: `req-${i}`,
+      trace_id: `trace-${i}`,
+      span_id: `span-${i}`,
+    });
+
+    requestLogger.http('Request started', { method: 'GET', url: '/api/users' });
+    requestLogger.info('Handling request', { step: 1 });
+    requestLogger.http('Request completed', { status_code: 200 });
+
+    if (i % 1000 === 0) {
+      peakHeap = Math.max(peakHeap, process.memoryUsage().heapUsed);
+    }
+  }
+
+  const elapsedMs = Number(process.hrtime.bigint() - start) / 1e6;
+
+  // Let transports emit their deferred 'logged' events before measuring
+  await new Promise((resolve) => setImmediate(resolve));
+  const heapAfter = heapUsed();
+
+  return {
+    name,
+    elapsedMs,
+    requestsPerSecond: REQUESTS / (elapsedMs / 1000),
+    linesPerSecond: (REQUESTS * LINES_PER_REQUEST) / (elapsedMs / 1000),
+    peakHeapGrowthMB: (peakHeap - heapBefore) / 1024 / 1024,
+    retainedMB: (heapAfter - heapBefore) / 1024 / 1024,
+    transportPipes: transport.listenerCount('unpipe'),
+  };
+}
+
+async function main() {
+  console.log('\n⏱️  Child Logger Benchmark');
+  console.log('='.repeat(60));
+  console.log(`Requests: ${REQUESTS} (${LINES_PER_REQUEST} lines each)`);
+  if (!global.gc) {
+    console.log('Tip: run with --expose-gc for accurate retained memory figures');
+  }
+
+  const results = [];
+  for (const name of Object.keys(strategies)) {
+    results.push(await runBenchmark(name));
+  }
+
+  for (const result of results) {
+    console.log(`\n📄 ${result.name}`);
+    console.log('-'.repeat(40));
+    console.log(`   Duration: ${result.elapsedMs.toFixed(0)} ms`);
+    console.log(`   Requests/sec: ${result.requestsPerSecond.toFixed(0)}`);
+    console.log(`   Lines/sec: ${result.linesPerSecond.toFixed(0)}`);
+    console.log(`   Peak heap growth: ${result.peakHeapGrowthMB.toFixed(2)} MB`);
+    console.log(`   Retained after run: ${result.retainedMB.toFixed(2)} MB`);
+    console.log(`   Pipes into shared transport: ${result.transportPipes}`);
+  }
+
+  const [legacy, current] = results;
+  console.log('\n' + '='.repeat(60));
+  console.log(`Throughput: ${(current.requestsPerSecond / legacy.requestsPerSecond).toFixed(1)}x`);
+  console.log(`Retained memory: ${legacy.retainedMB.toFixed(2)} MB -> ${current.retainedMB.toFixed(2)} MB\n`);
+}
+
+main().catch(console.error);
@@ -0,0 +1,170 @@
+/**
+ * Log Decryption Script
+ * Decrypt values written with the encrypt redaction strategy in a log or
+ * audit file (plain or .gz), for operators holding the encryption keys.
+ * JSON lines are decrypted field by field, other formats as text; values
+ * that cannot be decrypted (unknown key id, modified) are left as they are.
+ *
+ * Usage: LOG_ENCRYPTION_KEYS=... node scripts/decrypt-log.js [--fields email,deleted_email] [--json] <file>
+ * Exit code: 0 when every selected value was decrypted, 1 when some could not be, 2 on usage errors
+ */
+
+require('dotenv').config();
+
+const config = require('../src/config');
+const { readAuditLines } = require('../src/utils/auditLog');
+const { ENCRYPTED_PATTERN, createFieldCipher } = require('../src/utils/fieldEncryption');
+const { parseField, matchesField } = require('../src/utils/redaction');
+
+const WHOLE_TOKEN = /^\[ENC:[^\]]+\]$/;
+
+const USAGE = 'Usage: node scripts/decrypt-log.js [--fields a,b] [--json] <file>';
+
+function parseArgs(argv) {
+  const args = { fields: null, json: false, file: null };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--fields') {
+      const list = argv[++i];
+      args.fields = list === undefined ? [] : list.split(',').map((field) => field.trim()).filter(Boolean);
+      if (args.fields.length === 0) {
+        throw new Error(`--fields needs a list of fields\n${USAGE}`);
+      }
+    } else if (argv[i] === '--json') {
+      args.json = true;
+    } else if (argv[i].startsWith('--') || args.file) {
+      throw new Error(`Unknown argument: ${argv[i]}`);
+    } else {
+      args.file = argv[i];
+    }
+  }
+  if (!args.file) {
+    throw new Error(USAGE);
+  }
+  return args;
+}
+
+/**
+ * Create a decryptor counting what it did
+ * @param {Object} cipher - See fieldEncryption.js
+ * @param {string[]|null} fields - Fields whose values are decrypted (all when null),
+ *   matched like LOG_ENCRYPT_FIELDS: a key or the trailing keys of a path
+ */
+function createDecryptor(cipher, fields) {
+  const stats = { decrypted: 0, failed: 0, failures: {} };
+  const fieldRules = fields && fields.map(parseField);
+
+  const decryptToken = (token) => {
+    try {
+      const value = cipher.decrypt(token);
+      stats.decrypted++;
+      return { value };
+    } catch (error) {
+      stats.failed++;
+      stats.failures[error.message] = (stats.failures[error.message] || 0) + 1;
+      return null;
+    }
+  };
+
+  /**
+   * Decrypt the tokens in a string: a string that is a single token becomes
+   * the original value, tokens inside text are replaced by their text
+   */
+  const decryptString = (str) => {
+    if (WHOLE_TOKEN.test(str)) {
+      const decrypted = decryptToken(str);
+      return decrypted ? decrypted.value : str;
+    }
+
+    return str.replace(ENCRYPTED_PATTERN, (token) => {
+      const decrypted = decryptToken(token);
+      if (!decrypted) return token;
+      return typeof decrypted.value === 'string' ? decrypted.value : JSON.stringify(decrypted.value);
+    });
+  };
+
+  const selected = (path) => !fieldRules || fieldRules.some((segments) => matchesField(segments, path));
+
+  // Items of an array are selected by the array's own path
+  const decryptValue = (value, path) => {
+    if (typeof value === 'string') {
+      return selected(path) ? decryptString(value) : value;
+    }
+    if (Array.isArray(value)) {
+      return value.map((item) => decryptValue(item, path));
+    }
+    if (value && typeof value === 'object') {
+      const copy = {};
+      for (const [key, child] of Object.entries(value)) {
+        copy[key] = decryptValue(child, path.concat(key));
+      }
+      return copy;
+    }
+    return value;
+  };
+
+  return {
+    stats,
+
+    decryptLine(line) {
+      if (!line.includes('[ENC:')) return line;
+
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        // Not JSON (pretty, logfmt): only decrypted when no fields are selected
+        return fields ? line : decryptString(line);
+      }
+      return JSON.stringify(decryptValue(record, []));
+    },
+  };
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    return 2;
+  }
+
+  const { keys } = config.logging.redaction.encryption;
+  if (Object.keys(keys).length === 0) {
+    console.error('LOG_ENCRYPTION_KEYS is required to decrypt log values');
+    return 2;
+  }
+
+  let cipher;
+  try {
+    cipher = createFieldCipher({ keys });
+  } catch (error) {
+    console.error(error.message);
+    return 2;
+  }
+
+  const decryptor = createDecryptor(cipher, args.fields);
+  for await (const line of readAuditLines(args.file)) {
+    if (line) process.stdout.write(`${decryptor.decryptLine(line)}\n`);
+  }
+
+  const { stats } = decryptor;
+  if (args.json) {
+    console.error(JSON.stringify({ file: args.file, ...stats }));
+  } else {
+    console.error(`🔓 ${stats.decrypted} values decrypted, ${stats.failed} failed`);
+    for (const [reason, count] of Object.entries(stats.failures)) {
+      console.error(`   ${count} × ${reason}`);
+    }
+  }
+  return stats.failed ? 1 : 0;
+}
+
+main()
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((error) => {
+    console.error(error);
+    process.exitCode = 2;
+  });
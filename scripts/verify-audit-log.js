@@ -0,0 +1,244 @@
+/**
+ * Audit Log Verification Script
+ * Verify the hash chains of the audit log across rotated and compressed files,
+ * reporting gaps, modified or reordered records and malformed lines. A chain
+ * that does not start at its first record must start right after its
+ * retention checkpoint, or in a file past LOG_AUDIT_RETENTION_DAYS.
+ *
+ * Usage: LOG_AUDIT_HMAC_KEY=... node scripts/verify-audit-log.js [--dir <dir>] [--chain <name>] [--json]
+ * Exit code: 0 when every chain verifies, 1 when problems are found, 2 on usage errors
+ */
+
+require('dotenv').config();
+
+const path = require('path');
+const {
+  GENESIS_HASH,
+  hashRecord,
+  parseAuditLine,
+  listAuditFiles,
+  readAuditLines,
+  readCheckpoint,
+} = require('../src/utils/auditLog');
+const { formatTimestamp } = require('../src/utils/logFormats');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseArgs(argv) {
+  const args = { json: false, chain: null, dir: null };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--json') {
+      args.json = true;
+    } else if (argv[i] === '--chain') {
+      args.chain = argv[++i];
+    } else if (argv[i] === '--dir') {
+      args.dir = argv[++i];
+    } else {
+      throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+  return args;
+}
+
+/**
+ * How the first record of a chain is explained: the genesis record, the record
+ * after the last pruned one, or files expired under the retention policy
+ * @returns {Object} { start, problem }: start is null when nothing explains it
+ */
+function explainStart(first, files, { key, checkpoint, retentionDays }) {
+  if (first.record.seq === 1 && first.record.prev_hash === GENESIS_HASH) {
+    return { start: 'genesis' };
+  }
+
+  if (checkpoint && hashRecord(key, checkpoint.body) !== checkpoint.hash) {
+    return { start: null, problem: { type: 'checkpoint_modified' } };
+  }
+  if (checkpoint
+    && checkpoint.record.last_seq === first.record.seq - 1
+    && checkpoint.record.last_hash === first.record.prev_hash) {
+    return { start: 'checkpoint' };
+  }
+
+  // Every file before one past retention was past retention too
+  const cutoff = formatTimestamp(new Date(Date.now() - retentionDays * DAY_MS)).substring(0, 10);
+  if (files[0].date < cutoff) {
+    return { start: 'retention' };
+  }
+
+  return { start: null, problem: { type: 'missing_start', seq: first.record.seq } };
+}
+
+/**
+ * Walk one chain's records in order and collect problems.
+ * Each record is checked against its own HMAC, the previous record's hash and
+ * the expected sequence number; checking continues from the stored hash so a
+ * single edited record is reported once.
+ * @param {Object} options - { key, checkpoint, retentionDays }
+ */
+async function verifyChain(chain, files, options) {
+  const { key } = options;
+  const result = {
+    chain,
+    files: files.map(({ file }) => path.basename(file)),
+    records: 0,
+    first_seq: null,
+    last_seq: null,
+    last_hash: null,
+    last_timestamp: null,
+    starts_at_genesis: null,
+    start: null,
+    checkpoint: options.checkpoint ? options.checkpoint.record : null,
+    problems: [],
+  };
+
+  let expectedSeq = null;
+  let previousHash = null;
+
+  for (const { file } of files) {
+    let lineNumber = 0;
+
+    for await (const line of readAuditLines(file)) {
+      lineNumber++;
+      if (!line) continue;
+
+      const where = { file: path.basename(file), line: lineNumber };
+      const parsed = parseAuditLine(line);
+      if (!parsed || !Number.isInteger(parsed.record.seq)) {
+        result.problems.push({ type: 'malformed', ...where });
+        continue;
+      }
+
+      const { body, hash, record } = parsed;
+      result.records++;
+
+      if (hashRecord(key, body) !== hash) {
+        result.problems.push({ type: 'modified', seq: record.seq, ...where });
+      }
+
+      if (expectedSeq === null) {
+        result.first_seq = record.seq;
+        result.starts_at_genesis = record.seq === 1 && record.prev_hash === GENESIS_HASH;
+
+        const { start, problem } = explainStart(parsed, files, options);
+        result.start = start;
+        if (problem) {
+          result.problems.push({ ...problem, ...where });
+        }
+      } else if (record.seq > expectedSeq) {
+        result.problems.push({ type: 'gap', missing_from: expectedSeq, missing_to: record.seq - 1, ...where });
+      } else if (record.seq < expectedSeq) {
+        result.problems.push({ type: 'out_of_order', seq: record.seq, expected_seq: expectedSeq, ...where });
+      } else if (record.prev_hash !== previousHash) {
+        result.problems.push({ type: 'broken_link', seq: record.seq, ...where });
+      }
+
+      expectedSeq = Math.max(expectedSeq || 0, record.seq + 1);
+      previousHash = hash;
+      result.last_seq = record.seq;
+      result.last_hash = hash;
+      result.last_timestamp = record.timestamp;
+    }
+  }
+
+  return result;
+}
+
+function describeProblem(problem) {
+  const where = `${problem.file}:${problem.line}`;
+  switch (problem.type) {
+    case 'malformed':
+      return `malformed line (${where})`;
+    case 'modified':
+      return `record ${problem.seq} does not match its hash (${where})`;
+    case 'gap':
+      return problem.missing_from === problem.missing_to
+        ? `record ${problem.missing_from} missing (before ${where})`
+        : `records ${problem.missing_from}-${problem.missing_to} missing (before ${where})`;
+    case 'out_of_order':
+      return `record ${problem.seq} out of order, expected ${problem.expected_seq} (${where})`;
+    case 'broken_link':
+      return `record ${problem.seq} does not link to the previous record (${where})`;
+    case 'checkpoint_modified':
+      return `retention checkpoint does not match its hash (before ${where})`;
+    case 'missing_start':
+      return `records before ${problem.seq} missing, not explained by retention (before ${where})`;
+    default:
+      return `${problem.type} (${where})`;
+  }
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    return 2;
+  }
+
+  const key = process.env.LOG_AUDIT_HMAC_KEY;
+  if (!key) {
+    console.error('LOG_AUDIT_HMAC_KEY is required to verify the audit log');
+    return 2;
+  }
+
+  const dir = path.resolve(args.dir || process.env.LOG_AUDIT_DIR || path.join(process.env.LOG_DIR || './logs', 'audit'));
+  const chains = listAuditFiles(dir);
+  const names = args.chain ? [args.chain] : Object.keys(chains).sort();
+
+  if (names.length === 0 || names.some((name) => !chains[name])) {
+    console.error(`No audit files found in ${dir}${args.chain ? ` for chain ${args.chain}` : ''}`);
+    return 2;
+  }
+
+  const retentionDays = parseInt(process.env.LOG_AUDIT_RETENTION_DAYS, 10) || 365;
+  const results = [];
+  for (const name of names) {
+    const checkpoint = readCheckpoint(dir, name);
+    results.push(await verifyChain(name, chains[name], { key, checkpoint, retentionDays }));
+  }
+  const ok = results.every((result) => result.problems.length === 0);
+
+  if (args.json) {
+    console.log(JSON.stringify({ dir, ok, chains: results }, null, 2));
+    return ok ? 0 : 1;
+  }
+
+  console.log('\n🔐 Audit Log Verification');
+  console.log('='.repeat(60));
+  console.log(`\n📁 ${dir}`);
+
+  for (const result of results) {
+    console.log(`\n⛓️  ${result.chain}: ${result.files.length} files, ${result.records} records`);
+    if (result.records > 0) {
+      console.log(`   Records ${result.first_seq}-${result.last_seq}, last at ${result.last_timestamp}`);
+      console.log(`   Head hash: ${result.last_hash}`);
+      if (result.start === 'checkpoint') {
+        console.log(`   Chain starts at record ${result.first_seq}, after the retention checkpoint (${result.checkpoint.file} pruned at ${result.checkpoint.pruned_at})`);
+      } else if (result.start === 'retention') {
+        console.log(`   Chain starts at record ${result.first_seq} (earlier files are past LOG_AUDIT_RETENTION_DAYS=${retentionDays})`);
+      }
+    }
+
+    if (result.problems.length === 0) {
+      console.log('   ✅ Chain intact');
+    } else {
+      console.log(`   ❌ ${result.problems.length} problems:`);
+      for (const problem of result.problems) {
+        console.log(`      ${describeProblem(problem)}`);
+      }
+    }
+  }
+
+  console.log('');
+  return ok ? 0 : 1;
+}
+
+main()
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((error) => {
+    console.error(error);
+    process.exitCode = 2;
+  });
@@ -15,6 +15,10 @@ const { notFoundHandler, errorHandler } = require('./middleware/errorHandler');
 
 // Routes
 const userRoutes = require('./routes/userRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const auditRoutes = require('./routes/auditRoutes');
+const logStreamRoutes = require('./routes/logStreamRoutes');
+const traceRoutes = require('./routes/traceRoutes');
 const { router: healthRoutes } = require('./routes/healthRoutes');
 const debugScenarios = require('./scenarios/debugScenarios');
 
@@ -86,6 +90,18 @@ app.get('/metrics', async (req, res) => {
 // API routes
 app.use('/api/users', userRoutes);
 
+// Audit trail queries (token protected)
+app.use('/api/audit', auditRoutes);
+
+// Admin routes (token protected)
+app.use('/admin', adminRoutes);
+
+// Live log stream (token protected, all environments)
+app.use('/debug/logs', logStreamRoutes);
+
+// Local trace store (token protected, all environments)
+app.use('/debug/traces', traceRoutes);
+
 // Debug scenarios (only in development/testing)
 if (config.debug.enabled) {
   logger.warn('Debug scenarios enabled - DO NOT use in production!');
@@ -104,6 +120,9 @@ app.get('/', (req, res) => {
       healthDetailed: '/health/detailed',
       metrics: '/metrics',
       users: '/api/users',
+      audit: '/api/audit',
+      logLevels: '/admin/log-levels',
+      logStream: '/debug/logs/stream',
       debug: config.debug.enabled ? '/debug' : 'disabled',
     },
   });
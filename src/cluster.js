@@ -9,6 +9,8 @@ const cluster = require('cluster');
 const os = require('os');
 const logger = require('./utils/logger');
 const config = require('./config');
+const logLevelControl = require('./utils/logLevelControl');
+const logAggregation = require('./utils/logAggregation');
 
 // Number of workers (default to CPU count or env variable)
 const numWorkers = parseInt(process.env.CLUSTER_WORKERS, 10) || os.cpus().length;
@@ -32,6 +34,12 @@ if (cluster.isPrimary) {
     environment: config.app.env,
   });
 
+  // Broadcast runtime log level changes to all workers
+  logLevelControl.setupPrimary();
+
+  // Write the log files for all workers
+  logAggregation.setupPrimary();
+
   // Fork workers
   for (let i = 0; i < numWorkers; i++) {
     forkWorker();
@@ -191,6 +199,9 @@ if (cluster.isPrimary) {
     pid: process.pid,
   });
 
+  // Apply log level changes broadcast by the primary
+  logLevelControl.setupWorker();
+
   // Handle shutdown message from primary
   process.on('message', (message) => {
     if (message.type === 'shutdown') {
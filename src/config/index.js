@@ -5,6 +5,21 @@
 
 require('dotenv').config();
 
+/**
+ * Parse "key=value,key2=value2" lists (e.g. LOG_LEVEL_MODULES=models/User=trace)
+ */
+const parseKeyValueList = (value) => {
+  if (!value) return {};
+
+  return value.split(',').reduce((acc, pair) => {
+    const separator = pair.lastIndexOf('=');
+    if (separator > 0) {
+      acc[pair.substring(0, separator).trim()] = pair.substring(separator + 1).trim();
+    }
+    return acc;
+  }, {});
+};
+
 const config = {
   // Application
   app: {
@@ -18,12 +33,122 @@ const config = {
 
   // Logging Configuration
   logging: {
+    backend: process.env.LOG_BACKEND || 'winston',
     level: process.env.LOG_LEVEL || 'info',
     format: process.env.LOG_FORMAT || 'json',
     dir: process.env.LOG_DIR || './logs',
     maxSize: process.env.LOG_MAX_SIZE || '20m',
     maxFiles: process.env.LOG_MAX_FILES || '14d',
     compression: process.env.LOG_COMPRESSION === 'true',
+    moduleLevels: parseKeyValueList(process.env.LOG_LEVEL_MODULES),
+    redaction: {
+      keys: process.env.LOG_REDACT_KEYS
+        ? process.env.LOG_REDACT_KEYS.split(',').map((key) => key.trim()).filter(Boolean)
+        : ['password', 'passwd', 'token', 'secret', 'apiKey', 'authorization', 'cookie',
+          'creditCard', 'cardNumber', 'cvv', 'ssn', 'privateKey'],
+      strategy: process.env.LOG_REDACT_STRATEGY || 'mask',
+      valuePatterns: process.env.LOG_REDACT_VALUE_PATTERNS !== undefined
+        ? parseKeyValueList(process.env.LOG_REDACT_VALUE_PATTERNS)
+        : { email: 'partial', card: 'partial', jwt: 'mask', bearer: 'mask' },
+      paths: parseKeyValueList(process.env.LOG_REDACT_PATHS),
+      hashSecret: process.env.LOG_REDACT_HASH_SECRET || null,
+      encryptFields: (process.env.LOG_ENCRYPT_FIELDS ?? 'email,deleted_email').split(',').map((field) => field.trim()).filter(Boolean),
+      hashFields: (process.env.LOG_HASH_FIELDS || '').split(',').map((field) => field.trim()).filter(Boolean),
+      encryption: {
+        keys: parseKeyValueList(process.env.LOG_ENCRYPTION_KEYS),
+        activeKeyId: process.env.LOG_ENCRYPTION_KEY_ID || null,
+      },
+    },
+    sanitize: {
+      maxStringLength: parseInt(process.env.LOG_MAX_STRING_LENGTH, 10) || 8192,
+      maxArrayLength: parseInt(process.env.LOG_MAX_ARRAY_LENGTH, 10) || 100,
+      maxRecordBytes: parseInt(process.env.LOG_MAX_RECORD_BYTES, 10) || 64 * 1024,
+    },
+    slowRequestMs: parseInt(process.env.LOG_SLOW_REQUEST_MS, 10) || 1000,
+    flightRecorder: {
+      enabled: process.env.FLIGHT_RECORDER_ENABLED !== 'false',
+      requestBufferSize: parseInt(process.env.FLIGHT_RECORDER_REQUEST_SIZE, 10) || 200,
+      processBufferSize: parseInt(process.env.FLIGHT_RECORDER_PROCESS_SIZE, 10) || 1000,
+    },
+    dedup: {
+      enabled: process.env.LOG_DEDUP_ENABLED !== 'false',
+      windowMs: parseInt(process.env.LOG_DEDUP_WINDOW_MS, 10) || 60000,
+      burst: parseInt(process.env.LOG_DEDUP_BURST, 10) || 5,
+      levels: (process.env.LOG_DEDUP_LEVELS || 'error,warn').split(',').map((level) => level.trim()).filter(Boolean),
+      fields: (process.env.LOG_DEDUP_FIELDS || 'module,error_code').split(',').map((field) => field.trim()).filter(Boolean),
+      maxKeys: parseInt(process.env.LOG_DEDUP_MAX_KEYS, 10) || 1000,
+    },
+    backpressure: {
+      policy: process.env.LOG_BACKPRESSURE_POLICY || 'drop-debug-first',
+      maxBytes: parseInt(process.env.LOG_BACKPRESSURE_MAX_BYTES, 10) || 8 * 1024 * 1024,
+    },
+    debugToken: {
+      enabled: Boolean(process.env.LOG_DEBUG_TOKEN_SECRET),
+      secret: process.env.LOG_DEBUG_TOKEN_SECRET || null,
+      header: (process.env.LOG_DEBUG_HEADER || 'X-Debug-Token').toLowerCase(),
+      maxTtlSeconds: parseInt(process.env.LOG_DEBUG_TOKEN_MAX_TTL_SECONDS, 10) || 3600,
+      maxBodyBytes: parseInt(process.env.LOG_DEBUG_MAX_BODY_BYTES, 10) || 16 * 1024,
+    },
+    retention: {
+      enabled: process.env.LOG_RETENTION_ENABLED === 'true',
+      maxBytes: parseInt(process.env.LOG_RETENTION_MAX_BYTES, 10) || 1024 * 1024 * 1024,
+      archiveDir: process.env.LOG_ARCHIVE_DIR || null,
+      intervalMs: parseInt(process.env.LOG_RETENTION_INTERVAL_MS, 10) || 10 * 60 * 1000,
+      priorities: parseKeyValueList(process.env.LOG_RETENTION_PRIORITIES || 'app=1,access=1,crash=2,error=3,audit=4'),
+    },
+    stream: {
+      enabled: process.env.LOG_STREAM_ENABLED !== 'false',
+      historySize: parseInt(process.env.LOG_STREAM_HISTORY_SIZE, 10) || 500,
+      maxSubscribers: parseInt(process.env.LOG_STREAM_MAX_SUBSCRIBERS, 10) || 10,
+      maxBufferedBytes: parseInt(process.env.LOG_STREAM_MAX_BUFFER_BYTES, 10) || 1024 * 1024,
+    },
+    syslog: {
+      enabled: process.env.LOG_SYSLOG_ENABLED === 'true',
+      protocol: process.env.LOG_SYSLOG_PROTOCOL || 'udp',
+      host: process.env.LOG_SYSLOG_HOST || '127.0.0.1',
+      port: parseInt(process.env.LOG_SYSLOG_PORT, 10) || 514,
+      path: process.env.LOG_SYSLOG_PATH || null,
+      framing: process.env.LOG_SYSLOG_FRAMING || null,
+      facility: process.env.LOG_SYSLOG_FACILITY || 'local0',
+      sdId: process.env.LOG_SYSLOG_SD_ID || 'ctx@32473',
+      format: process.env.LOG_SYSLOG_FORMAT || 'json',
+      bufferSize: parseInt(process.env.LOG_SYSLOG_BUFFER_SIZE, 10) || 1000,
+    },
+    audit: {
+      enabled: process.env.LOG_AUDIT_ENABLED === 'true',
+      dir: process.env.LOG_AUDIT_DIR || null, // defaults to <LOG_DIR>/audit
+      hmacKey: process.env.LOG_AUDIT_HMAC_KEY || null,
+      retentionDays: parseInt(process.env.LOG_AUDIT_RETENTION_DAYS, 10) || 365,
+      compress: process.env.LOG_AUDIT_COMPRESS !== 'false',
+    },
+    cluster: {
+      aggregate: process.env.LOG_CLUSTER_AGGREGATION !== 'false',
+      maxPendingRecords: parseInt(process.env.LOG_CLUSTER_MAX_PENDING, 10) || 10000,
+    },
+    shipping: {
+      enabled: process.env.LOG_SHIP_ENABLED === 'true',
+      target: process.env.LOG_SHIP_TARGET || 'loki',
+      url: process.env.LOG_SHIP_URL || null,
+      format: process.env.LOG_SHIP_FORMAT
+        || (process.env.LOG_SHIP_TARGET === 'elasticsearch' ? 'ecs' : 'json'),
+      labels: parseKeyValueList(process.env.LOG_SHIP_LOKI_LABELS),
+      index: process.env.LOG_SHIP_ES_INDEX || 'logs-node-app',
+      authorization: process.env.LOG_SHIP_AUTHORIZATION || null,
+      tenant: process.env.LOG_SHIP_TENANT || null,
+      gzip: process.env.LOG_SHIP_GZIP !== 'false',
+      batchSize: parseInt(process.env.LOG_SHIP_BATCH_SIZE, 10) || 500,
+      batchBytes: parseInt(process.env.LOG_SHIP_BATCH_BYTES, 10) || 1024 * 1024,
+      flushIntervalMs: parseInt(process.env.LOG_SHIP_FLUSH_INTERVAL_MS, 10) || 2000,
+      requestTimeoutMs: parseInt(process.env.LOG_SHIP_TIMEOUT_MS, 10) || 10000,
+      maxSpoolBytes: parseInt(process.env.LOG_SHIP_MAX_SPOOL_BYTES, 10) || 100 * 1024 * 1024,
+      shutdownTimeoutMs: parseInt(process.env.LOG_SHIP_SHUTDOWN_TIMEOUT_MS, 10) || 5000,
+    },
+  },
+
+  // Admin API
+  admin: {
+    token: process.env.ADMIN_TOKEN || null,
+    clusterAckTimeoutMs: parseInt(process.env.ADMIN_CLUSTER_ACK_TIMEOUT_MS, 10) || 5000,
   },
 
   // Monitoring
@@ -33,6 +158,49 @@ const config = {
     healthCheckInterval: parseInt(process.env.HEALTH_CHECK_INTERVAL, 10) || 30000,
   },
 
+  // Distributed tracing
+  tracing: {
+    // Header formats (tracecontext, b3, b3multi, jaeger, legacy) read, first
+    // valid context wins, and written on outgoing calls
+    propagators: (process.env.TRACE_PROPAGATORS || 'tracecontext,b3,b3multi,jaeger,legacy')
+      .split(',').map((name) => name.trim()).filter(Boolean),
+    injectPropagators: (process.env.TRACE_INJECT_PROPAGATORS || 'tracecontext,legacy')
+      .split(',').map((name) => name.trim()).filter(Boolean),
+    // Span export (otlp, file), none by default
+    exporters: (process.env.TRACE_EXPORTERS || 'none')
+      .split(',').map((name) => name.trim()).filter((name) => name && name !== 'none'),
+    otlp: {
+      endpoint: process.env.TRACE_OTLP_ENDPOINT || 'http://localhost:4318/v1/traces',
+      headers: parseKeyValueList(process.env.TRACE_OTLP_HEADERS),
+      timeoutMs: parseInt(process.env.TRACE_OTLP_TIMEOUT_MS, 10) || 10000,
+    },
+    batch: {
+      maxBatchSize: parseInt(process.env.TRACE_BATCH_SIZE, 10) || 512,
+      maxQueueSize: parseInt(process.env.TRACE_MAX_QUEUE_SIZE, 10) || 2048,
+      scheduleDelayMs: parseInt(process.env.TRACE_EXPORT_INTERVAL_MS, 10) || 5000,
+    },
+    // Head sampling: route rules, then the caller's sampled flag, then the
+    // sampler (always, never, ratio); tail sampling keeps what head sampling
+    // left out when its root span fails or is slow
+    sampling: {
+      sampler: process.env.TRACE_SAMPLER || 'always',
+      ratio: process.env.TRACE_SAMPLE_RATIO !== undefined ? parseFloat(process.env.TRACE_SAMPLE_RATIO) : 1,
+      parentBased: process.env.TRACE_SAMPLER_PARENT_BASED !== 'false',
+      rules: parseKeyValueList(process.env.TRACE_SAMPLE_ROUTES ?? '/health/*=never,/metrics=never'),
+      tail: {
+        enabled: process.env.TRACE_TAIL_SAMPLING === 'true',
+        latencyMs: parseInt(process.env.TRACE_TAIL_LATENCY_MS, 10) || 1000,
+        maxTraces: parseInt(process.env.TRACE_TAIL_MAX_TRACES, 10) || 1000,
+      },
+    },
+    // Recent traces kept in memory for /debug/traces
+    store: {
+      enabled: process.env.TRACE_STORE_ENABLED !== 'false',
+      maxTraces: parseInt(process.env.TRACE_STORE_MAX_TRACES, 10) || 500,
+      maxSpansPerTrace: parseInt(process.env.TRACE_STORE_MAX_SPANS, 10) || 1000,
+    },
+  },
+
   // Rate Limiting
   rateLimit: {
     windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS, 10) || 15 * 60 * 1000,
@@ -6,6 +6,8 @@
 const logger = require('../utils/logger');
 const { metrics } = require('../utils/metrics');
 const config = require('../config');
+const { validationResult } = require('express-validator');
+const { serializeError } = require('../utils/errorSerializer');
 
 /**
  * Custom Error Classes
@@ -27,6 +29,23 @@ class ValidationError extends AppError {
   }
 }
 
+/**
+ * Run express-validator chains inside a handler and throw a ValidationError
+ * on failure
+ */
+const runValidations = async (req, validations) => {
+  await Promise.all(validations.map((validation) => validation.run(req)));
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError('Validation failed', errors.array().map((err) => ({
+      field: err.path,
+      message: err.msg,
+      value: err.value,
+    })));
+  }
+};
+
 class NotFoundError extends AppError {
   constructor(resource = 'Resource') {
     super(`${resource} not found`, 404, 'NOT_FOUND');
@@ -114,22 +133,26 @@ const errorHandler = (err, req, res, next) => {
     is_operational: error.isOperational,
   };
 
-  // Add body for non-GET requests (sanitized)
+  // Add body for non-GET requests (redacted by the logger)
   if (req.method !== 'GET' && req.body) {
-    logContext.body = sanitizeForLogging(req.body);
+    logContext.body = req.body;
   }
 
-  // Log the error
+  // Log the error; for wrapped errors, the one that was thrown (with its
+  // causes, aggregated errors and own fields) and its own code if it has one
   if (error.statusCode >= 500) {
+    const thrown = error.originalError || error;
+    req.span?.recordException(thrown);
     logger.errorWithContext(
       `Server Error: ${error.message}`,
-      error,
-      logContext
+      thrown,
+      { ...logContext, error_code: thrown.code || error.code }
     );
   } else if (error.statusCode >= 400) {
     logger.warn(`Client Error: ${error.message}`, {
       ...logContext,
       details: error.details,
+      ...(error.cause !== undefined && { error_cause: serializeError(error.cause) }),
     });
   }
 
@@ -164,29 +187,6 @@ const errorHandler = (err, req, res, next) => {
   res.status(error.statusCode).json(response);
 };
 
-/**
- * Sanitize data for logging
- */
-const sanitizeForLogging = (data) => {
-  if (!data || typeof data !== 'object') return data;
-
-  const sensitiveFields = ['password', 'token', 'secret', 'apiKey', 'authorization', 'creditCard', 'ssn'];
-  const sanitized = Array.isArray(data) ? [...data] : { ...data };
-
-  const sanitize = (obj) => {
-    for (const key in obj) {
-      if (sensitiveFields.some((field) => key.toLowerCase().includes(field.toLowerCase()))) {
-        obj[key] = '[REDACTED]';
-      } else if (typeof obj[key] === 'object' && obj[key] !== null) {
-        sanitize(obj[key]);
-      }
-    }
-  };
-
-  sanitize(sanitized);
-  return sanitized;
-};
-
 /**
  * Async handler wrapper to catch errors
  */
@@ -206,5 +206,6 @@ module.exports = {
   notFoundHandler,
   errorHandler,
   asyncHandler,
+  runValidations,
 };
 
@@ -4,14 +4,99 @@
  */
 
 const onFinished = require('on-finished');
+const config = require('../config');
 const logger = require('../utils/logger');
 const { metrics, normalizeRoute, getStatusClass } = require('../utils/metrics');
-const { createTraceContext, extractTraceContext, TRACE_HEADERS } = require('../utils/tracing');
+const { createTraceContext, extractTraceContext, startSpan, TRACE_HEADERS } = require('../utils/tracing');
+const { runWithContext } = require('../utils/context');
+const { createRequestRecorder, flushRequestRecords } = require('../utils/flightRecorder');
+const { verifyDebugToken } = require('../utils/debugToken');
+
+const { slowRequestMs, debugToken } = config.logging;
+
+// Response header naming the debug session whose lines a request wrote
+const DEBUG_SESSION_HEADER = 'X-Debug-Session';
+
+/**
+ * Debug session of a request carrying a valid signed debug token, or null.
+ * Every token presented is logged as a security event, accepted or not.
+ */
+const startDebugSession = (req, requestId) => {
+  const token = req.headers[debugToken.header];
+  if (!token || !debugToken.enabled) return null;
+
+  const details = {
+    method: req.method,
+    url: req.originalUrl,
+    ip: req.ip || req.socket.remoteAddress,
+    request_id: requestId,
+  };
+
+  const result = verifyDebugToken(debugToken.secret, token, debugToken);
+  if (!result.valid) {
+    logger.security('Debug token rejected', { ...details, reason: result.error });
+    return null;
+  }
+
+  logger.security('Debug token accepted', {
+    ...details,
+    debug_session: result.sessionId,
+    debug_reason: result.reason,
+    expires_at: result.expiresAt,
+  });
+  return result.sessionId;
+};
+
+/**
+ * Keep the first maxBytes of the response body (debug sessions only)
+ * @returns {Function} () => { body, size, truncated }, body being parsed JSON
+ *   when complete, so that key-based redaction applies, or text
+ */
+const captureResponseBody = (res, maxBytes) => {
+  const chunks = [];
+  let captured = 0;
+  let size = 0;
+
+  const capture = (chunk, encoding) => {
+    if (!chunk || typeof chunk === 'function') return;
+    const buffer = Buffer.isBuffer(chunk)
+      ? chunk
+      : Buffer.from(chunk, typeof encoding === 'string' ? encoding : 'utf8');
+    size += buffer.length;
+    if (captured < maxBytes) {
+      chunks.push(buffer.subarray(0, maxBytes - captured));
+      captured += Math.min(buffer.length, maxBytes - captured);
+    }
+  };
+
+  const { write, end } = res;
+  res.write = function writeCaptured(chunk, encoding, callback) {
+    capture(chunk, encoding);
+    return write.call(this, chunk, encoding, callback);
+  };
+  res.end = function endCaptured(chunk, encoding, callback) {
+    capture(chunk, encoding);
+    return end.call(this, chunk, encoding, callback);
+  };
+
+  return () => {
+    const truncated = size > captured;
+    let body = Buffer.concat(chunks).toString('utf8');
+    if (!truncated && /json/i.test(res.getHeader('content-type') || '')) {
+      try {
+        body = JSON.parse(body);
+      } catch (error) {
+        // Logged as text
+      }
+    }
+    return { body, size, truncated };
+  };
+};
 
 const requestLogger = (req, res, next) => {
   // Extract or create trace context
   const existingContext = extractTraceContext(req.headers);
-  const traceContext = createTraceContext(existingContext);
+  const traceContext = createTraceContext(existingContext, { path: req.path });
 
   // Attach to request for downstream use
   req.traceContext = traceContext;
@@ -21,38 +106,61 @@ const requestLogger = (req, res, next) => {
   res.setHeader(TRACE_HEADERS.REQUEST_ID, traceContext.requestId);
   res.setHeader(TRACE_HEADERS.TRACE_ID, traceContext.traceId);
 
+  // Server span of the request, named after its route and ended once the
+  // response is finished (OpenTelemetry HTTP semantic conventions)
+  req.span = startSpan(req.method, traceContext, {
+    kind: 'server',
+    localRoot: true,
+    spanId: traceContext.spanId,
+    parentSpanId: traceContext.parentSpanId,
+    attributes: {
+      'http.request.method': req.method,
+      'url.path': req.path,
+      'url.scheme': req.protocol,
+      'user_agent.original': req.headers['user-agent'],
+      'client.address': req.ip || req.socket.remoteAddress,
+    },
+  });
+
+  // Route template with its router's mount path, read when Express matches
+  // the route: req.baseUrl is reset once an error leaves the router
+  let spanRoute = null;
+  let matchedRoute;
+  Object.defineProperty(req, 'route', {
+    configurable: true,
+    enumerable: true,
+    get: () => matchedRoute,
+    set: (route) => {
+      matchedRoute = route;
+      if (route) spanRoute = `${req.baseUrl}${route.path}`.replace(/(.)\/$/, '$1');
+    },
+  });
+
+  // Signed debug token: every line of the request is written, whatever the
+  // level, tagged with debug_session, and the response body is logged
+  const debugSession = startDebugSession(req, traceContext.requestId);
+  const readResponseBody = debugSession ? captureResponseBody(res, debugToken.maxBodyBytes) : null;
+  if (debugSession) {
+    res.setHeader(DEBUG_SESSION_HEADER, debugSession);
+  }
+
   // Create request-scoped logger
   req.logger = logger.child({
     request_id: traceContext.requestId,
     trace_id: traceContext.traceId,
     span_id: traceContext.spanId,
+    ...(debugSession ? { debug_session: debugSession } : {}),
   });
 
+  // Buffer of the debug/trace lines the log level suppresses for this request
+  const flightRecorder = createRequestRecorder();
+
   // Track request size
   const requestSize = parseInt(req.headers['content-length'], 10) || 0;
 
   // Increment active requests
   metrics.httpActiveRequests.labels(req.method).inc();
 
-  // Log request start
-  req.logger.http('Request started', {
-    method: req.method,
-    url: req.originalUrl,
-    path: req.path,
-    query: req.query,
-    user_agent: req.headers['user-agent'],
-    ip: req.ip || req.socket.remoteAddress,
-    content_length: requestSize,
-    content_type: req.headers['content-type'],
-  });
-
-  // Track request body for non-GET requests (sanitized)
-  if (req.method !== 'GET' && req.body) {
-    req.logger.debug('Request body', {
-      body: sanitizeBody(req.body),
-    });
-  }
-
   // Track timing when response finishes
   onFinished(res, (err, res) => {
     const hrDuration = process.hrtime(traceContext.startHrTime);
@@ -79,6 +187,18 @@ const requestLogger = (req, res, next) => {
       metrics.httpResponseSize.labels(req.method, route, statusCode).observe(responseSize);
     }
 
+    req.span
+      .updateName(spanRoute ? `${req.method} ${spanRoute}` : req.method)
+      .setAttributes({
+        'http.route': spanRoute,
+        'http.response.status_code': statusCode,
+        'http.response.body.size': responseSize || undefined,
+      });
+    if (statusCode >= 500 || err) {
+      req.span.setStatus('error', err ? err.message : `HTTP ${statusCode}`);
+    }
+    req.span.end();
+
     // Determine log level based on status and duration
     let logLevel = 'http';
     if (statusCode >= 500) {
@@ -89,6 +209,24 @@ const requestLogger = (req, res, next) => {
       logLevel = 'warn';
     }
 
+    // Tail-based flush: keep the suppressed lines only for failed or slow requests
+    if (statusCode >= 500 || err) {
+      flushRequestRecords(flightRecorder, req.logger, err ? 'request_error' : 'server_error');
+    } else if (durationMs > slowRequestMs) {
+      flushRequestRecords(flightRecorder, req.logger, 'slow_request');
+    }
+
+    if (readResponseBody) {
+      const { body, size, truncated } = readResponseBody();
+      req.logger.trace('Response body', {
+        status_code: statusCode,
+        content_type: res.getHeader('content-type'),
+        body,
+        body_size: size,
+        body_truncated: truncated,
+      });
+    }
+
     // Log response
     req.logger.log(logLevel, 'Request completed', {
       method: req.method,
@@ -98,12 +236,12 @@ const requestLogger = (req, res, next) => {
       status_class: statusClass,
       duration_ms: durationMs.toFixed(3),
       response_size: responseSize,
-      slow: durationMs > 1000,
+      slow: durationMs > slowRequestMs,
       error: err ? err.message : null,
     });
 
     // Performance warning for slow requests
-    if (durationMs > 1000) {
+    if (durationMs > slowRequestMs) {
       logger.performance('slow_request', durationMs, {
         method: req.method,
         route,
@@ -112,25 +250,43 @@ const requestLogger = (req, res, next) => {
     }
   });
 
-  next();
-};
-
-/**
- * Sanitize request body to remove sensitive data
- */
-const sanitizeBody = (body) => {
-  if (!body || typeof body !== 'object') return body;
-
-  const sensitiveFields = ['password', 'token', 'secret', 'apiKey', 'authorization', 'creditCard', 'ssn'];
-  const sanitized = { ...body };
+  // Run the rest of the chain inside the request context so every log call
+  // (services, models, timers, spans) is stamped with the request's ids and
+  // suppressed lines reach the request's flight recorder
+  runWithContext({
+    requestId: traceContext.requestId,
+    traceId: traceContext.traceId,
+    spanId: traceContext.spanId,
+    parentSpanId: traceContext.parentSpanId,
+    sampled: traceContext.sampled,
+    recording: traceContext.recording,
+    traceState: traceContext.traceState,
+    correlationId: traceContext.correlationId,
+    userId: req.user?.id,
+    debugSession,
+    flightRecorder,
+  }, () => {
+    // Log request start
+    req.logger.http('Request started', {
+      method: req.method,
+      url: req.originalUrl,
+      path: req.path,
+      query: req.query,
+      user_agent: req.headers['user-agent'],
+      ip: req.ip || req.socket.remoteAddress,
+      content_length: requestSize,
+      content_type: req.headers['content-type'],
+    });
 
-  for (const field of sensitiveFields) {
-    if (sanitized[field]) {
-      sanitized[field] = '[REDACTED]';
+    // Track request body for non-GET requests (redacted by the logger)
+    if (req.method !== 'GET' && req.body) {
+      req.logger.debug('Request body', {
+        body: req.body,
+      });
     }
-  }
 
-  return sanitized;
+    next();
+  });
 };
 
 module.exports = requestLogger;
@@ -3,10 +3,13 @@
  * Production security configurations
  */
 
+const crypto = require('crypto');
 const helmet = require('helmet');
 const cors = require('cors');
 const logger = require('../utils/logger');
 const config = require('../config');
+const { UnauthorizedError, ForbiddenError } = require('./errorHandler');
+const { propagator } = require('../utils/tracing');
 
 /**
  * Helmet Security Configuration
@@ -62,8 +65,8 @@ const corsConfig = cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-ID', 'X-Trace-ID'],
-  exposedHeaders: ['X-Request-ID', 'X-Trace-ID', 'X-RateLimit-Limit', 'X-RateLimit-Remaining'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-ID', 'X-Admin-Token', config.logging.debugToken.header, ...propagator.fields],
+  exposedHeaders: ['X-Request-ID', 'X-Trace-ID', 'X-Debug-Session', 'X-RateLimit-Limit', 'X-RateLimit-Remaining'],
   maxAge: 86400, // 24 hours
 });
 
@@ -157,10 +160,38 @@ const sanitizeRequest = (req, res, next) => {
   next();
 };
 
+/**
+ * Admin Token Authentication
+ * Requires `Authorization: Bearer <ADMIN_TOKEN>` (or `X-Admin-Token`)
+ */
+const requireAdminToken = (req, res, next) => {
+  if (!config.admin.token) {
+    return next(new ForbiddenError('Admin API is disabled (ADMIN_TOKEN is not set)'));
+  }
+
+  const header = req.headers.authorization || '';
+  const provided = header.startsWith('Bearer ') ? header.substring(7) : req.headers['x-admin-token'];
+
+  const expectedDigest = crypto.createHash('sha256').update(config.admin.token).digest();
+  const providedDigest = crypto.createHash('sha256').update(provided || '').digest();
+
+  if (!provided || !crypto.timingSafeEqual(expectedDigest, providedDigest)) {
+    logger.security('Admin authentication failed', {
+      ip: req.ip,
+      path: req.originalUrl,
+      method: req.method,
+    });
+    return next(new UnauthorizedError('Invalid admin token'));
+  }
+
+  next();
+};
+
 module.exports = {
   helmetConfig,
   corsConfig,
   rateLimiter,
   sanitizeRequest,
+  requireAdminToken,
 };
 
@@ -5,7 +5,7 @@
  */
 
 const { v4: uuidv4 } = require('uuid');
-const logger = require('../utils/logger');
+const logger = require('../utils/logger').forModule('models/User');
 const { metrics, trackDbQuery } = require('../utils/metrics');
 const config = require('../config');
 
@@ -0,0 +1,155 @@
+/**
+ * Admin Routes
+ * Operational endpoints protected by the admin token
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { changeLogLevels } = require('../utils/logLevelControl');
+const { createDebugToken } = require('../utils/debugToken');
+const { requireAdminToken } = require('../middleware/security');
+const {
+  asyncHandler,
+  runValidations,
+  ValidationError,
+  ServiceUnavailableError,
+} = require('../middleware/errorHandler');
+
+const LEVEL_NAMES = Object.keys(logger.levels);
+const MAX_TTL_MS = 24 * 60 * 60 * 1000;
+
+router.use(requireAdminToken);
+
+/**
+ * @route   GET /admin/log-levels
+ * @desc    Get current global and per-module log levels of this process
+ */
+router.get('/log-levels', (req, res) => {
+  res.json({
+    success: true,
+    data: logger.getLevels(),
+    meta: {
+      request_id: req.requestId,
+      pid: process.pid,
+      timestamp: new Date().toISOString(),
+    },
+  });
+});
+
+/**
+ * @route   PUT /admin/log-levels
+ * @desc    Change global and/or per-module log levels, optionally reverting after ttlMs
+ */
+router.put('/log-levels', asyncHandler(async (req, res) => {
+  await runValidations(req, [
+    body('level').optional().isIn(LEVEL_NAMES).withMessage(`level must be one of ${LEVEL_NAMES.join(', ')}`),
+    body('modules').optional().isObject().withMessage('modules must be an object of module -> level'),
+    body('modules.*')
+      .optional({ values: 'null' })
+      .isIn(LEVEL_NAMES)
+      .withMessage(`module levels must be one of ${LEVEL_NAMES.join(', ')} or null`),
+    body('ttlMs')
+      .optional()
+      .isInt({ min: 1000, max: MAX_TTL_MS })
+      .withMessage(`ttlMs must be between 1000 and ${MAX_TTL_MS}`)
+      .toInt(),
+  ]);
+
+  const { level, modules, ttlMs } = req.body;
+  if (level === undefined && modules === undefined) {
+    throw new ValidationError('Provide level and/or modules');
+  }
+
+  const result = await changeLogLevels({ level, modules, ttlMs });
+
+  logger.audit('LOG_LEVELS_CHANGED', 'admin', 'logger', {
+    level,
+    modules,
+    ttl_ms: ttlMs,
+    applied_count: result.applied.length,
+    failed_count: result.failed.length,
+  });
+
+  res.json({
+    success: result.failed.length === 0,
+    data: result,
+    meta: {
+      request_id: req.requestId,
+      timestamp: new Date().toISOString(),
+    },
+  });
+}));
+
+/**
+ * @route   DELETE /admin/log-levels
+ * @desc    Restore the log levels configured at boot
+ */
+router.delete('/log-levels', asyncHandler(async (req, res) => {
+  const result = await changeLogLevels({ reset: true });
+
+  logger.audit('LOG_LEVELS_RESET', 'admin', 'logger', {
+    applied_count: result.applied.length,
+    failed_count: result.failed.length,
+  });
+
+  res.json({
+    success: result.failed.length === 0,
+    data: result,
+    meta: {
+      request_id: req.requestId,
+      timestamp: new Date().toISOString(),
+    },
+  });
+}));
+
+/**
+ * @route   POST /admin/debug-tokens
+ * @desc    Issue a signed debug token that turns on trace logging for the requests carrying it
+ */
+router.post('/debug-tokens', asyncHandler(async (req, res) => {
+  const { debugToken } = config.logging;
+  if (!debugToken.enabled) {
+    throw new ServiceUnavailableError('Debug tokens are disabled (LOG_DEBUG_TOKEN_SECRET is not set)');
+  }
+
+  await runValidations(req, [
+    body('ttl_seconds')
+      .isInt({ min: 1, max: debugToken.maxTtlSeconds })
+      .withMessage(`ttl_seconds must be between 1 and ${debugToken.maxTtlSeconds}`)
+      .toInt(),
+    body('reason')
+      .optional()
+      .isString()
+      .isLength({ max: 200 })
+      .withMessage('reason must be a string of at most 200 characters'),
+  ]);
+
+  const { ttl_seconds: ttlSeconds, reason } = req.body;
+  const issued = createDebugToken(debugToken.secret, { ttlSeconds, reason });
+
+  logger.audit('DEBUG_TOKEN_ISSUED', 'admin', 'logger', {
+    debug_session: issued.sessionId,
+    reason,
+    ttl_seconds: ttlSeconds,
+    expires_at: issued.expiresAt,
+  });
+
+  res.status(201).json({
+    success: true,
+    data: {
+      token: issued.token,
+      header: debugToken.header,
+      session_id: issued.sessionId,
+      expires_at: issued.expiresAt,
+    },
+    meta: {
+      request_id: req.requestId,
+      timestamp: new Date().toISOString(),
+    },
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,183 @@
+/**
+ * Audit Routes
+ * Queries and exports of the audit trail, protected by the admin token
+ */
+
+const express = require('express');
+const router = express.Router();
+const { query } = require('express-validator');
+const auditService = require('../services/auditService');
+const { requireAdminToken } = require('../middleware/security');
+const { asyncHandler, runValidations } = require('../middleware/errorHandler');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+// Export columns; metadata and lists are written as JSON
+const CSV_COLUMNS = [
+  'chain', 'seq', 'timestamp', 'action', 'user_id', 'resource', 'resource_id', 'request_id',
+  'trace_id', 'service', 'hostname', 'pid', 'worker_id', 'metadata', 'prev_hash', 'hash',
+];
+
+router.use(requireAdminToken);
+
+const filterValidations = [
+  query(['actor', 'action', 'resource', 'resource_id', 'request_id', 'chain'])
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 200 }),
+  query(['from', 'to']).optional().isISO8601().withMessage('must be an ISO 8601 date'),
+  query('order').optional().isIn(['asc', 'desc']).withMessage('order must be asc or desc'),
+];
+
+/**
+ * Query string -> audit record filters (actor is the record's user_id)
+ */
+const readFilters = (req) => {
+  const filters = {
+    user_id: req.query.actor,
+    action: req.query.action,
+    resource: req.query.resource,
+    resource_id: req.query.resource_id,
+    request_id: req.query.request_id,
+    chain: req.query.chain,
+    from: req.query.from && new Date(req.query.from).toISOString(),
+    to: req.query.to && new Date(req.query.to).toISOString(),
+  };
+  return Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== undefined));
+};
+
+/**
+ * CSV cell; values a spreadsheet would run as a formula are prefixed with '
+ */
+const csvCell = (value) => {
+  if (value === undefined || value === null) return '';
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvRow = (values) => `${values.map(csvCell).join(',')}\r\n`;
+
+/**
+ * Wait until the response drains, closes or fails; the three listeners are
+ * removed as soon as one fires, so long exports do not accumulate them
+ */
+const waitForDrain = (res) => new Promise((resolve) => {
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    res.off('error', done);
+    resolve();
+  };
+  res.on('drain', done);
+  res.on('close', done);
+  res.on('error', done);
+});
+
+/**
+ * @route   GET /api/audit
+ * @desc    Audit records matching the filters, newest first, one page at a time
+ *          (actor, action, resource, resource_id, request_id, chain, from, to,
+ *          order, limit, cursor)
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  await runValidations(req, [
+    ...filterValidations,
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: MAX_LIMIT })
+      .withMessage(`limit must be between 1 and ${MAX_LIMIT}`)
+      .toInt(),
+    query('cursor').optional().isString(),
+  ]);
+
+  const filters = readFilters(req);
+  const { records, nextCursor } = await auditService.query(filters, {
+    limit: req.query.limit || DEFAULT_LIMIT,
+    cursor: req.query.cursor,
+    order: req.query.order,
+  });
+
+  req.logger.audit('AUDIT_LOG_QUERIED', req.user?.id || 'admin', 'audit_log', {
+    filters,
+    returned: records.length,
+    request_id: req.requestId,
+  });
+
+  res.set('Cache-Control', 'no-store');
+  res.json({
+    success: true,
+    data: records,
+    meta: {
+      count: records.length,
+      next_cursor: nextCursor,
+      request_id: req.requestId,
+      timestamp: new Date().toISOString(),
+    },
+  });
+}));
+
+/**
+ * @route   GET /api/audit/export
+ * @desc    Every audit record matching the filters as CSV or NDJSON
+ *          (format=csv|ndjson, oldest first unless order=desc), streamed
+ */
+router.get('/export', asyncHandler(async (req, res) => {
+  await runValidations(req, [
+    ...filterValidations,
+    query('format').optional().isIn(['csv', 'ndjson']).withMessage('format must be csv or ndjson'),
+  ]);
+
+  const filters = readFilters(req);
+  const format = req.query.format || 'ndjson';
+  const records = auditService.records(filters, { order: req.query.order || 'asc' });
+
+  // Read the first record before answering so that errors still get a JSON response
+  const first = await records.next();
+
+  req.logger.audit('AUDIT_LOG_EXPORTED', req.user?.id || 'admin', 'audit_log', {
+    filters,
+    format,
+    request_id: req.requestId,
+  });
+
+  const fileName = `audit-${new Date().toISOString().substring(0, 10)}.${format}`;
+  res.set({
+    'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson',
+    'Content-Disposition': `attachment; filename="${fileName}"`,
+    'Cache-Control': 'no-store',
+  });
+  if (format === 'csv') {
+    res.write(csvRow(CSV_COLUMNS));
+  }
+
+  let exported = 0;
+  try {
+    for (let next = first; !next.done; next = await records.next()) {
+      if (res.destroyed) break;
+
+      const line = format === 'csv'
+        ? csvRow(CSV_COLUMNS.map((column) => next.value[column]))
+        : `${JSON.stringify(next.value)}\n`;
+      exported++;
+      if (!res.write(line)) {
+        await waitForDrain(res);
+      }
+    }
+  } catch (error) {
+    // Headers are sent: all that is left is to cut the download short
+    req.logger.error('Audit export failed', { error_message: error.message, exported });
+    res.destroy();
+    return;
+  } finally {
+    await records.return();
+  }
+
+  req.logger.info('Audit export finished', { format, exported, aborted: res.destroyed });
+  res.end();
+}));
+
+module.exports = router;
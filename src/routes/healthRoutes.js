@@ -8,6 +8,7 @@ const router = express.Router();
 const logger = require('../utils/logger');
 const { metrics, register } = require('../utils/metrics');
 const config = require('../config');
+const { tracer, traceStore } = require('../utils/tracing');
 
 // Health check state
 const healthState = {
@@ -206,6 +207,8 @@ router.get('/detailed', async (req, res) => {
       },
     },
     checks,
+    logRetention: await logger.getRetentionState(),
+    tracing: { ...tracer.getStats(), store: traceStore.getStats() },
   };
 
   res.json(response);
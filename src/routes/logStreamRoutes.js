@@ -0,0 +1,124 @@
+/**
+ * Log Stream Routes
+ * Live tail of this process's logs over Server-Sent Events, protected by the
+ * admin token (available in every environment, unlike the debug scenarios)
+ */
+
+const express = require('express');
+const router = express.Router();
+const config = require('../config');
+const logger = require('../utils/logger');
+const logStream = require('../utils/logStream');
+const { requireAdminToken } = require('../middleware/security');
+const { ValidationError, ServiceUnavailableError } = require('../middleware/errorHandler');
+
+const LEVEL_NAMES = Object.keys(logger.levels);
+const METADATA_PREFIX = 'meta.';
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+router.use(requireAdminToken);
+
+/**
+ * Read stream filters from the query string
+ */
+const parseFilters = (query) => {
+  const errors = [];
+
+  if (query.level !== undefined && !LEVEL_NAMES.includes(query.level)) {
+    errors.push({ field: 'level', message: `level must be one of ${LEVEL_NAMES.join(', ')}`, value: query.level });
+  }
+
+  const history = query.history === undefined ? 0 : Number(query.history);
+  const { historySize } = config.logging.stream;
+  if (!Number.isInteger(history) || history < 0 || history > historySize) {
+    errors.push({ field: 'history', message: `history must be between 0 and ${historySize}`, value: query.history });
+  }
+
+  if (errors.length) {
+    throw new ValidationError('Validation failed', errors);
+  }
+
+  // meta.<path>=value, e.g. meta.module=models/User or meta.status_code=500
+  const metadata = {};
+  for (const [key, value] of Object.entries(query)) {
+    if (key.startsWith(METADATA_PREFIX) && typeof value === 'string') {
+      metadata[key.slice(METADATA_PREFIX.length)] = value;
+    }
+  }
+
+  return {
+    history,
+    filters: {
+      level: query.level,
+      requestId: query.request_id,
+      traceId: query.trace_id,
+      contains: query.q,
+      metadata,
+    },
+  };
+};
+
+/**
+ * @route   GET /debug/logs/stream
+ * @desc    Stream log records as Server-Sent Events
+ * @query   level, request_id, trace_id, q (message substring), meta.<path>, history (records to replay)
+ */
+router.get('/stream', (req, res) => {
+  if (!config.logging.stream.enabled) {
+    throw new ServiceUnavailableError('Log streaming is disabled');
+  }
+
+  const { filters, history } = parseFilters(req.query);
+
+  // no-transform keeps the compression middleware from buffering events
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+
+  let heartbeat = null;
+
+  const unsubscribe = logStream.subscribe(res, {
+    filter: logStream.createFilter(filters, logger.levels),
+    historyLimit: history,
+    onClose: (event, data) => {
+      clearInterval(heartbeat);
+      req.logger.warn('Log stream closed by server', { event, ...data });
+    },
+  });
+
+  if (!unsubscribe) {
+    throw new ServiceUnavailableError('Too many log stream subscribers');
+  }
+
+  heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_INTERVAL_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    if (unsubscribe()) {
+      req.logger.info('Log stream subscriber disconnected');
+    }
+  });
+
+  logger.audit('LOG_STREAM_OPENED', 'admin', 'logs', { filters, history });
+});
+
+/**
+ * @route   GET /debug/logs/stream/stats
+ * @desc    Subscriber count and history size of this process's log stream
+ */
+router.get('/stream/stats', (req, res) => {
+  res.json({
+    success: true,
+    data: logStream.getStats(),
+    meta: {
+      request_id: req.requestId,
+      pid: process.pid,
+      timestamp: new Date().toISOString(),
+    },
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,178 @@
+/**
+ * Trace Routes
+ * Recent traces of this process from the local trace store, as listings, a
+ * JSON span tree and an HTML waterfall, protected by the admin token
+ */
+
+const express = require('express');
+const router = express.Router();
+const { query, param } = require('express-validator');
+const config = require('../config');
+const { traceStore } = require('../utils/tracing');
+const { requireAdminToken } = require('../middleware/security');
+const {
+  asyncHandler,
+  runValidations,
+  NotFoundError,
+  ServiceUnavailableError,
+} = require('../middleware/errorHandler');
+
+const DEFAULT_LIMIT = 50;
+
+router.use(requireAdminToken);
+
+router.use((req, res, next) => {
+  if (!traceStore.enabled) {
+    return next(new ServiceUnavailableError('Trace store is disabled'));
+  }
+  res.set('Cache-Control', 'no-store');
+  next();
+});
+
+const traceIdValidation = param('traceId')
+  .matches(/^[0-9a-f]{32}$/)
+  .withMessage('traceId must be 32 lowercase hex characters');
+
+/**
+ * Stored trace as a span tree, or a 404
+ */
+const findTrace = (traceId) => {
+  const trace = traceStore.getTrace(traceId);
+  if (!trace) {
+    throw new NotFoundError('Trace');
+  }
+  return trace;
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * One row per span, depth first, with a bar positioned on the trace's timeline
+ */
+const renderWaterfall = (trace) => {
+  const total = trace.duration_ms || 1;
+  const rows = [];
+
+  const addRows = (node, depth) => {
+    const left = (node.offset_ms / total) * 100;
+    const width = Math.max((node.duration_ms / total) * 100, 0.2);
+    const marks = node.events.map((event) => (
+      `<i class="event" style="left:${((event.offset_ms - node.offset_ms) / (node.duration_ms || 1)) * 100}%" title="${escapeHtml(event.name)} +${event.offset_ms}ms"></i>`
+    )).join('');
+    const details = JSON.stringify({ attributes: node.attributes, status: node.status, events: node.events }, null, 2);
+
+    rows.push(`<tr class="${node.status.code === 'error' ? 'error' : ''}">
+<td class="name" style="padding-left:${depth * 16 + 4}px" title="${escapeHtml(details)}">${escapeHtml(node.name)} <small>${escapeHtml(node.kind)}</small></td>
+<td class="duration">${node.duration_ms.toFixed(3)} ms</td>
+<td class="timeline"><div class="bar" style="left:${left}%;width:${width}%">${marks}</div></td>
+</tr>`);
+    node.children.forEach((child) => addRows(child, depth + 1));
+  };
+  trace.spans.forEach((node) => addRows(node, 0));
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Trace ${escapeHtml(trace.trace_id)}</title>
+<style>
+body { font: 13px sans-serif; margin: 16px; }
+table { border-collapse: collapse; width: 100%; }
+td { border-bottom: 1px solid #eee; padding: 3px 4px; white-space: nowrap; }
+td.name { width: 30%; overflow: hidden; text-overflow: ellipsis; max-width: 400px; }
+td.duration { width: 90px; text-align: right; }
+td.timeline { position: relative; }
+.bar { position: absolute; top: 5px; height: 12px; background: #4a90d9; min-width: 2px; }
+tr.error .bar { background: #d9534f; }
+tr.error td.name { color: #d9534f; }
+.event { position: absolute; top: -2px; width: 2px; height: 16px; background: #333; }
+small { color: #888; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(trace.root_name)}</h1>
+<p>Trace <code>${escapeHtml(trace.trace_id)}</code> &middot; ${escapeHtml(trace.start_time)} &middot;
+${trace.duration_ms} ms &middot; ${trace.span_count} spans${trace.dropped_spans ? ` (${trace.dropped_spans} dropped)` : ''}
+&middot; ${trace.error_count} errors</p>
+<table>
+${rows.join('\n')}
+</table>
+</body>
+</html>
+`;
+};
+
+/**
+ * @route   GET /debug/traces
+ * @desc    Recent, slowest or errored traces of this process
+ * @query   sort (recent, slowest), errors (true), min_duration_ms, limit
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  await runValidations(req, [
+    query('sort').optional().isIn(['recent', 'slowest']).withMessage('sort must be recent or slowest'),
+    query('errors').optional().isBoolean().withMessage('errors must be true or false').toBoolean(),
+    query('min_duration_ms')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('min_duration_ms must be a positive number')
+      .toFloat(),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: config.tracing.store.maxTraces })
+      .withMessage(`limit must be between 1 and ${config.tracing.store.maxTraces}`)
+      .toInt(),
+  ]);
+
+  const traces = traceStore.listTraces({
+    sort: req.query.sort,
+    errors: req.query.errors,
+    minDurationMs: req.query.min_duration_ms,
+    limit: req.query.limit || DEFAULT_LIMIT,
+  });
+
+  res.json({
+    success: true,
+    data: traces,
+    meta: {
+      count: traces.length,
+      store: traceStore.getStats(),
+      request_id: req.requestId,
+      pid: process.pid,
+      timestamp: new Date().toISOString(),
+    },
+  });
+}));
+
+/**
+ * @route   GET /debug/traces/:traceId
+ * @desc    A trace as a span tree (offsets and durations in ms)
+ */
+router.get('/:traceId', asyncHandler(async (req, res) => {
+  await runValidations(req, [traceIdValidation]);
+
+  res.json({
+    success: true,
+    data: findTrace(req.params.traceId),
+    meta: {
+      request_id: req.requestId,
+      timestamp: new Date().toISOString(),
+    },
+  });
+}));
+
+/**
+ * @route   GET /debug/traces/:traceId/waterfall
+ * @desc    A trace as an HTML waterfall (span details on hover)
+ */
+router.get('/:traceId/waterfall', asyncHandler(async (req, res) => {
+  await runValidations(req, [traceIdValidation]);
+
+  res.type('html').send(renderWaterfall(findTrace(req.params.traceId)));
+}));
+
+module.exports = router;
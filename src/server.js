@@ -11,6 +11,10 @@ const config = require('./config');
 const logger = require('./utils/logger');
 const { markReady, markNotReady } = require('./routes/healthRoutes');
 const UserModel = require('./models/User');
+const { dumpRecentRecords } = require('./utils/flightRecorder');
+const { errorFields } = require('./utils/errorSerializer');
+const logStream = require('./utils/logStream');
+const { tracer } = require('./utils/tracing');
 
 // Create HTTP server
 const server = http.createServer(app);
@@ -61,6 +65,9 @@ const gracefulShutdown = async (signal) => {
     }
   });
 
+  // End live log streams so their connections can close
+  logStream.closeAll('shutdown');
+
   // Set timeout for force shutdown
   const shutdownTimeout = parseInt(process.env.SHUTDOWN_TIMEOUT_MS, 10) || 30000;
   const forceShutdownTimer = setTimeout(() => {
@@ -82,12 +89,17 @@ const gracefulShutdown = async (signal) => {
   }
 
   // Wait for all connections to close
-  const checkConnections = setInterval(() => {
+  const checkConnections = setInterval(async () => {
     if (serverState.connections.size === 0) {
       clearInterval(checkConnections);
-      clearTimeout(forceShutdownTimer);
 
       logger.info('All connections closed, shutting down');
+
+      // Export the spans still queued, then ship (or spool) buffered log
+      // batches before exiting
+      await tracer.shutdown();
+      await logger.drain();
+      clearTimeout(forceShutdownTimer);
       process.exit(0);
     }
   }, 100);
@@ -138,11 +150,7 @@ const startServer = async () => {
     });
 
   } catch (error) {
-    logger.error('Failed to start server', {
-      error_name: error.name,
-      error_message: error.message,
-      error_stack: error.stack,
-    });
+    logger.error('Failed to start server', errorFields(error));
     process.exit(1);
   }
 };
@@ -158,11 +166,7 @@ process.on('SIGINT', () => gracefulShutdown('SIGINT'));
 // Unhandled promise rejections
 process.on('unhandledRejection', (reason, promise) => {
   logger.error('Unhandled Promise Rejection', {
-    reason: reason instanceof Error ? {
-      name: reason.name,
-      message: reason.message,
-      stack: reason.stack,
-    } : reason,
+    ...errorFields(reason),
     promise: promise.toString(),
   });
 
@@ -172,10 +176,17 @@ process.on('unhandledRejection', (reason, promise) => {
 
 // Uncaught exceptions
 process.on('uncaughtException', (error) => {
+  // Dump recent log records synchronously before anything else can fail
+  let flightRecorderDump = null;
+  try {
+    flightRecorderDump = dumpRecentRecords('uncaughtException', error);
+  } catch (dumpError) {
+    logger.error('Failed to write flight recorder dump', { error_message: dumpError.message });
+  }
+
   logger.error('Uncaught Exception', {
-    error_name: error.name,
-    error_message: error.message,
-    error_stack: error.stack,
+    ...errorFields(error),
+    flight_recorder_dump: flightRecorderDump,
   });
 
   // Force shutdown on uncaught exception
@@ -186,11 +197,7 @@ process.on('uncaughtException', (error) => {
 
 // Warning handler
 process.on('warning', (warning) => {
-  logger.warn('Process Warning', {
-    warning_name: warning.name,
-    warning_message: warning.message,
-    warning_stack: warning.stack,
-  });
+  logger.warn('Process Warning', errorFields(warning, 'warning_'));
 });
 
 // Start the server
@@ -0,0 +1,141 @@
+/**
+ * Audit Service
+ * Queries over the audit trail written by logger.audit(): filtering, cursor
+ * pagination and export across every chain, reading only the daily files
+ * (plain or gzipped) that the audit index says can match
+ */
+
+const logger = require('../utils/logger').forModule('services/auditService');
+const { readAuditLines, parseAuditLine } = require('../utils/auditLog');
+const { updateAuditIndex, summaryMayMatch, recordMatches } = require('../utils/auditIndex');
+const { ValidationError, ServiceUnavailableError } = require('../middleware/errorHandler');
+
+const compareValues = (a, b) => {
+  if (a < b) return -1;
+  return a > b ? 1 : 0;
+};
+
+/**
+ * Order of records across chains: timestamp, then chain, then sequence
+ */
+const compareRecords = (a, b) => {
+  return compareValues(a.timestamp, b.timestamp) || compareValues(a.chain, b.chain) || a.seq - b.seq;
+};
+
+class AuditService {
+  constructor() {
+    this.indexSaveFailed = false;
+  }
+
+  /**
+   * Audit directory, or a 503 when the audit log is disabled
+   */
+  getDir() {
+    const dir = logger.getAuditDir();
+    if (!dir) {
+      throw new ServiceUnavailableError('Audit log is disabled (LOG_AUDIT_ENABLED is not true)');
+    }
+    return dir;
+  }
+
+  /**
+   * Opaque cursor pointing at a record
+   */
+  encodeCursor(record) {
+    return Buffer.from(JSON.stringify([record.timestamp, record.chain, record.seq])).toString('base64url');
+  }
+
+  decodeCursor(cursor) {
+    try {
+      const [timestamp, chain, seq] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+      if (typeof timestamp === 'string' && typeof chain === 'string' && Number.isInteger(seq)) {
+        return { timestamp, chain, seq };
+      }
+    } catch (error) {
+      // Reported below
+    }
+    throw new ValidationError('Validation failed', [{ field: 'cursor', message: 'Invalid cursor', value: cursor }]);
+  }
+
+  /**
+   * Matching records in order.
+   * Files are read one day at a time (all chains of a day together, since
+   * their records interleave) and a day's matches are sorted before they are
+   * yielded, so memory is bounded by the matches of one day.
+   * @param {Object} filters - { user_id, action, resource, resource_id, request_id, from, to, chain }
+   * @param {Object} [options]
+   * @param {string} [options.order] - asc or desc (default)
+   * @param {Object} [options.after] - Decoded cursor: only records after it in this order
+   */
+  async* records(filters, { order = 'desc', after = null } = {}) {
+    const entries = await updateAuditIndex(this.getDir(), {
+      onSaveError: (error) => {
+        // Queries work without the saved index; say so once
+        if (this.indexSaveFailed) return;
+        this.indexSaveFailed = true;
+        logger.warn('Audit index could not be saved', { error_message: error.message });
+      },
+    });
+
+    const direction = order === 'asc' ? 1 : -1;
+    const isAfterCursor = (record) => !after || direction * compareRecords(record, after) > 0;
+
+    const days = new Map();
+    for (const entry of entries) {
+      if (filters.chain && entry.chain !== filters.chain) continue;
+      if (!summaryMayMatch(entry.summary, filters)) continue;
+      if (after && (direction > 0
+        ? entry.summary.max_timestamp < after.timestamp
+        : entry.summary.min_timestamp > after.timestamp)) continue;
+
+      if (!days.has(entry.date)) days.set(entry.date, []);
+      days.get(entry.date).push(entry);
+    }
+
+    const dates = [...days.keys()].sort((a, b) => direction * compareValues(a, b));
+    for (const date of dates) {
+      const matches = [];
+      for (const { chain, file } of days.get(date)) {
+        for await (const line of readAuditLines(file)) {
+          const parsed = parseAuditLine(line);
+          if (!parsed) continue;
+
+          const record = { chain, ...parsed.record };
+          if (recordMatches(record, filters) && isAfterCursor(record)) {
+            matches.push(record);
+          }
+        }
+      }
+
+      matches.sort((a, b) => direction * compareRecords(a, b));
+      yield* matches;
+    }
+  }
+
+  /**
+   * One page of matching records
+   * @param {Object} filters - See records()
+   * @param {Object} options - { limit, cursor, order }
+   * @returns {Promise<Object>} { records, nextCursor } (nextCursor is null on the last page)
+   */
+  async query(filters, { limit, cursor, order }) {
+    const after = cursor ? this.decodeCursor(cursor) : null;
+    const records = [];
+    let hasMore = false;
+
+    for await (const record of this.records(filters, { order, after })) {
+      if (records.length === limit) {
+        hasMore = true;
+        break;
+      }
+      records.push(record);
+    }
+
+    return {
+      records,
+      nextCursor: hasMore ? this.encodeCursor(records[records.length - 1]) : null,
+    };
+  }
+}
+
+module.exports = new AuditService();
@@ -4,7 +4,7 @@
  */
 
 const UserModel = require('../models/User');
-const logger = require('../utils/logger');
+const logger = require('../utils/logger').forModule('services/userService');
 const { metrics } = require('../utils/metrics');
 const { Timer } = require('../utils/tracing');
 const { ValidationError, NotFoundError, ConflictError } = require('../middleware/errorHandler');
@@ -48,6 +48,7 @@ class UserService {
 
       // Log audit event
       logger.audit('USER_CREATED', context.userId || 'system', 'user', {
+        resource_id: user.id,
         new_user_id: user.id,
         email: user.email,
         request_id: context.requestId,
@@ -168,7 +169,7 @@ class UserService {
 
       // Log audit event
       logger.audit('USER_UPDATED', context.userId || 'system', 'user', {
-        user_id: id,
+        resource_id: id,
         updated_fields: Object.keys(updateData),
         request_id: context.requestId,
       });
@@ -207,6 +208,7 @@ class UserService {
 
       // Log audit event
       logger.audit('USER_DELETED', context.userId || 'system', 'user', {
+        resource_id: id,
         deleted_user_id: id,
         deleted_email: user.email,
         request_id: context.requestId,
@@ -259,6 +261,7 @@ class UserService {
       }
 
       logger.audit('USER_BULK_UPDATE', context.userId || 'system', 'users', {
+        resource_id: userIds,
         total: userIds.length,
         success_count: results.success.length,
         failed_count: results.failed.length,
@@ -0,0 +1,203 @@
+/**
+ * Audit Log Index
+ * Per-file summaries of the audit trail (time range and the actors, actions,
+ * resources, resource ids and request ids each file contains) so that
+ * queries only read files that can match. Kept next to the files in
+ * .index.json: archives are summarized once, the file being written is
+ * summarized incrementally from where the previous update stopped.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { listAuditFiles, readAuditLines, parseAuditLine } = require('./auditLog');
+
+const INDEX_FILE = '.index.json';
+const INDEX_VERSION = 1;
+
+// Record field -> summary key listing its values
+const INDEXED_FIELDS = {
+  user_id: 'actors',
+  action: 'actions',
+  resource: 'resources',
+  resource_id: 'resource_ids',
+  request_id: 'request_ids',
+};
+
+// Last index read or written per directory, and updates in progress
+const cache = new Map();
+const updates = new Map();
+
+/**
+ * Values of a record field as strings (resource_id may be a list of ids)
+ */
+const fieldValues = (value) => {
+  if (value === undefined || value === null) return [];
+  return (Array.isArray(value) ? value : [value]).map(String);
+};
+
+const emptySummary = () => ({
+  size: 0,
+  records: 0,
+  min_timestamp: null,
+  max_timestamp: null,
+  ...Object.fromEntries(Object.values(INDEXED_FIELDS).map((key) => [key, []])),
+});
+
+/**
+ * Summarize a file, or only the bytes appended since `previous` was taken.
+ * A plain file is read up to its last complete line; a line being written
+ * is picked up by the next update.
+ * @param {Object} entry - { file, compressed } from listAuditFiles
+ * @param {number} size - Current file size
+ * @param {Object} [previous] - Summary to extend
+ */
+const summarizeFile = async ({ file, compressed }, size, previous) => {
+  const summary = { ...(previous || emptySummary()) };
+  const values = Object.fromEntries(Object.values(INDEXED_FIELDS).map((key) => [key, new Set(summary[key])]));
+
+  const addLine = (line) => {
+    const parsed = parseAuditLine(line);
+    if (!parsed) return;
+
+    const { record } = parsed;
+    summary.records++;
+    if (typeof record.timestamp === 'string') {
+      if (!summary.min_timestamp || record.timestamp < summary.min_timestamp) summary.min_timestamp = record.timestamp;
+      if (!summary.max_timestamp || record.timestamp > summary.max_timestamp) summary.max_timestamp = record.timestamp;
+    }
+    for (const [field, key] of Object.entries(INDEXED_FIELDS)) {
+      fieldValues(record[field]).forEach((value) => values[key].add(value));
+    }
+  };
+
+  if (compressed) {
+    for await (const line of readAuditLines(file)) {
+      addLine(line);
+    }
+    summary.size = size;
+  } else {
+    const handle = await fs.promises.open(file, 'r');
+    try {
+      const buffer = Buffer.alloc(size - summary.size);
+      const { bytesRead } = await handle.read(buffer, 0, buffer.length, summary.size);
+      const end = buffer.subarray(0, bytesRead).lastIndexOf(0x0a) + 1;
+      buffer.toString('utf8', 0, end).split('\n').forEach(addLine);
+      summary.size += end;
+    } finally {
+      await handle.close();
+    }
+  }
+
+  for (const key of Object.values(INDEXED_FIELDS)) {
+    summary[key] = [...values[key]];
+  }
+  return summary;
+};
+
+const loadIndex = async (dir) => {
+  try {
+    const index = JSON.parse(await fs.promises.readFile(path.join(dir, INDEX_FILE), 'utf8'));
+    return index.version === INDEX_VERSION ? index.files : {};
+  } catch (error) {
+    // Missing or unreadable: rebuilt from the files
+    return {};
+  }
+};
+
+/**
+ * Write the index under a temporary name first so readers never see half of it
+ */
+const saveIndex = async (dir, files) => {
+  const file = path.join(dir, INDEX_FILE);
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tmp, JSON.stringify({ version: INDEX_VERSION, files }));
+  await fs.promises.rename(tmp, file);
+};
+
+const refreshIndex = async (dir, onSaveError) => {
+  const previous = cache.get(dir) || await loadIndex(dir);
+  const files = {};
+  const entries = [];
+  let changed = false;
+
+  for (const [chain, chainFiles] of Object.entries(listAuditFiles(dir))) {
+    for (const entry of chainFiles) {
+      const name = path.basename(entry.file);
+      let summary = previous[name];
+
+      try {
+        const { size } = await fs.promises.stat(entry.file);
+        if (!summary || size < summary.size || (entry.compressed && size !== summary.size)) {
+          summary = await summarizeFile(entry, size, null);
+          changed = true;
+        } else if (size > summary.size) {
+          summary = await summarizeFile(entry, size, summary);
+          changed = true;
+        }
+      } catch (error) {
+        // Compressed or deleted by retention since it was listed
+        if (error.code === 'ENOENT') continue;
+        throw error;
+      }
+
+      files[name] = summary;
+      entries.push({ chain, ...entry, summary });
+    }
+  }
+
+  if (changed || Object.keys(previous).length !== Object.keys(files).length) {
+    await saveIndex(dir, files).catch(onSaveError);
+  }
+  cache.set(dir, files);
+  return entries;
+};
+
+/**
+ * Bring the index of a directory up to date with its files.
+ * Concurrent callers share one update.
+ * @param {string} dir - Audit directory
+ * @param {Object} [options]
+ * @param {Function} [options.onSaveError] - (error) when the index cannot be written;
+ *   it is kept in memory and queries still work
+ * @returns {Promise<Object[]>} [{ chain, file, date, compressed, summary }]
+ */
+const updateAuditIndex = (dir, { onSaveError = () => {} } = {}) => {
+  if (!updates.has(dir)) {
+    updates.set(dir, refreshIndex(dir, onSaveError).finally(() => updates.delete(dir)));
+  }
+  return updates.get(dir);
+};
+
+/**
+ * Whether a file with this summary can hold records matching the filters
+ * @param {Object} summary - File summary
+ * @param {Object} filters - Record field -> value, plus from (inclusive) and to (exclusive) timestamps
+ */
+const summaryMayMatch = (summary, filters) => {
+  if (summary.records === 0) return false;
+  if (filters.from && summary.max_timestamp < filters.from) return false;
+  if (filters.to && summary.min_timestamp >= filters.to) return false;
+
+  return Object.entries(INDEXED_FIELDS).every(([field, key]) => {
+    return filters[field] === undefined || summary[key].includes(filters[field]);
+  });
+};
+
+/**
+ * Whether a record matches the filters (see summaryMayMatch)
+ */
+const recordMatches = (record, filters) => {
+  if (filters.from && !(record.timestamp >= filters.from)) return false;
+  if (filters.to && !(record.timestamp < filters.to)) return false;
+
+  return Object.keys(INDEXED_FIELDS).every((field) => {
+    return filters[field] === undefined || fieldValues(record[field]).includes(filters[field]);
+  });
+};
+
+module.exports = {
+  INDEXED_FIELDS,
+  updateAuditIndex,
+  summaryMayMatch,
+  recordMatches,
+};
@@ -0,0 +1,294 @@
+/**
+ * Audit Log
+ * Tamper-evident audit trail kept apart from the app log: one JSON record per
+ * line in daily files with their own retention. Each record carries a
+ * sequence number and the hash of the previous record, and its own hash is an
+ * HMAC over the serialized record, so edits, deletions and reordering break
+ * the chain (see scripts/verify-audit-log.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const readline = require('readline');
+const { pipeline } = require('stream/promises');
+const { formatTimestamp } = require('./logFormats');
+
+// prev_hash of the first record of a chain
+const GENESIS_HASH = '0'.repeat(64);
+
+// Chain written by a single process or the cluster primary
+const MAIN_CHAIN = 'main';
+
+// [<chain>-]audit-YYYY-MM-DD.log[.gz]; the main chain has no prefix
+const AUDIT_FILE_PATTERN = /^(?:(.+)-)?audit-(\d{4}-\d{2}-\d{2})\.log(\.gz)?$/;
+
+// A line is the serialized record with its hash appended as the last field
+const HASH_FIELD_PATTERN = /,"hash":"([0-9a-f]{64})"\}$/;
+
+// Retention checkpoint of a chain: the last record of the newest pruned file
+const CHECKPOINT_FILE_SUFFIX = '-checkpoint.json';
+
+const MIN_KEY_LENGTH = 32;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * HMAC-SHA256 of a serialized record (without its hash field)
+ */
+const hashRecord = (key, body) => crypto.createHmac('sha256', key).update(body).digest('hex');
+
+/**
+ * Split a line into the hashed body, the stored hash and the parsed record
+ * @returns {Object|null} { body, hash, record }, or null for a malformed line
+ */
+const parseAuditLine = (line) => {
+  const match = HASH_FIELD_PATTERN.exec(line);
+  if (!match) return null;
+
+  try {
+    return {
+      body: `${line.slice(0, match.index)}}`,
+      hash: match[1],
+      record: JSON.parse(line),
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Validate audit options at startup
+ */
+const assertAuditOptions = ({ hmacKey, retentionDays }) => {
+  if (!hmacKey || hmacKey.length < MIN_KEY_LENGTH) {
+    throw new Error(`LOG_AUDIT_HMAC_KEY must be at least ${MIN_KEY_LENGTH} characters when the audit log is enabled`);
+  }
+  if (!(retentionDays > 0)) {
+    throw new Error('LOG_AUDIT_RETENTION_DAYS must be a positive number of days');
+  }
+};
+
+/**
+ * List audit files by chain, oldest first.
+ * When a day exists both plain and compressed (compression interrupted after
+ * the archive was complete) only the archive is listed.
+ * @returns {Object} chain -> [{ file, date, compressed }]
+ */
+const listAuditFiles = (dir) => {
+  if (!fs.existsSync(dir)) return {};
+
+  const days = new Map();
+  for (const name of fs.readdirSync(dir)) {
+    const match = AUDIT_FILE_PATTERN.exec(name);
+    if (!match) continue;
+
+    const [, chain = MAIN_CHAIN, date, gz] = match;
+    const id = `${chain}/${date}`;
+    if (days.has(id) && days.get(id).compressed) continue;
+    days.set(id, { chain, file: path.join(dir, name), date, compressed: Boolean(gz) });
+  }
+
+  const chains = {};
+  for (const { chain, ...entry } of days.values()) {
+    (chains[chain] = chains[chain] || []).push(entry);
+  }
+  for (const files of Object.values(chains)) {
+    files.sort((a, b) => a.date.localeCompare(b.date));
+  }
+  return chains;
+};
+
+/**
+ * Read the lines of an audit file (plain or gzipped), including empty ones so
+ * that callers can report line numbers
+ */
+async function* readAuditLines(file) {
+  const input = fs.createReadStream(file);
+  const source = file.endsWith('.gz') ? input.pipe(zlib.createGunzip()) : input;
+  yield* readline.createInterface({ input: source, crlfDelay: Infinity });
+}
+
+/**
+ * Last valid record of a chain, read synchronously at startup
+ */
+const readChainHead = (files) => {
+  for (const { file, compressed } of [...files].reverse()) {
+    const content = compressed ? zlib.gunzipSync(fs.readFileSync(file)) : fs.readFileSync(file);
+    const lines = content.toString('utf8').split('\n');
+    for (let i = lines.length - 1; i >= 0; i--) {
+      const parsed = parseAuditLine(lines[i]);
+      if (parsed && Number.isInteger(parsed.record.seq)) {
+        return { seq: parsed.record.seq, hash: parsed.hash };
+      }
+    }
+  }
+  return { seq: 0, hash: GENESIS_HASH };
+};
+
+const checkpointFile = (dir, chain) => path.join(dir, `.${chain}${CHECKPOINT_FILE_SUFFIX}`);
+
+/**
+ * Retention checkpoint of a chain, written in the audit line format so that
+ * its hash verifies like a record's
+ * @returns {Object|null} { body, hash, record: { chain, last_seq, last_hash, file, pruned_at } }
+ */
+const readCheckpoint = (dir, chain) => {
+  try {
+    return parseAuditLine(fs.readFileSync(checkpointFile(dir, chain), 'utf8').trim());
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Delete the oldest file of a chain, first recording its last record in the
+ * chain's retention checkpoint so that the verifier can tell pruning from
+ * removed records
+ * @param {Object} chainOptions - { dir, chain, hmacKey }
+ * @param {Object} entry - { file, compressed } as listed by listAuditFiles
+ */
+const pruneAuditFile = async ({ dir, chain, hmacKey }, { file, compressed }) => {
+  const last = readChainHead([{ file, compressed }]);
+  const current = readCheckpoint(dir, chain);
+
+  if (last.seq > 0 && !(current && current.record.last_seq >= last.seq)) {
+    const body = JSON.stringify({
+      chain,
+      last_seq: last.seq,
+      last_hash: last.hash,
+      file: path.basename(file),
+      pruned_at: new Date().toISOString(),
+    });
+    const target = checkpointFile(dir, chain);
+    await fs.promises.writeFile(`${target}.tmp`, `${body.slice(0, -1)},"hash":"${hashRecord(hmacKey, body)}"}\n`);
+    await fs.promises.rename(`${target}.tmp`, target);
+  }
+
+  await fs.promises.unlink(file);
+};
+
+/**
+ * Create an audit log writer for one chain.
+ * Records are written synchronously, so the chain state never runs ahead of
+ * the file and the caller knows the record is written when append returns.
+ * @param {Object} options
+ * @param {string} options.dir - Audit directory
+ * @param {string} options.hmacKey - HMAC key
+ * @param {string} [options.chain] - Chain name (MAIN_CHAIN, or "worker-<id>" for a worker on its own)
+ * @param {number} options.retentionDays - Days of files kept
+ * @param {boolean} options.compress - Gzip files of previous days
+ * @param {Function} [options.onError] - (error, details) for failed compression or cleanup
+ */
+const createAuditLog = ({ dir, hmacKey, chain = MAIN_CHAIN, retentionDays, compress, onError = () => {} }) => {
+  fs.mkdirSync(dir, { recursive: true });
+
+  const prefix = chain === MAIN_CHAIN ? '' : `${chain}-`;
+  // A chain whose files were all pruned continues from its retention checkpoint
+  const files = listAuditFiles(dir)[chain] || [];
+  const checkpoint = files.length === 0 ? readCheckpoint(dir, chain) : null;
+  let { seq, hash: prevHash } = checkpoint
+    ? { seq: checkpoint.record.last_seq, hash: checkpoint.record.last_hash }
+    : readChainHead(files);
+
+  let fd = null;
+  let currentDate = null;
+
+  const stats = {
+    written: 0,
+    failed: 0,
+  };
+
+  /**
+   * Gzip files of previous days and delete files past retention
+   */
+  const maintain = async (today) => {
+    const cutoff = formatTimestamp(new Date(Date.now() - retentionDays * DAY_MS)).substring(0, 10);
+
+    for (const { file, date, compressed } of listAuditFiles(dir)[chain] || []) {
+      try {
+        if (date < cutoff) {
+          await pruneAuditFile({ dir, chain, hmacKey }, { file, compressed });
+        } else if (compress && !compressed && date < today) {
+          // Write the archive under a temporary name so a crash never leaves a truncated .gz
+          const archive = `${file}.gz`;
+          await pipeline(fs.createReadStream(file), zlib.createGzip(), fs.createWriteStream(`${archive}.tmp`));
+          await fs.promises.rename(`${archive}.tmp`, archive);
+          await fs.promises.unlink(file);
+        }
+      } catch (error) {
+        onError(error, { file });
+      }
+    }
+  };
+
+  const openForDate = (date) => {
+    if (date === currentDate) return;
+
+    if (fd !== null) {
+      fs.closeSync(fd);
+    }
+    fd = fs.openSync(path.join(dir, `${prefix}audit-${date}.log`), 'a');
+    currentDate = date;
+    maintain(date).catch((error) => onError(error, { dir }));
+  };
+
+  return {
+    chain,
+
+    /**
+     * Append a record; seq, timestamp, prev_hash and hash are added here
+     * @param {Object} fields - Record fields (action, user_id, resource, metadata, ...)
+     * @returns {Object} { seq, hash }
+     */
+    append(fields) {
+      const now = new Date();
+      const record = {
+        seq: seq + 1,
+        timestamp: now.toISOString(),
+        ...fields,
+        prev_hash: prevHash,
+      };
+      const body = JSON.stringify(record);
+      const hash = hashRecord(hmacKey, body);
+
+      try {
+        openForDate(formatTimestamp(now).substring(0, 10));
+        fs.writeSync(fd, `${body.slice(0, -1)},"hash":"${hash}"}\n`);
+      } catch (error) {
+        stats.failed++;
+        throw error;
+      }
+
+      seq = record.seq;
+      prevHash = hash;
+      stats.written++;
+      return { seq, hash };
+    },
+
+    getStats() {
+      return { ...stats, chain, seq, hash: prevHash };
+    },
+
+    close() {
+      if (fd !== null) {
+        fs.closeSync(fd);
+        fd = null;
+        currentDate = null;
+      }
+    },
+  };
+};
+
+module.exports = {
+  GENESIS_HASH,
+  MAIN_CHAIN,
+  hashRecord,
+  parseAuditLine,
+  assertAuditOptions,
+  listAuditFiles,
+  readAuditLines,
+  readCheckpoint,
+  pruneAuditFile,
+  createAuditLog,
+};
@@ -0,0 +1,26 @@
+/**
+ * Child Loggers
+ * Lightweight child loggers that share their root's transports and level state
+ */
+
+/**
+ * Create a child logger carrying extra metadata.
+ * The child is a prototype-linked view of its parent: it only owns the merged
+ * metadata, so creating one per request (or per span/operation) allocates a
+ * single object. Helpers, levels and runtime level changes are inherited, and
+ * children can be nested (request -> span -> operation).
+ */
+const createChildLogger = (parent, metadata = {}) => {
+  return Object.create(parent, {
+    defaultMeta: {
+      value: { ...parent.defaultMeta, ...metadata },
+      writable: true,
+      enumerable: true,
+      configurable: true,
+    },
+  });
+};
+
+module.exports = {
+  createChildLogger,
+};
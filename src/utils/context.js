@@ -0,0 +1,91 @@
+/**
+ * Request Context
+ * Request-scoped context propagation using AsyncLocalStorage
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+// Context keys stamped onto every log record, mapped to their log field names
+const LOG_CONTEXT_FIELDS = {
+  requestId: 'request_id',
+  traceId: 'trace_id',
+  spanId: 'span_id',
+  userId: 'user_id',
+  debugSession: 'debug_session',
+};
+
+/**
+ * Run a function inside a new request context
+ */
+const runWithContext = (context, fn) => {
+  return storage.run({ ...context }, fn);
+};
+
+/**
+ * Run a function inside a child of the current context (e.g. a nested span).
+ * Changes made inside the child do not leak back into the parent.
+ */
+const runWithChildContext = (values, fn) => {
+  return storage.run({ ...storage.getStore(), ...values }, fn);
+};
+
+/**
+ * Get the current request context (undefined outside of a request)
+ */
+const getContext = () => storage.getStore();
+
+/**
+ * Extend the current request context, e.g. once the user is authenticated
+ */
+const setContext = (values) => {
+  const store = storage.getStore();
+  if (!store) return undefined;
+
+  Object.assign(store, values);
+  return store;
+};
+
+/**
+ * Get the current context as log fields (request_id, trace_id, span_id, user_id, debug_session)
+ */
+const getLogContext = () => {
+  const store = storage.getStore();
+  const fields = {};
+  if (!store) return fields;
+
+  for (const [key, field] of Object.entries(LOG_CONTEXT_FIELDS)) {
+    if (store[key] !== undefined && store[key] !== null) {
+      fields[field] = store[key];
+    }
+  }
+
+  return fields;
+};
+
+/**
+ * Stamp the current context onto a log record without overriding explicit values
+ */
+const applyLogContext = (info) => {
+  const store = storage.getStore();
+  if (!store) return info;
+
+  for (const [key, field] of Object.entries(LOG_CONTEXT_FIELDS)) {
+    if (info[field] === undefined && store[key] !== undefined && store[key] !== null) {
+      info[field] = store[key];
+    }
+  }
+
+  return info;
+};
+
+module.exports = {
+  LOG_CONTEXT_FIELDS,
+  runWithContext,
+  runWithChildContext,
+  getContext,
+  setContext,
+  getLogContext,
+  applyLogContext,
+};
@@ -0,0 +1,104 @@
+/**
+ * Debug Tokens
+ * Signed, expiring tokens that turn on trace logging for the requests that
+ * carry them (see requestLogger.js). A token is
+ * v1.<base64url JSON payload>.<base64url HMAC-SHA256 of the payload>, with the
+ * payload { sid, exp, reason }: sid names the debug session that tags every
+ * line and response, exp is the expiry in epoch seconds.
+ */
+
+const crypto = require('crypto');
+
+const VERSION = 'v1';
+const MIN_SECRET_LENGTH = 32;
+
+/**
+ * Validate debug token options at startup
+ */
+const assertDebugTokenOptions = ({ secret, maxTtlSeconds, maxBodyBytes }) => {
+  if (!secret || secret.length < MIN_SECRET_LENGTH) {
+    throw new Error(`LOG_DEBUG_TOKEN_SECRET must be at least ${MIN_SECRET_LENGTH} characters`);
+  }
+  if (!(maxTtlSeconds > 0)) {
+    throw new Error('LOG_DEBUG_TOKEN_MAX_TTL_SECONDS must be a positive number');
+  }
+  if (!(maxBodyBytes > 0)) {
+    throw new Error('LOG_DEBUG_MAX_BODY_BYTES must be a positive number');
+  }
+};
+
+const sign = (secret, payload) => crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+
+/**
+ * Issue a token
+ * @param {string} secret - Signing secret
+ * @param {Object} options
+ * @param {number} options.ttlSeconds - Lifetime
+ * @param {string} [options.reason] - Why it was issued (e.g. a support ticket), logged on every use
+ * @returns {Object} { token, sessionId, expiresAt }
+ */
+const createDebugToken = (secret, { ttlSeconds, reason = null }) => {
+  const exp = Math.floor(Date.now() / 1000) + ttlSeconds;
+  const sid = crypto.randomBytes(8).toString('hex');
+  const payload = Buffer.from(JSON.stringify({ sid, exp, reason })).toString('base64url');
+
+  return {
+    token: `${VERSION}.${payload}.${sign(secret, payload)}`,
+    sessionId: sid,
+    expiresAt: new Date(exp * 1000).toISOString(),
+  };
+};
+
+/**
+ * Check a token's signature and expiry
+ * @param {string} secret - Signing secret
+ * @param {string} token - Header value
+ * @param {Object} options
+ * @param {number} options.maxTtlSeconds - Tokens expiring further ahead than this are refused
+ * @returns {Object} { valid: true, sessionId, reason, expiresAt } or { valid: false, error }
+ *   (error is malformed, bad_signature, expired or ttl_too_long)
+ */
+const verifyDebugToken = (secret, token, { maxTtlSeconds }) => {
+  const [version, payload, signature, ...rest] = String(token).split('.');
+  if (version !== VERSION || !payload || !signature || rest.length) {
+    return { valid: false, error: 'malformed' };
+  }
+
+  const expected = Buffer.from(sign(secret, payload));
+  const provided = Buffer.from(signature);
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+    return { valid: false, error: 'bad_signature' };
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return { valid: false, error: 'malformed' };
+  }
+  if (typeof claims.sid !== 'string' || !Number.isInteger(claims.exp)) {
+    return { valid: false, error: 'malformed' };
+  }
+
+  const now = Date.now() / 1000;
+  if (claims.exp <= now) {
+    return { valid: false, error: 'expired' };
+  }
+  // Tokens signed with the secret by other means must not outlive the limit either
+  if (claims.exp - now > maxTtlSeconds) {
+    return { valid: false, error: 'ttl_too_long' };
+  }
+
+  return {
+    valid: true,
+    sessionId: claims.sid,
+    reason: claims.reason || null,
+    expiresAt: new Date(claims.exp * 1000).toISOString(),
+  };
+};
+
+module.exports = {
+  assertDebugTokenOptions,
+  createDebugToken,
+  verifyDebugToken,
+};
@@ -0,0 +1,158 @@
+/**
+ * Error Serializer
+ * Plain-object form of errors for log records: cause chains, AggregateError
+ * members, AppError fields and other own properties, with cycle protection
+ * and limits on depth and size. Used by the logger (errorWithContext and any
+ * Error found in metadata), the error handler and the process handlers.
+ */
+
+const DEFAULT_LIMITS = {
+  maxDepth: 5, // nested causes, aggregated errors and property objects
+  maxErrors: 10, // members of an AggregateError
+  maxProperties: 20, // own properties of an error or object
+  maxArrayLength: 20,
+  maxStringLength: 1000,
+  maxStackLength: 8000,
+};
+
+// Fields read explicitly; any other own enumerable property goes to `properties`
+const KNOWN_FIELDS = ['name', 'message', 'stack', 'code', 'statusCode', 'details', 'isOperational', 'cause', 'errors'];
+
+// Errors from other realms (vm contexts) fail instanceof but keep their tag
+const isError = (value) => value instanceof Error || Object.prototype.toString.call(value) === '[object Error]';
+
+const truncate = (text, maxLength) => {
+  if (text.length <= maxLength) return text;
+  return `${text.substring(0, maxLength)}... [${text.length - maxLength} more characters]`;
+};
+
+/**
+ * Serialize any value with the limits, descending into errors, arrays and
+ * plain objects; `ancestors` holds the objects on the current path
+ */
+const serializeValue = (value, limits, depth, ancestors) => {
+  if (typeof value === 'string') return truncate(value, limits.maxStringLength);
+  if (typeof value === 'bigint') return value.toString();
+  if (typeof value === 'function') return `[Function ${value.name || 'anonymous'}]`;
+  if (typeof value === 'symbol') return value.toString();
+  if (!value || typeof value !== 'object') return value;
+
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? 'Invalid Date' : value.toISOString();
+  if (Buffer.isBuffer(value)) return `[Buffer ${value.length} bytes]`;
+  if (ancestors.has(value)) return '[Circular]';
+  if (isError(value)) return serializeErrorAt(value, limits, depth, ancestors);
+  if (depth >= limits.maxDepth) return Array.isArray(value) ? '[Array]' : '[Object]';
+
+  ancestors.add(value);
+  let result;
+  if (Array.isArray(value)) {
+    result = value.slice(0, limits.maxArrayLength).map((item) => serializeValue(item, limits, depth + 1, ancestors));
+    if (value.length > limits.maxArrayLength) {
+      result.push(`[${value.length - limits.maxArrayLength} more items]`);
+    }
+  } else {
+    const keys = Object.keys(value);
+    result = {};
+    for (const key of keys.slice(0, limits.maxProperties)) {
+      result[key] = serializeValue(value[key], limits, depth + 1, ancestors);
+    }
+    if (keys.length > limits.maxProperties) {
+      result.truncated_properties = keys.length - limits.maxProperties;
+    }
+  }
+  ancestors.delete(value);
+  return result;
+};
+
+const serializeErrorAt = (error, limits, depth, ancestors) => {
+  const summary = `${error.name || 'Error'}: ${truncate(String(error.message), limits.maxStringLength)}`;
+  if (depth >= limits.maxDepth) return `[${summary}]`;
+
+  ancestors.add(error);
+  const serialize = (value) => serializeValue(value, limits, depth + 1, ancestors);
+
+  const result = {
+    name: error.name || error.constructor?.name || 'Error',
+    message: truncate(String(error.message), limits.maxStringLength),
+    stack: typeof error.stack === 'string' ? truncate(error.stack, limits.maxStackLength) : undefined,
+    code: error.code,
+    status_code: error.statusCode,
+    details: error.details === null ? undefined : serialize(error.details),
+    is_operational: error.isOperational,
+  };
+
+  const extraKeys = Object.keys(error).filter((key) => !KNOWN_FIELDS.includes(key));
+  if (extraKeys.length) {
+    result.properties = {};
+    for (const key of extraKeys.slice(0, limits.maxProperties)) {
+      result.properties[key] = serialize(error[key]);
+    }
+    if (extraKeys.length > limits.maxProperties) {
+      result.properties.truncated_properties = extraKeys.length - limits.maxProperties;
+    }
+  }
+
+  if (error.cause !== undefined) {
+    result.cause = serialize(error.cause);
+  }
+
+  if (Array.isArray(error.errors)) {
+    result.errors = error.errors.slice(0, limits.maxErrors).map(serialize);
+    if (error.errors.length > limits.maxErrors) {
+      result.truncated_errors = error.errors.length - limits.maxErrors;
+    }
+  }
+
+  ancestors.delete(error);
+  return Object.fromEntries(Object.entries(result).filter(([, value]) => value !== undefined));
+};
+
+/**
+ * Serialize an error (or any thrown value) to a plain object:
+ * { name, message, stack, code, status_code, details, is_operational,
+ *   properties, cause, errors }, omitting fields that are not set
+ * @param {*} error - Error, AggregateError, AppError or a non-error thrown value
+ * @param {Object} [limits] - Overrides of DEFAULT_LIMITS
+ */
+const serializeError = (error, limits = {}) => {
+  const options = { ...DEFAULT_LIMITS, ...limits };
+  if (isError(error)) {
+    return serializeErrorAt(error, options, 0, new WeakSet());
+  }
+
+  // Thrown strings, objects and other values
+  if (error && typeof error === 'object') {
+    return {
+      name: 'NonError',
+      message: 'Non-error object thrown',
+      value: serializeValue(error, options, 0, new WeakSet()),
+    };
+  }
+  return {
+    name: 'NonError',
+    message: truncate(String(error), options.maxStringLength),
+  };
+};
+
+/**
+ * Error fields for a log record: the serialized error with its field names
+ * prefixed (error_name, error_message, error_stack, error_code, error_cause, ...)
+ * @param {*} error - Error or thrown value
+ * @param {string} [prefix] - Field name prefix
+ */
+const errorFields = (error, prefix = 'error_') => {
+  const fields = {};
+  for (const [key, value] of Object.entries(serializeError(error))) {
+    if (value !== undefined) {
+      fields[`${prefix}${key}`] = value;
+    }
+  }
+  return fields;
+};
+
+module.exports = {
+  DEFAULT_LIMITS,
+  isError,
+  serializeError,
+  errorFields,
+};
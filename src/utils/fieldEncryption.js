@@ -0,0 +1,111 @@
+/**
+ * Field Encryption
+ * Reversible encryption of log values (the `encrypt` redaction strategy) with
+ * AES-256-GCM. Values are written as [ENC:<key id>:<base64url iv|tag|ciphertext>]
+ * under the active key; older keys stay configured so that operators can
+ * decrypt files written before a rotation (scripts/decrypt-log.js).
+ */
+
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+const KEY_ID_PATTERN = /^[A-Za-z0-9_.-]+$/;
+
+// An encrypted value, alone or inside a string
+const ENCRYPTED_PATTERN = /\[ENC:([A-Za-z0-9_.-]+):([A-Za-z0-9_-]+)\]/g;
+
+/**
+ * Decode a key given as 64 hex characters or unpadded base64url
+ */
+const decodeKey = (keyId, encoded) => {
+  const key = /^[0-9a-f]{64}$/i.test(encoded)
+    ? Buffer.from(encoded, 'hex')
+    : Buffer.from(encoded, 'base64url');
+  if (key.length !== KEY_BYTES) {
+    throw new Error(`LOG_ENCRYPTION_KEYS: key "${keyId}" must be ${KEY_BYTES} bytes (64 hex characters or base64url)`);
+  }
+  return key;
+};
+
+/**
+ * Validate key ids, keys and the active key id
+ */
+const assertEncryptionOptions = ({ keys, activeKeyId }) => {
+  for (const [keyId, encoded] of Object.entries(keys)) {
+    if (!KEY_ID_PATTERN.test(keyId)) {
+      throw new Error(`LOG_ENCRYPTION_KEYS: invalid key id "${keyId}" (letters, digits, ".", "_" and "-")`);
+    }
+    decodeKey(keyId, encoded);
+  }
+  if (activeKeyId && !keys[activeKeyId]) {
+    throw new Error(`LOG_ENCRYPTION_KEY_ID "${activeKeyId}" is not in LOG_ENCRYPTION_KEYS`);
+  }
+};
+
+/**
+ * Create a cipher over the configured keys (throws on invalid keys)
+ * @param {Object} options
+ * @param {Object} options.keys - Key id -> key (hex or base64url)
+ * @param {string} [options.activeKeyId] - Key id used to encrypt (defaults to the last listed)
+ */
+const createFieldCipher = ({ keys, activeKeyId }) => {
+  assertEncryptionOptions({ keys, activeKeyId });
+  const decoded = new Map(Object.entries(keys).map(([keyId, encoded]) => [keyId, decodeKey(keyId, encoded)]));
+  const encryptKeyId = activeKeyId || [...decoded.keys()].pop() || null;
+
+  return {
+    keyId: encryptKeyId,
+
+    /**
+     * Encrypt a value (serialized as JSON, so decrypt returns the same type).
+     * The key id is authenticated along with the ciphertext.
+     */
+    encrypt(value) {
+      if (!encryptKeyId) {
+        throw new Error('No encryption key configured (LOG_ENCRYPTION_KEYS)');
+      }
+
+      const iv = crypto.randomBytes(IV_BYTES);
+      const cipher = crypto.createCipheriv(ALGORITHM, decoded.get(encryptKeyId), iv);
+      cipher.setAAD(Buffer.from(encryptKeyId));
+      const ciphertext = Buffer.concat([cipher.update(JSON.stringify(value) ?? 'null', 'utf8'), cipher.final()]);
+      const payload = Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64url');
+
+      return `[ENC:${encryptKeyId}:${payload}]`;
+    },
+
+    /**
+     * Decrypt one [ENC:...] token
+     * @throws {Error} Unknown key id, or a token that was modified or is not ours
+     */
+    decrypt(token) {
+      const match = /^\[ENC:([A-Za-z0-9_.-]+):([A-Za-z0-9_-]+)\]$/.exec(token);
+      if (!match) {
+        throw new Error('Not an encrypted value');
+      }
+
+      const [, keyId, payload] = match;
+      const key = decoded.get(keyId);
+      if (!key) {
+        throw new Error(`Unknown encryption key id "${keyId}"`);
+      }
+
+      const data = Buffer.from(payload, 'base64url');
+      const decipher = crypto.createDecipheriv(ALGORITHM, key, data.subarray(0, IV_BYTES));
+      decipher.setAAD(Buffer.from(keyId));
+      decipher.setAuthTag(data.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+      const plaintext = Buffer.concat([decipher.update(data.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]);
+
+      return JSON.parse(plaintext.toString('utf8'));
+    },
+  };
+};
+
+module.exports = {
+  ENCRYPTED_PATTERN,
+  createFieldCipher,
+};
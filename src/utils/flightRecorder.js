@@ -0,0 +1,117 @@
+/**
+ * Flight Recorder
+ * Bounded in-memory buffers of recent log records: per request (debug/trace
+ * lines suppressed by the log level, flushed when the request fails or is slow)
+ * and process-wide (dumped to a file when the process crashes)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const { getContext } = require('./context');
+const { redactRecord } = require('./redaction');
+const { sanitizeRecord } = require('./logSanitizer');
+const { errorFields } = require('./errorSerializer');
+const { RingBuffer } = require('./ringBuffer');
+const { RECORD_TIME } = require('./logFormats');
+
+const { enabled, requestBufferSize, processBufferSize } = config.logging.flightRecorder;
+
+// Recent records of the whole process, emitted or not
+const recentRecords = new RingBuffer(enabled ? processBufferSize : 0);
+
+/**
+ * Create the buffer for one request's suppressed records (null when disabled)
+ */
+const createRequestRecorder = () => (enabled ? new RingBuffer(requestBufferSize) : null);
+
+/**
+ * Record a log record. Called by the logger for every record at write time;
+ * `emitted` is false when the runtime level suppresses it.
+ * Only references are kept: emitted records are redacted and sanitized in
+ * place by the logger, suppressed ones when flushed or dumped.
+ */
+const captureRecord = (level, info, emitted) => {
+  if (!enabled || info.flight_recorder) return;
+
+  const entry = { level, info, time: Date.now(), emitted };
+  recentRecords.push(entry);
+
+  if (!emitted) {
+    const recorder = getContext()?.flightRecorder;
+    if (recorder) {
+      recorder.push(entry);
+    }
+  }
+};
+
+/**
+ * Write a request's buffered records to the log (at their original level)
+ */
+const flushRequestRecords = (recorder, logger, reason, metadata = {}) => {
+  if (!recorder || recorder.size === 0) return 0;
+
+  const entries = recorder.toArray();
+  logger.warn('Flight recorder: flushing buffered records', {
+    reason,
+    buffered_count: entries.length,
+    dropped_count: recorder.dropped,
+    ...metadata,
+  });
+
+  // The record's own fields (span_id, module) win over the logger's metadata
+  for (const { level, info, time } of entries) {
+    const { level: _level, message, ...metadata } = info;
+    logger.log(level, message, {
+      ...metadata,
+      flight_recorder: true,
+      recorded_at: new Date(time).toISOString(),
+      [RECORD_TIME]: new Date(time),
+    });
+  }
+
+  recorder.clear();
+  return entries.length;
+};
+
+/**
+ * Synchronously dump the process-wide buffer to a file in the log directory.
+ * Used on fatal errors, when asynchronous transports may never flush.
+ */
+const dumpRecentRecords = (reason, error) => {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const filePath = path.join(path.resolve(config.logging.dir), `crash-${timestamp}-${process.pid}.log`);
+
+  const lines = [JSON.stringify({
+    level: 'error',
+    message: `Flight recorder dump: ${reason}`,
+    metadata: {
+      reason,
+      pid: process.pid,
+      record_count: recentRecords.size,
+      dropped_count: recentRecords.dropped,
+      ...(error ? errorFields(error) : {}),
+    },
+    timestamp: new Date().toISOString(),
+  })];
+
+  for (const { level, info, time, emitted } of recentRecords.toArray()) {
+    const { level: _level, message, ...metadata } = emitted ? info : sanitizeRecord(redactRecord({ ...info }));
+    lines.push(JSON.stringify({
+      level,
+      message,
+      metadata: { ...metadata, emitted },
+      timestamp: new Date(time).toISOString(),
+    }));
+  }
+
+  fs.writeFileSync(filePath, `${lines.join('\n')}\n`);
+  return filePath;
+};
+
+module.exports = {
+  createRequestRecorder,
+  captureRecord,
+  flushRequestRecords,
+  dumpRecentRecords,
+};
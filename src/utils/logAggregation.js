@@ -0,0 +1,41 @@
+/**
+ * Cluster Log Aggregation
+ * The primary writes the app/error/access files and the audit chain for the
+ * whole cluster: workers forward formatted lines and audit records over IPC
+ * (see logForwarder.js), so one process appends to and rotates each file
+ */
+
+const cluster = require('cluster');
+const logger = require('./logger');
+const { MESSAGE_TYPES } = require('./logForwarder');
+
+/**
+ * Write lines and audit records forwarded by workers on the cluster primary
+ */
+const setupPrimary = () => {
+  cluster.on('message', (worker, message) => {
+    if (!message) return;
+
+    if (message.type === MESSAGE_TYPES.AUDIT) {
+      logger.writeForwardedAudit(message.record);
+      return;
+    }
+    if (message.type !== MESSAGE_TYPES.RECORDS) return;
+
+    for (const record of message.records) {
+      logger.writeForwarded(record);
+    }
+
+    if (message.dropped) {
+      logger.warn('Worker dropped log lines while the primary was busy', {
+        worker_id: worker.id,
+        worker_pid: worker.process.pid,
+        dropped: message.dropped,
+      });
+    }
+  });
+};
+
+module.exports = {
+  setupPrimary,
+};
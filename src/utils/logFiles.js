@@ -0,0 +1,232 @@
+/**
+ * Log Files
+ * Rotating app/error/access files and the routing of formatted lines between
+ * them. The winston backend uses the files as transports; the pino transport,
+ * cluster log aggregation and its per-worker fallback write to them directly.
+ * Each file queues its writes and applies the backpressure policy when the
+ * queue exceeds its limit (see QueuedRotatingFile).
+ */
+
+const path = require('path');
+const DailyRotateFile = require('winston-daily-rotate-file');
+
+// Formatted line and level keys used by winston transports (triple-beam MESSAGE and LEVEL)
+const MESSAGE = Symbol.for('message');
+const LEVEL = Symbol.for('level');
+
+// drop-debug-first: levels dropped over the limit, and levels still written
+// over twice the limit
+const VERBOSE_LEVELS = ['debug', 'trace'];
+const KEPT_LEVELS = ['error', 'warn'];
+
+const secondsSince = (start) => {
+  const [seconds, nanoseconds] = process.hrtime(start);
+  return seconds + nanoseconds / 1e9;
+};
+
+/**
+ * Daily rotating file that owns its write queue.
+ * The rotating stream underneath accepts every write and buffers it out of
+ * sight, so lines are handed to it one batch at a time: the next batch is
+ * whatever was queued while the previous one was being written. Queued bytes
+ * are those not written yet, and over backpressure.maxBytes:
+ * - block: nothing is dropped; winston (log callback) and the pino transport
+ *   (waitForRoom) stop handing over lines until the queue is under the limit
+ * - drop-debug-first: debug and trace lines are dropped, and over twice the
+ *   limit everything but errors and warnings
+ * - drop-oldest: the oldest lines not yet handed to the stream are dropped
+ */
+class QueuedRotatingFile extends DailyRotateFile {
+  /**
+   * @param {Object} options - DailyRotateFile options, plus:
+   * @param {string} options.label - Transport name in the stats (app, error, access)
+   * @param {Object} options.backpressure - { policy, maxBytes }
+   * @param {Object} options.stats - Pipeline stats (see logPipeline.js)
+   */
+  constructor({ label, backpressure, stats, ...options }) {
+    super(options);
+    this.label = label;
+    this.backpressure = backpressure;
+    this.stats = stats;
+
+    this.pending = []; // { line, bytes, level, queuedAt } not handed to the stream yet
+    this.pendingBytes = 0;
+    this.writingBytes = 0;
+    this.writing = false;
+    this.waiters = [];
+    this.closing = false;
+
+    this.on('rotate', () => stats.countRotation(label));
+  }
+
+  get queuedBytes() {
+    return this.pendingBytes + this.writingBytes;
+  }
+
+  log(info, callback = () => {}) {
+    const line = `${info[MESSAGE]}${this.options.eol}`;
+    const level = info[LEVEL] || info.level;
+    const bytes = Buffer.byteLength(line);
+    const { policy, maxBytes } = this.backpressure;
+
+    if (this.queuedBytes + bytes > maxBytes && policy !== 'block') {
+      if (policy === 'drop-oldest') {
+        while (this.pending.length && this.queuedBytes + bytes > maxBytes) {
+          const oldest = this.pending.shift();
+          this.pendingBytes -= oldest.bytes;
+          this.stats.countDropped(this.label, oldest.level);
+        }
+      } else if (VERBOSE_LEVELS.includes(level)
+        || (this.queuedBytes + bytes > 2 * maxBytes && !KEPT_LEVELS.includes(level))) {
+        this.stats.countDropped(this.label, level);
+        callback(null, true);
+        return;
+      }
+    }
+
+    this.pending.push({ line, bytes, level, queuedAt: process.hrtime() });
+    this.pendingBytes += bytes;
+    this.writeNext();
+    this.emit('logged', info);
+
+    if (policy === 'block' && this.queuedBytes > maxBytes) {
+      this.waiters.push(callback);
+    } else {
+      callback(null, true);
+    }
+  }
+
+  /**
+   * Promise resolved when the queue is back under the limit, or null when
+   * lines can be handed over now (always, unless the policy is block)
+   */
+  waitForRoom() {
+    if (this.backpressure.policy !== 'block' || this.queuedBytes <= this.backpressure.maxBytes) {
+      return null;
+    }
+    return new Promise((resolve) => this.waiters.push(resolve));
+  }
+
+  /**
+   * Hand everything queued to the stream as one write, unless a write is in progress
+   */
+  writeNext() {
+    this.stats.setQueuedBytes(this.label, this.queuedBytes);
+    if (this.writing || this.pending.length === 0) return;
+
+    const batch = this.pending;
+    this.pending = [];
+    this.writingBytes = this.pendingBytes;
+    this.pendingBytes = 0;
+    this.writing = true;
+    batch.forEach((entry) => this.stats.countLine(this.label, entry.level));
+
+    // The rotating stream passes its second argument on to the file stream,
+    // which takes a callback there
+    this.logStream.write(batch.map((entry) => entry.line).join(''), () => {
+      this.stats.observeWrite(this.label, secondsSince(batch[0].queuedAt));
+      this.writing = false;
+      this.writingBytes = 0;
+      this.writeNext();
+
+      if (this.queuedBytes <= this.backpressure.maxBytes && this.waiters.length) {
+        const waiters = this.waiters;
+        this.waiters = [];
+        waiters.forEach((resolve) => resolve(null, true));
+      }
+      if (this.closing && !this.writing) {
+        super.close();
+      }
+    });
+  }
+
+  /**
+   * Close once the queued lines are written
+   */
+  close() {
+    if (this.writing) {
+      this.closing = true;
+    } else {
+      super.close();
+    }
+  }
+}
+
+/**
+ * Create a rotating file with the same settings as the winston backend
+ * @param {Object} options - { dir, maxSize, maxFiles, zippedArchive, backpressure, stats }
+ * @param {string} prefix - File name prefix (e.g. "worker-2-")
+ * @param {string} label - app, error or access
+ * @param {Object} [transportOptions] - Winston transport options (format, level)
+ */
+const createRotatingFile = (options, prefix, label, transportOptions = {}) => {
+  return new QueuedRotatingFile({
+    ...transportOptions,
+    filename: path.join(options.dir, `${prefix}${label}-%DATE%.log`),
+    datePattern: 'YYYY-MM-DD',
+    maxSize: options.maxSize,
+    maxFiles: options.maxFiles,
+    zippedArchive: options.zippedArchive,
+    label,
+    backpressure: options.backpressure,
+    stats: options.stats,
+  });
+};
+
+/**
+ * Create the app, error and access files
+ * @param {Object} options - { dir, maxSize, maxFiles, zippedArchive, backpressure, stats }
+ * @param {string} [prefix] - File name prefix (e.g. "worker-2-")
+ */
+const createLogFiles = (options, prefix = '') => ({
+  app: createRotatingFile(options, prefix, 'app'),
+  error: createRotatingFile(options, prefix, 'error'),
+  access: createRotatingFile(options, prefix, 'access'),
+});
+
+/**
+ * Write a formatted line to the files that take it: the app file when the
+ * runtime level lets the record through, the error and access files by level
+ * @param {Object} files - { app, error, access } file transports
+ * @param {Object} record - { level, line, app }
+ * @param {Object} levels - Level name -> severity (lower is more severe)
+ */
+const writeLogLine = (files, { level, line, app }, levels) => {
+  const info = { [MESSAGE]: line, [LEVEL]: level };
+  if (app) {
+    files.app.log(info);
+  }
+  if (levels[level] <= levels.error) {
+    files.error.log(info);
+  }
+  if (levels[level] <= levels.http) {
+    files.access.log(info);
+  }
+};
+
+/**
+ * Promise resolved when every file can take lines again (block policy), or null
+ */
+const waitForFiles = (files) => {
+  const waits = Object.values(files).map((file) => file.waitForRoom()).filter(Boolean);
+  return waits.length ? Promise.all(waits) : null;
+};
+
+/**
+ * Close the files, waiting up to a second for buffered writes
+ */
+const closeLogFiles = (files) => {
+  return Promise.all(Object.values(files).map((file) => new Promise((resolve) => {
+    file.once('finish', resolve);
+    file.close();
+    setTimeout(resolve, 1000).unref();
+  })));
+};
+
+module.exports = {
+  createRotatingFile,
+  createLogFiles,
+  writeLogLine,
+  waitForFiles,
+  closeLogFiles,
+};
@@ -0,0 +1,367 @@
+/**
+ * Log Output Formats
+ * Line formats for console and file output, selected with LOG_FORMAT:
+ * json (default), pretty, ecs, logfmt, gelf and otel.
+ * Formatters receive { level, message, time, metadata } and return one line.
+ * Field mappings are documented in the README.
+ */
+
+// Syslog severities used by GELF
+const SYSLOG_SEVERITY = {
+  error: 3,
+  warn: 4,
+  info: 6,
+  http: 6,
+  debug: 7,
+  trace: 7,
+};
+
+// OpenTelemetry SeverityNumber (TRACE=1, DEBUG=5, INFO=9, WARN=13, ERROR=17)
+const OTEL_SEVERITY = {
+  error: 17,
+  warn: 13,
+  info: 9,
+  http: 9,
+  debug: 5,
+  trace: 1,
+};
+
+const ECS_VERSION = '8.11.0';
+
+const COLORS = {
+  error: '\x1b[31m',
+  warn: '\x1b[33m',
+  info: '\x1b[32m',
+  http: '\x1b[35m',
+  debug: '\x1b[34m',
+  trace: '\x1b[36m',
+};
+const RESET = '\x1b[0m';
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+// Time of a winston record, stamped once when it is logged, so that every
+// transport and format writes the same time however late it runs
+const RECORD_TIME = Symbol.for('record_time');
+
+/**
+ * Format a date as local time (YYYY-MM-DD HH:mm:ss.SSS), the json format's timestamp
+ */
+const formatTimestamp = (date = new Date()) => {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} `
+    + `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}.${pad(date.getMilliseconds(), 3)}`;
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Flatten nested objects into path -> value pairs ({ a: { b: 1 } } -> { 'a.b': 1 }).
+ * Arrays are kept as values.
+ */
+const flatten = (value, separator = '.', prefix = '', result = {}) => {
+  for (const [key, child] of Object.entries(value)) {
+    const path = prefix ? `${prefix}${separator}${key}` : key;
+    if (isPlainObject(child) && Object.keys(child).length) {
+      flatten(child, separator, path, result);
+    } else {
+      result[path] = child;
+    }
+  }
+  return result;
+};
+
+/**
+ * Copy metadata without the given keys, returning [picked, rest]
+ */
+const pick = (metadata, keys) => {
+  const picked = {};
+  const rest = { ...metadata };
+  for (const key of keys) {
+    if (rest[key] !== undefined && rest[key] !== null) {
+      picked[key] = rest[key];
+    }
+    delete rest[key];
+  }
+  return [picked, rest];
+};
+
+/**
+ * Drop undefined values and empty objects (keeps ECS/OTel output compact)
+ */
+const compact = (value) => {
+  if (!isPlainObject(value)) return value;
+
+  const result = {};
+  for (const [key, child] of Object.entries(value)) {
+    const compacted = compact(child);
+    if (compacted === undefined) continue;
+    if (isPlainObject(compacted) && Object.keys(compacted).length === 0) continue;
+    result[key] = compacted;
+  }
+  return result;
+};
+
+const toNumber = (value) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : undefined;
+};
+
+const hexId = (value, length) => {
+  const hex = typeof value === 'string' ? value.replace(/-/g, '').toLowerCase() : '';
+  return hex.length === length && /^[0-9a-f]+$/.test(hex) ? hex : undefined;
+};
+
+// ======================
+// Formatters
+// ======================
+
+/**
+ * Our native shape: { level, message, metadata, timestamp }
+ */
+const json = ({ level, message, time, metadata }) => {
+  return JSON.stringify({ level, message, metadata, timestamp: formatTimestamp(time) });
+};
+
+/**
+ * Human-readable line, as on the development console
+ */
+const pretty = ({ level, message, time, metadata }, { colors = false } = {}) => {
+  const meta = metadata && Object.keys(metadata).length ? JSON.stringify(metadata, null, 2) : '';
+  const levelName = colors ? `${COLORS[level] || ''}${level}${RESET}` : level;
+  return `${formatTimestamp(time)} [${levelName}]: ${message} ${meta}`;
+};
+
+/**
+ * Elastic Common Schema
+ */
+const ecs = ({ level, message, time, metadata }) => {
+  const [fields, rest] = pick(metadata, [
+    'service', 'version', 'environment', 'pid', 'hostname', 'module',
+    'request_id', 'trace_id', 'span_id', 'user_id', 'duration_ms',
+    'error_name', 'error_message', 'error_stack', 'stack', 'error_code',
+    'audit', 'security', 'action', 'method', 'url', 'status_code', 'ip', 'user_agent',
+  ]);
+
+  // Only audit records carry an event action
+  if (!fields.audit && fields.action !== undefined) {
+    rest.action = fields.action;
+  }
+
+  const tags = [];
+  if (fields.audit) tags.push('audit');
+  if (fields.security) tags.push('security');
+
+  const durationMs = toNumber(fields.duration_ms);
+
+  return JSON.stringify(compact({
+    '@timestamp': time.toISOString(),
+    'log.level': level,
+    message,
+    'ecs.version': ECS_VERSION,
+    service: {
+      name: fields.service,
+      version: fields.version,
+      environment: fields.environment,
+    },
+    host: { hostname: fields.hostname },
+    process: { pid: fields.pid },
+    log: { logger: fields.module },
+    trace: { id: fields.trace_id },
+    span: { id: fields.span_id },
+    user: { id: fields.user_id },
+    event: {
+      duration: durationMs === undefined ? undefined : Math.round(durationMs * 1e6),
+      action: fields.audit ? fields.action : undefined,
+    },
+    error: {
+      type: fields.error_name,
+      message: fields.error_message,
+      stack_trace: fields.error_stack || fields.stack,
+      code: fields.error_code,
+    },
+    http: {
+      request: { id: fields.request_id, method: fields.method },
+      response: { status_code: toNumber(fields.status_code) },
+    },
+    url: { original: fields.url },
+    client: { ip: fields.ip },
+    user_agent: { original: fields.user_agent },
+    tags: tags.length ? tags : undefined,
+    metadata: rest,
+  }));
+};
+
+/**
+ * Quote a logfmt value when it contains spaces, quotes, "=" or control characters
+ */
+const logfmtValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (text !== '' && !/[\s"=\\\x00-\x1f]/.test(text)) return text;
+  return `"${text
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r')
+    .replace(/\t/g, '\\t')
+    .replace(/[\x00-\x1f]/g, (char) => `\\u${pad(char.charCodeAt(0).toString(16), 4)}`)}"`;
+};
+
+/**
+ * logfmt: ts, level and msg first, then correlation ids, then the remaining
+ * metadata with nested objects flattened to dotted keys
+ */
+const logfmt = ({ level, message, time, metadata }) => {
+  const [ids, rest] = pick(metadata, ['request_id', 'trace_id', 'span_id', 'user_id']);
+  const pairs = {
+    ts: time.toISOString(),
+    level,
+    msg: message,
+    ...ids,
+    ...flatten(rest),
+  };
+
+  return Object.entries(pairs)
+    .map(([key, value]) => `${key.replace(/[\s="]/g, '_')}=${logfmtValue(value)}`)
+    .join(' ');
+};
+
+/**
+ * GELF 1.1 (Graylog): additional fields are prefixed with "_", nested objects
+ * flattened with "_", and values limited to strings and numbers
+ */
+const gelf = ({ level, message, time, metadata }) => {
+  const [fields, rest] = pick(metadata, ['hostname', 'error_stack', 'stack']);
+  const record = {
+    version: '1.1',
+    host: fields.hostname,
+    short_message: message,
+    full_message: fields.error_stack || fields.stack,
+    timestamp: time.getTime() / 1000,
+    level: SYSLOG_SEVERITY[level],
+    _level_name: level,
+  };
+
+  for (const [key, value] of Object.entries(flatten(rest, '_'))) {
+    if (value === undefined || value === null) continue;
+
+    // "_id" is reserved by GELF
+    const name = key === 'id' ? '_record_id' : `_${key.replace(/[^\w.-]/g, '_')}`;
+    if (typeof value === 'number') {
+      record[name] = value;
+    } else {
+      record[name] = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+  }
+
+  return JSON.stringify(compact(record));
+};
+
+/**
+ * OpenTelemetry log data model, one record per line, with plain JSON values
+ * instead of OTLP AnyValue wrappers
+ */
+const otel = ({ level, message, time, metadata }) => {
+  const [fields, rest] = pick(metadata, [
+    'service', 'version', 'environment', 'pid', 'hostname', 'module',
+    'trace_id', 'span_id', 'user_id', 'error_name', 'error_message', 'error_stack', 'stack',
+  ]);
+
+  const traceId = hexId(fields.trace_id, 32);
+  const spanId = hexId(fields.span_id, 16);
+  const timeUnixNano = `${BigInt(time.getTime()) * 1000000n}`;
+
+  return JSON.stringify(compact({
+    timeUnixNano,
+    observedTimeUnixNano: timeUnixNano,
+    severityNumber: OTEL_SEVERITY[level],
+    severityText: level,
+    body: message,
+    traceId,
+    spanId,
+    resource: {
+      attributes: compact({
+        'service.name': fields.service,
+        'service.version': fields.version,
+        'deployment.environment': fields.environment,
+        'host.name': fields.hostname,
+        'process.pid': fields.pid,
+      }),
+    },
+    scope: { name: fields.module },
+    attributes: compact({
+      // Ids that are not W3C-shaped stay as attributes
+      trace_id: traceId ? undefined : fields.trace_id,
+      span_id: spanId ? undefined : fields.span_id,
+      'enduser.id': fields.user_id,
+      'exception.type': fields.error_name,
+      'exception.message': fields.error_message,
+      'exception.stacktrace': fields.error_stack || fields.stack,
+      ...flatten(rest),
+    }),
+  }));
+};
+
+const FORMATS = {
+  json,
+  pretty,
+  ecs,
+  logfmt,
+  gelf,
+  otel,
+};
+
+/**
+ * Validate a format name
+ */
+const assertFormat = (name) => {
+  if (!Object.prototype.hasOwnProperty.call(FORMATS, name)) {
+    throw new Error(`Unknown log format: ${name} (expected one of ${Object.keys(FORMATS).join(', ')})`);
+  }
+};
+
+/**
+ * Format an entry with the named format
+ * @param {string} name - Format name (see FORMATS)
+ * @param {Object} entry - { level, message, time: Date, metadata }
+ * @param {Object} [options] - Formatter options ({ colors } for pretty)
+ */
+const formatLine = (name, entry, options) => FORMATS[name](entry, options);
+
+// Each format's own time field in a line it wrote: a date string (local time
+// when it has no offset) or epoch milliseconds
+const LINE_TIMES = {
+  json: (line) => JSON.parse(line).timestamp,
+  pretty: (line) => (/^(\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}\.\d{3}) \[/.exec(line) || [])[1],
+  ecs: (line) => JSON.parse(line)['@timestamp'],
+  logfmt: (line) => (/^ts=(\S+)/.exec(line) || [])[1],
+  gelf: (line) => JSON.parse(line).timestamp * 1000,
+  otel: (line) => Number(BigInt(JSON.parse(line).timeUnixNano) / 1000000n),
+};
+
+/**
+ * Time of a line written by the named format, from the format's own time
+ * field only (not dates found in the message or metadata)
+ * @returns {Date|null} null for lines the format did not write
+ */
+const parseLineTime = (name, line) => {
+  let value;
+  try {
+    value = LINE_TIMES[name](line);
+  } catch (error) {
+    return null;
+  }
+  if (value === undefined || value === null) return null;
+
+  const time = new Date(typeof value === 'string' ? value.replace(' ', 'T') : value);
+  return Number.isNaN(time.getTime()) ? null : time;
+};
+
+module.exports = {
+  FORMATS,
+  RECORD_TIME,
+  formatTimestamp,
+  assertFormat,
+  formatLine,
+  parseLineTime,
+};
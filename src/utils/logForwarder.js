@@ -0,0 +1,256 @@
+/**
+ * Cluster Log Forwarder
+ * Runs in cluster workers: sends formatted app/error/access lines to the
+ * primary over IPC so that one process writes the log files and the audit
+ * chain (see logAggregation.js), and falls back to per-worker files when the
+ * channel is gone
+ */
+
+const { Transport } = require('winston');
+const { createLogFiles, writeLogLine } = require('./logFiles');
+const { createAuditLog } = require('./auditLog');
+
+// IPC message types
+const MESSAGE_TYPES = {
+  RECORDS: 'logs:records', // worker -> primary: { records: [{ level, app, line }], dropped }
+  AUDIT: 'logs:audit', // worker -> primary: { record } to append to the audit chain
+};
+
+// Forwarder status -> [level, message] logged by the logger
+const STATUS_LOGS = {
+  fallback: ['warn', 'Cluster primary unreachable, writing log files locally'],
+  auditFailed: ['error', 'Audit record could not be written'],
+};
+
+// Longest a flush waits for queued lines to reach the IPC channel
+const FLUSH_TIMEOUT_MS = 2000;
+
+// Formatted line key used by winston transports (triple-beam MESSAGE)
+const MESSAGE = Symbol.for('message');
+
+/**
+ * Create a forwarder.
+ * Lines are batched per event loop turn with one IPC message in flight at a
+ * time, so a slow primary makes the queue grow instead of the channel buffer;
+ * beyond maxPending the oldest lines are dropped and the count is reported to
+ * the primary with the next batch.
+ * @param {Object} options
+ * @param {number} options.workerId - Cluster worker id (names the fallback files)
+ * @param {number} options.maxPending - Lines kept while the primary is busy
+ * @param {Object} options.files - { dir, maxSize, maxFiles, zippedArchive } for fallback files
+ * @param {Object} options.levels - Level name -> severity (lower is more severe)
+ * @param {Object} [options.audit] - Audit log options for the fallback "worker-<id>" chain
+ * @param {Function} [options.onStatus] - (event, details) for 'fallback' (reported once) and
+ *   'auditFailed' (an audit record that failed to send could not be written locally either)
+ */
+const createLogForwarder = ({ workerId, maxPending, files, levels, audit, onStatus = () => {} }) => {
+  let queue = [];
+  let dropped = 0;
+  let sending = false;
+  let scheduled = false;
+  let localFiles = null;
+  let localAudit = null;
+  let pendingAudit = 0;
+  let idleCallbacks = [];
+
+  const stats = {
+    forwarded: 0,
+    dropped: 0,
+  };
+
+  const isIdle = () => !sending && !scheduled && queue.length === 0 && pendingAudit === 0;
+
+  const notifyIdle = () => {
+    if (!isIdle()) return;
+    const callbacks = idleCallbacks;
+    idleCallbacks = [];
+    callbacks.forEach((callback) => callback());
+  };
+
+  const appendLocalAudit = (record) => {
+    if (!localAudit) {
+      localAudit = createAuditLog({ ...audit, chain: `worker-${workerId}` });
+    }
+    localAudit.append(record);
+  };
+
+  const writeLocal = (records) => {
+    for (const record of records) {
+      writeLogLine(localFiles, record, levels);
+    }
+  };
+
+  /**
+   * Switch to per-worker files for good, writing unsent lines there first
+   */
+  const fallBack = (reason, unsent) => {
+    const first = !localFiles;
+    if (first) {
+      localFiles = createLogFiles(files, `worker-${workerId}-`);
+    }
+
+    writeLocal(unsent);
+    writeLocal(queue);
+    queue = [];
+
+    if (first) {
+      onStatus('fallback', {
+        reason,
+        worker_id: workerId,
+        file_prefix: `worker-${workerId}-`,
+        dropped_records: dropped,
+      });
+    }
+    notifyIdle();
+  };
+
+  const send = () => {
+    scheduled = false;
+    if (sending || localFiles || queue.length === 0) {
+      notifyIdle();
+      return;
+    }
+    if (!process.connected) {
+      fallBack('disconnected', []);
+      return;
+    }
+
+    const records = queue;
+    const droppedCount = dropped;
+    queue = [];
+    dropped = 0;
+    sending = true;
+
+    const onSent = (error) => {
+      sending = false;
+      if (error) {
+        fallBack(error.message, records);
+        return;
+      }
+      stats.forwarded += records.length;
+      send();
+    };
+
+    try {
+      process.send({ type: MESSAGE_TYPES.RECORDS, records, dropped: droppedCount }, onSent);
+    } catch (error) {
+      onSent(error);
+    }
+  };
+
+  process.on('disconnect', () => fallBack('disconnected', []));
+
+  return {
+    /**
+     * Queue a formatted line
+     * @param {Object} record - { level, line, app } (app: the runtime level lets it into the app file)
+     */
+    forward(record) {
+      if (localFiles) {
+        writeLocal([record]);
+        return;
+      }
+
+      if (queue.length >= maxPending) {
+        queue.shift();
+        dropped++;
+        stats.dropped++;
+      }
+      queue.push(record);
+
+      if (!scheduled && !sending) {
+        scheduled = true;
+        setImmediate(send);
+      }
+    },
+
+    /**
+     * Send an audit record to the primary, which appends it to the audit
+     * chain; never dropped, and appended to this worker's own chain when the
+     * primary cannot be reached
+     * @param {Object} record - Audit record fields
+     */
+    forwardAudit(record) {
+      if (localFiles || !process.connected) {
+        appendLocalAudit(record);
+        return;
+      }
+
+      pendingAudit++;
+      const onSent = (error) => {
+        pendingAudit--;
+        if (error) {
+          try {
+            appendLocalAudit(record);
+          } catch (appendError) {
+            onStatus('auditFailed', { action: record.action, error_message: appendError.message });
+          }
+        }
+        notifyIdle();
+      };
+
+      try {
+        process.send({ type: MESSAGE_TYPES.AUDIT, record }, onSent);
+      } catch (error) {
+        onSent(error);
+      }
+    },
+
+    /**
+     * Wait until queued lines and audit records are handed to the IPC
+     * channel (or written locally), for up to FLUSH_TIMEOUT_MS
+     */
+    flush() {
+      if (isIdle()) {
+        return Promise.resolve();
+      }
+      return new Promise((resolve) => {
+        const timer = setTimeout(resolve, FLUSH_TIMEOUT_MS);
+        timer.unref();
+        idleCallbacks.push(() => {
+          clearTimeout(timer);
+          resolve();
+        });
+      });
+    },
+
+    getStats() {
+      return {
+        ...stats,
+        mode: localFiles ? 'local' : 'ipc',
+        pending: queue.length,
+      };
+    },
+  };
+};
+
+/**
+ * Winston transport forwarding formatted lines.
+ * Replaces the app/error/access file transports in cluster workers; receives
+ * every record any of them would take and routes by level on the other side.
+ */
+class LogForwarderTransport extends Transport {
+  constructor({ forwarder, isAppRecord, ...options }) {
+    super(options);
+    this.forwarder = forwarder;
+    this.isAppRecord = isAppRecord;
+  }
+
+  log(info, callback) {
+    this.forwarder.forward({
+      level: info.level,
+      line: info[MESSAGE],
+      app: this.isAppRecord(info),
+    });
+
+    setImmediate(() => this.emit('logged', info));
+    callback();
+  }
+}
+
+module.exports = {
+  MESSAGE_TYPES,
+  STATUS_LOGS,
+  createLogForwarder,
+  LogForwarderTransport,
+};
@@ -0,0 +1,218 @@
+/**
+ * Log Level Control
+ * Runtime log level changes, propagated to all cluster workers over IPC
+ */
+
+const cluster = require('cluster');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('./logger');
+const config = require('../config');
+
+// IPC message types
+const MESSAGE_TYPES = {
+  REQUEST: 'log-levels:request', // worker -> primary: change requested through the admin API
+  APPLY: 'log-levels:apply', // primary -> workers: apply a change
+  APPLIED: 'log-levels:applied', // worker -> primary: outcome of applying a change
+  RESULT: 'log-levels:result', // primary -> requesting worker: aggregated outcome
+  SYNC: 'log-levels:sync', // worker -> primary: started, send the current levels
+};
+
+// Broadcasts awaiting worker acknowledgements, keyed by change id
+const pendingBroadcasts = new Map();
+let isPrimaryActive = false;
+
+/**
+ * Apply a change ({ level, modules, ttlMs } or { reset: true }) in this process
+ * and describe the outcome
+ */
+const applyLocally = (change) => {
+  const processInfo = {
+    worker_id: cluster.isWorker ? cluster.worker.id : (isPrimaryActive ? 'primary' : null),
+    pid: process.pid,
+  };
+
+  try {
+    const levels = change.reset ? logger.resetLevels() : logger.setLevels(change);
+    return { ...processInfo, ok: true, levels };
+  } catch (error) {
+    return { ...processInfo, ok: false, error: error.message };
+  }
+};
+
+/**
+ * Apply a change on the primary and every connected worker, collecting acknowledgements
+ */
+const broadcastChange = (id, change) => {
+  const primary = applyLocally(change);
+  const workers = Object.values(cluster.workers).filter((worker) => worker && worker.isConnected());
+
+  return new Promise((resolve) => {
+    const results = [];
+    const expected = new Set(workers.map((worker) => worker.id));
+
+    const finish = () => {
+      clearTimeout(pending.timer);
+      pendingBroadcasts.delete(id);
+
+      resolve({
+        scope: 'cluster',
+        primary,
+        applied: results.filter((result) => result.ok),
+        failed: results.filter((result) => !result.ok),
+        missing: Array.from(expected),
+      });
+    };
+
+    const pending = {
+      ack: (result) => {
+        if (!expected.delete(result.worker_id)) return;
+        results.push(result);
+        if (expected.size === 0) finish();
+      },
+      timer: setTimeout(() => {
+        logger.warn('Log level change not acknowledged by all workers', {
+          change_id: id,
+          missing_workers: Array.from(expected),
+        });
+        finish();
+      }, config.admin.clusterAckTimeoutMs),
+    };
+
+    pendingBroadcasts.set(id, pending);
+
+    if (workers.length === 0) {
+      finish();
+      return;
+    }
+
+    for (const worker of workers) {
+      worker.send({ type: MESSAGE_TYPES.APPLY, id, change });
+    }
+  });
+};
+
+/**
+ * Change log levels everywhere this process can reach.
+ * In a worker the change goes through the primary, which broadcasts it to
+ * every worker and reports back which ones applied it.
+ */
+const changeLogLevels = (change) => {
+  if (cluster.isWorker && process.connected) {
+    return new Promise((resolve, reject) => {
+      const id = uuidv4();
+
+      const onMessage = (message) => {
+        if (message && message.type === MESSAGE_TYPES.RESULT && message.id === id) {
+          clearTimeout(timer);
+          process.removeListener('message', onMessage);
+          resolve(message.result);
+        }
+      };
+
+      const timer = setTimeout(() => {
+        process.removeListener('message', onMessage);
+        reject(new Error('Timed out waiting for the cluster primary to apply log levels'));
+      }, config.admin.clusterAckTimeoutMs * 2);
+
+      process.on('message', onMessage);
+      process.send({ type: MESSAGE_TYPES.REQUEST, id, change });
+    });
+  }
+
+  if (isPrimaryActive) {
+    return broadcastChange(uuidv4(), change);
+  }
+
+  const result = applyLocally(change);
+  return Promise.resolve({
+    scope: 'process',
+    applied: result.ok ? [result] : [],
+    failed: result.ok ? [] : [result],
+  });
+};
+
+/**
+ * Changes bringing a worker started with the boot levels to the primary's
+ * current levels: the levels a pending revert restores first, then the
+ * current ones for the rest of the TTL
+ */
+const replayChanges = () => {
+  const current = logger.getLevels();
+  const states = current.revert_to ? [current.revert_to, current] : [current];
+
+  // Every override the worker may hold is listed, so that removed ones are removed
+  const known = [config.logging.moduleLevels, ...states.map((state) => state.modules)]
+    .flatMap((modules) => Object.keys(modules));
+  const cleared = Object.fromEntries(known.map((moduleName) => [moduleName, null]));
+
+  const changes = states.map((state) => ({ level: state.level, modules: { ...cleared, ...state.modules } }));
+  if (current.revert_at) {
+    changes[changes.length - 1].ttlMs = Math.max(Date.parse(current.revert_at) - Date.now(), 1);
+  }
+
+  const atBootLevels = !current.revert_at
+    && current.level === config.logging.level
+    && JSON.stringify(Object.entries(current.modules).sort())
+      === JSON.stringify(Object.entries(config.logging.moduleLevels).sort());
+  return atBootLevels ? [] : changes;
+};
+
+/**
+ * Handle log level messages on the cluster primary
+ */
+const setupPrimary = () => {
+  isPrimaryActive = true;
+
+  cluster.on('message', (worker, message) => {
+    if (!message) return;
+
+    if (message.type === MESSAGE_TYPES.REQUEST) {
+      broadcastChange(message.id, message.change).then((result) => {
+        if (worker.isConnected()) {
+          worker.send({ type: MESSAGE_TYPES.RESULT, id: message.id, result });
+        }
+      });
+    } else if (message.type === MESSAGE_TYPES.SYNC) {
+      // A worker forked after changes (e.g. restarted after a crash) starts
+      // with the boot levels: replay the current ones
+      for (const change of replayChanges()) {
+        if (worker.isConnected()) {
+          worker.send({ type: MESSAGE_TYPES.APPLY, id: uuidv4(), change });
+        }
+      }
+    } else if (message.type === MESSAGE_TYPES.APPLIED) {
+      const pending = pendingBroadcasts.get(message.id);
+      if (pending) {
+        pending.ack(message.result);
+      }
+    }
+  });
+};
+
+/**
+ * Handle log level messages on a cluster worker
+ */
+const setupWorker = () => {
+  process.on('message', (message) => {
+    if (message && message.type === MESSAGE_TYPES.APPLY) {
+      process.send({
+        type: MESSAGE_TYPES.APPLIED,
+        id: message.id,
+        result: applyLocally(message.change),
+      });
+    }
+  });
+
+  // Catch up with changes made before this worker started
+  if (process.connected) {
+    process.send({ type: MESSAGE_TYPES.SYNC });
+  }
+};
+
+module.exports = {
+  MESSAGE_TYPES,
+  changeLogLevels,
+  replayChanges,
+  setupPrimary,
+  setupWorker,
+};
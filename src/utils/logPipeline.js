@@ -0,0 +1,115 @@
+/**
+ * Log Pipeline Stats
+ * Counters for the logger itself, shared by both backends: lines per transport
+ * and level, lines dropped by the backpressure policy, file rotations, bytes
+ * queued by the file transports and write latencies. Read by metrics.js at
+ * scrape time; the pino worker thread sends its own stats to the main thread.
+ */
+
+// What a file transport does when its queue exceeds LOG_BACKPRESSURE_MAX_BYTES
+const BACKPRESSURE_POLICIES = ['block', 'drop-debug-first', 'drop-oldest'];
+
+// Event name of the stats the pino worker thread sends to the main thread
+const STATS_EVENT = 'pipeline-stats';
+
+/**
+ * Validate the backpressure settings
+ */
+const assertBackpressureOptions = ({ policy, maxBytes }) => {
+  if (!BACKPRESSURE_POLICIES.includes(policy)) {
+    throw new Error(`Unknown LOG_BACKPRESSURE_POLICY "${policy}" (expected one of: ${BACKPRESSURE_POLICIES.join(', ')})`);
+  }
+  if (!(maxBytes > 0)) {
+    throw new Error('LOG_BACKPRESSURE_MAX_BYTES must be a positive number');
+  }
+};
+
+const increment = (counts, transport, level) => {
+  const byLevel = counts[transport] || (counts[transport] = {});
+  byLevel[level] = (byLevel[level] || 0) + 1;
+};
+
+/**
+ * Add the counts of `source` ({ transport: count } or { transport: { level: count } }) to `target`
+ */
+const addCounts = (target, source) => {
+  for (const [key, value] of Object.entries(source || {})) {
+    if (typeof value === 'object') {
+      target[key] = addCounts({ ...target[key] }, value);
+    } else {
+      target[key] = (target[key] || 0) + value;
+    }
+  }
+  return target;
+};
+
+/**
+ * Create the stats of one thread
+ */
+const createPipelineStats = () => {
+  const lines = {};
+  const dropped = {};
+  const rotations = {};
+  const queuedBytes = {};
+  const writeListeners = [];
+
+  // Latest stats sent by the pino worker thread
+  let remote = null;
+
+  return {
+    countLine(transport, level) {
+      increment(lines, transport, level);
+    },
+
+    countDropped(transport, level) {
+      increment(dropped, transport, level);
+    },
+
+    countRotation(transport) {
+      rotations[transport] = (rotations[transport] || 0) + 1;
+    },
+
+    setQueuedBytes(transport, bytes) {
+      queuedBytes[transport] = bytes;
+    },
+
+    /**
+     * Report a completed file write: seconds from its oldest line being queued
+     */
+    observeWrite(transport, seconds) {
+      writeListeners.forEach((listener) => listener(transport, seconds));
+    },
+
+    /**
+     * @param {Function} listener - (transport, seconds) for every completed file write
+     */
+    onWrite(listener) {
+      writeListeners.push(listener);
+    },
+
+    setRemote(snapshot) {
+      remote = snapshot;
+    },
+
+    /**
+     * Totals of this thread and the worker thread:
+     * { lines: { transport: { level: n } }, dropped: { ... }, rotations: { transport: n },
+     *   queued_bytes: { transport: n } }
+     */
+    snapshot() {
+      return {
+        lines: addCounts(addCounts({}, lines), remote && remote.lines),
+        dropped: addCounts(addCounts({}, dropped), remote && remote.dropped),
+        rotations: addCounts({ ...rotations }, remote && remote.rotations),
+        queued_bytes: addCounts({ ...queuedBytes }, remote && remote.queued_bytes),
+      };
+    },
+  };
+};
+
+module.exports = {
+  BACKPRESSURE_POLICIES,
+  STATS_EVENT,
+  assertBackpressureOptions,
+  createPipelineStats,
+};
@@ -0,0 +1,427 @@
+/**
+ * Log Retention
+ * Archival and a disk budget for the log directory. Rotated app/error/access
+ * files and crash dumps are moved to the archive directory, where a manifest
+ * records their sha256 checksum and the time range of their lines. When the
+ * log directory, the archive and the audit trail together exceed the budget,
+ * files are deleted from the lowest priority category up, oldest first.
+ * Files being written are never moved or deleted.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const readline = require('readline');
+const { pipeline } = require('stream/promises');
+const { formatTimestamp, parseLineTime } = require('./logFormats');
+const { listAuditFiles, pruneAuditFile } = require('./auditLog');
+
+const CATEGORIES = ['app', 'error', 'access', 'crash', 'audit'];
+
+const MANIFEST_FILE = 'manifest.json';
+const MANIFEST_VERSION = 1;
+
+// Last run, read by /health/detailed in every process (only one process runs the manager)
+const STATE_FILE = '.retention-state.json';
+
+// [worker-<id>-](app|error|access)-YYYY-MM-DD.log[.N][.gz], as written by winston-daily-rotate-file
+const ROTATING_FILE_PATTERN = /^((?:worker-\d+-)?(app|error|access))-(\d{4}-\d{2}-\d{2})\.log(?:\.(\d+))?(\.gz)?$/;
+const CRASH_FILE_PATTERN = /^crash-.+\.log$/;
+
+// Rotated plain files are left alone this long, while winston-daily-rotate-file
+// may still be compressing them (LOG_COMPRESSION)
+const SETTLE_MS = 60 * 1000;
+
+const STATUS_LOGS = {
+  cleaned: ['info', 'Log retention deleted files to stay within the disk budget'],
+  over_budget: ['warn', 'Log retention could not bring the log directory within the disk budget'],
+  failed: ['warn', 'Log retention failed to archive or delete a file'],
+};
+
+/**
+ * Validate retention options at startup
+ */
+const assertRetentionOptions = ({ maxBytes, intervalMs, priorities }) => {
+  if (!(maxBytes > 0)) {
+    throw new Error('LOG_RETENTION_MAX_BYTES must be a positive number');
+  }
+  if (!(intervalMs > 0)) {
+    throw new Error('LOG_RETENTION_INTERVAL_MS must be a positive number');
+  }
+  for (const [category, priority] of Object.entries(priorities)) {
+    if (!CATEGORIES.includes(category)) {
+      throw new Error(`Unknown LOG_RETENTION_PRIORITIES category "${category}" (expected: ${CATEGORIES.join(', ')})`);
+    }
+    if (!Number.isInteger(Number(priority))) {
+      throw new Error(`LOG_RETENTION_PRIORITIES: priority of ${category} must be an integer`);
+    }
+  }
+};
+
+/**
+ * Write JSON under a temporary name first so readers never see half of it
+ */
+const writeJson = async (file, value) => {
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tmp, JSON.stringify(value));
+  await fs.promises.rename(tmp, file);
+};
+
+const readJson = async (file) => {
+  try {
+    return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Local midnight of a YYYY-MM-DD date, as in rotated and audit file names
+ */
+const startOfDay = (date) => new Date(`${date}T00:00:00`);
+
+/**
+ * sha256 of a file and the times of its first and last lines, in UTC, read
+ * from the time field of the format that wrote them (gzipped files are read
+ * decompressed). Lines of another format are skipped.
+ * @param {string} file
+ * @param {boolean} compressed
+ * @param {string} format - Format of the lines (see logFormats.js)
+ */
+const inspectFile = async (file, compressed, format) => {
+  const hash = crypto.createHash('sha256');
+  const source = fs.createReadStream(file);
+  source.on('data', (chunk) => hash.update(chunk));
+
+  const lines = readline.createInterface({
+    input: compressed ? source.pipe(zlib.createGunzip()) : source,
+    crlfDelay: Infinity,
+  });
+
+  let first = null;
+  let last = null;
+  for await (const line of lines) {
+    const time = parseLineTime(format, line);
+    if (!time) continue;
+    if (!first) first = time;
+    last = time;
+  }
+
+  return {
+    sha256: hash.digest('hex'),
+    first_timestamp: first && first.toISOString(),
+    last_timestamp: last && last.toISOString(),
+  };
+};
+
+/**
+ * Move a file, copying it when the archive is on another file system
+ */
+const moveFile = async (from, to) => {
+  try {
+    await fs.promises.rename(from, to);
+  } catch (error) {
+    if (error.code !== 'EXDEV') throw error;
+    await pipeline(fs.createReadStream(from), fs.createWriteStream(to));
+    await fs.promises.unlink(from);
+  }
+};
+
+/**
+ * Name in the archive that no other file uses yet
+ */
+const archiveName = (archiveDir, name) => {
+  if (!fs.existsSync(path.join(archiveDir, name))) return name;
+  return `${Date.now()}-${name}`;
+};
+
+/**
+ * Files of the log directory: { file, name, category, stream, date, order, compressed, size, mtimeMs }.
+ * `order` sorts files of a stream oldest first (date, then size rotation index).
+ */
+const scanLogDir = async (dir) => {
+  const entries = [];
+  for (const name of await fs.promises.readdir(dir)) {
+    const rotating = ROTATING_FILE_PATTERN.exec(name);
+    const crash = !rotating && CRASH_FILE_PATTERN.test(name);
+    if (!rotating && !crash) continue;
+
+    const file = path.join(dir, name);
+    let stat;
+    try {
+      stat = await fs.promises.stat(file);
+    } catch (error) {
+      continue; // Removed by rotation since it was listed
+    }
+    if (!stat.isFile()) continue;
+
+    entries.push(rotating
+      ? {
+        file,
+        name,
+        category: rotating[2],
+        stream: rotating[1],
+        date: rotating[3],
+        order: `${rotating[3]}.${String(rotating[4] || 0).padStart(6, '0')}`,
+        compressed: Boolean(rotating[5]),
+        size: stat.size,
+        mtimeMs: stat.mtimeMs,
+      }
+      : {
+        file,
+        name,
+        category: 'crash',
+        stream: null,
+        date: null,
+        order: '',
+        compressed: false,
+        size: stat.size,
+        mtimeMs: stat.mtimeMs,
+      });
+  }
+  return entries;
+};
+
+/**
+ * Create the retention manager of the process that writes the log files
+ * @param {Object} options
+ * @param {string} options.dir - Log directory
+ * @param {string} options.archiveDir - Archive directory
+ * @param {string} [options.auditDir] - Audit directory (counted in the budget, never archived)
+ * @param {string} [options.auditKey] - Audit HMAC key, to sign the checkpoint of pruned audit files
+ * @param {string} options.format - LOG_FORMAT of the rotated files, to read the time of their lines
+ * @param {number} options.maxBytes - Disk budget for the log directory, the archive and the audit trail
+ * @param {Object} options.priorities - Category -> priority; lower priorities are deleted first
+ * @param {number} options.intervalMs - Time between runs
+ * @param {Function} [options.onStatus] - (event, details) for deletions and failures (see STATUS_LOGS)
+ */
+const createRetentionManager = ({
+  dir,
+  archiveDir,
+  auditDir,
+  auditKey,
+  format,
+  maxBytes,
+  priorities,
+  intervalMs,
+  onStatus = () => {},
+}) => {
+  fs.mkdirSync(archiveDir, { recursive: true });
+
+  const manifestFile = path.join(archiveDir, MANIFEST_FILE);
+  let manifest = null;
+  let timer = null;
+  let running = null;
+
+  const priorityOf = (category) => Number(priorities[category] || 0);
+
+  const loadManifest = async () => {
+    const saved = await readJson(manifestFile);
+    return saved && saved.version === MANIFEST_VERSION ? saved.files : {};
+  };
+
+  /**
+   * Move a rotated file to the archive and record it in the manifest
+   */
+  const archive = async (entry) => {
+    // Crash dumps are always json, with ISO timestamps
+    const details = await inspectFile(entry.file, entry.compressed, entry.category === 'crash' ? 'json' : format);
+    if (!details.first_timestamp && entry.date) {
+      // No line in this format (LOG_FORMAT changed since): the day of the file name
+      details.first_timestamp = startOfDay(entry.date).toISOString();
+    }
+    const name = archiveName(archiveDir, entry.name);
+    await moveFile(entry.file, path.join(archiveDir, name));
+
+    manifest[name] = {
+      original_name: entry.name,
+      category: entry.category,
+      compressed: entry.compressed,
+      size: entry.size,
+      ...details,
+      archived_at: new Date().toISOString(),
+    };
+  };
+
+  const runOnce = async () => {
+    const startedAt = Date.now();
+    manifest = manifest || await loadManifest();
+    const summary = { archived: 0, deleted: 0, deleted_bytes: 0, failed: 0 };
+
+    const fail = (error, file) => {
+      summary.failed++;
+      onStatus('failed', { file, error_message: error.message });
+    };
+
+    // Rotated files: all but the newest of each stream, and every crash dump
+    const logFiles = await scanLogDir(dir);
+    const newest = new Map();
+    for (const entry of logFiles) {
+      if (entry.stream && (!newest.has(entry.stream) || entry.order > newest.get(entry.stream).order)) {
+        newest.set(entry.stream, entry);
+      }
+    }
+    const active = new Set([...newest.values()].map((entry) => entry.file));
+
+    for (const entry of logFiles) {
+      if (active.has(entry.file)) continue;
+      if (!entry.compressed && startedAt - entry.mtimeMs < SETTLE_MS) continue;
+      try {
+        await archive(entry);
+        summary.archived++;
+      } catch (error) {
+        if (error.code !== 'ENOENT') fail(error, entry.file);
+      }
+    }
+
+    // Everything the budget covers; only files not being written can be
+    // deleted. `time` (epoch ms) orders deletion, oldest first.
+    const files = [];
+    for (const entry of await scanLogDir(dir)) {
+      files.push({ ...entry, deletable: false });
+    }
+    for (const [name, entry] of Object.entries(manifest)) {
+      const file = path.join(archiveDir, name);
+      if (!fs.existsSync(file)) {
+        delete manifest[name];
+        continue;
+      }
+      files.push({
+        file,
+        category: entry.category,
+        time: Date.parse(entry.first_timestamp || entry.archived_at),
+        size: entry.size,
+        archived: name,
+        deletable: true,
+      });
+    }
+    const today = formatTimestamp(new Date(startedAt)).substring(0, 10);
+    for (const [chain, chainFiles] of Object.entries(auditDir ? listAuditFiles(auditDir) : {})) {
+      for (const [index, { file, date, compressed }] of chainFiles.entries()) {
+        try {
+          const { size } = await fs.promises.stat(file);
+          // The newest file holds the head of the chain, read back on restart
+          const deletable = date < today && index < chainFiles.length - 1;
+          files.push({ file, category: 'audit', time: startOfDay(date).getTime(), size, deletable, chain, compressed });
+        } catch (error) {
+          // Compressed or deleted by the audit log's own retention
+        }
+      }
+    }
+
+    let usedBytes = files.reduce((total, entry) => total + entry.size, 0);
+    if (usedBytes > maxBytes) {
+      const candidates = files
+        .filter((entry) => entry.deletable)
+        .sort((a, b) => priorityOf(a.category) - priorityOf(b.category) || (a.time || 0) - (b.time || 0));
+
+      for (const entry of candidates) {
+        if (usedBytes <= maxBytes) break;
+        try {
+          if (entry.category === 'audit' && auditKey) {
+            await pruneAuditFile({ dir: auditDir, chain: entry.chain, hmacKey: auditKey }, entry);
+          } else {
+            await fs.promises.unlink(entry.file);
+          }
+        } catch (error) {
+          if (error.code !== 'ENOENT') {
+            fail(error, entry.file);
+            continue;
+          }
+        }
+        if (entry.archived) delete manifest[entry.archived];
+        usedBytes -= entry.size;
+        summary.deleted++;
+        summary.deleted_bytes += entry.size;
+        entry.deleted = true;
+      }
+
+      if (summary.deleted) {
+        onStatus('cleaned', { deleted_files: summary.deleted, deleted_bytes: summary.deleted_bytes, used_bytes: usedBytes });
+      }
+      if (usedBytes > maxBytes) {
+        onStatus('over_budget', { used_bytes: usedBytes, budget_bytes: maxBytes });
+      }
+    }
+
+    await writeJson(manifestFile, { version: MANIFEST_VERSION, files: manifest });
+
+    const categories = Object.fromEntries(CATEGORIES.map((category) => [category, {
+      priority: priorityOf(category),
+      files: 0,
+      bytes: 0,
+    }]));
+    for (const entry of files) {
+      if (entry.deleted) continue;
+      categories[entry.category].files++;
+      categories[entry.category].bytes += entry.size;
+    }
+
+    const state = {
+      budgetBytes: maxBytes,
+      usedBytes,
+      overBudget: usedBytes > maxBytes,
+      categories,
+      archive: {
+        dir: archiveDir,
+        files: Object.keys(manifest).length,
+        bytes: Object.values(manifest).reduce((total, entry) => total + entry.size, 0),
+      },
+      lastRun: {
+        at: new Date(startedAt).toISOString(),
+        durationMs: Date.now() - startedAt,
+        ...summary,
+      },
+      nextRunAt: new Date(startedAt + intervalMs).toISOString(),
+    };
+    await writeJson(path.join(archiveDir, STATE_FILE), state);
+    return state;
+  };
+
+  return {
+    /**
+     * Archive and enforce the budget now; concurrent callers share one run
+     * @returns {Promise<Object>} The retention state (see readRetentionState)
+     */
+    run() {
+      if (!running) {
+        running = runOnce().finally(() => {
+          running = null;
+        });
+      }
+      return running;
+    },
+
+    /**
+     * Run now and then every intervalMs
+     */
+    start() {
+      const tick = () => this.run().catch((error) => onStatus('failed', { file: dir, error_message: error.message }));
+      tick();
+      timer = setInterval(tick, intervalMs);
+      timer.unref();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+  };
+};
+
+/**
+ * State of the last run, written by the manager wherever it runs
+ * @param {string} archiveDir - Archive directory
+ * @returns {Promise<Object|null>} { budgetBytes, usedBytes, overBudget, categories, archive, lastRun, nextRunAt },
+ *   or null before the first run
+ */
+const readRetentionState = (archiveDir) => readJson(path.join(archiveDir, STATE_FILE));
+
+module.exports = {
+  CATEGORIES,
+  STATUS_LOGS,
+  assertRetentionOptions,
+  createRetentionManager,
+  readRetentionState,
+};
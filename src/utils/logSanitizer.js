@@ -0,0 +1,168 @@
+/**
+ * Log Sanitization
+ * Protection against log injection from user-controlled values (URLs, user
+ * agents, queries, bodies). Runs after redaction on every record, whatever
+ * the backend and format: control characters are escaped so that no value can
+ * start a forged line or drive the terminal, oversized strings and arrays are
+ * truncated with markers, and the largest fields of oversized records are
+ * dropped. Like redaction, values are sanitized copy-on-write.
+ */
+
+const config = require('../config');
+
+const MAX_DEPTH = 10;
+
+// C0 and C1 control characters, DEL, Unicode line/paragraph separators and
+// bidirectional overrides (which reorder how the rest of a line is displayed)
+const CONTROL_CHARS = /[\x00-\x1f\x7f-\x9f\u2028\u2029\u202a-\u202e\u2066-\u2069]/g;
+
+// Stack traces (stack, error_stack, original_stack, cause.stack, any key
+// ending in "stack") keep their line breaks and indentation: every format
+// serializes them as JSON strings, never as raw lines
+const MULTILINE_KEY = /stack$/i;
+const MULTILINE_CHARS = /[\x00-\x08\x0b-\x1f\x7f-\x9f\u2028\u2029\u202a-\u202e\u2066-\u2069]/g;
+
+const ESCAPES = {
+  '\n': '\\n',
+  '\r': '\\r',
+  '\t': '\\t',
+};
+
+const escapeChar = (char) => ESCAPES[char] || `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`;
+
+/**
+ * Escape control characters as \n, \r, \t or \uXXXX
+ */
+const escapeControlChars = (str, pattern = CONTROL_CHARS) => {
+  pattern.lastIndex = 0;
+  if (!pattern.test(str)) return str;
+  pattern.lastIndex = 0;
+  return str.replace(pattern, escapeChar);
+};
+
+const byteSize = (value) => {
+  try {
+    const json = JSON.stringify(value);
+    return json === undefined ? 0 : Buffer.byteLength(json);
+  } catch (error) {
+    return 0;
+  }
+};
+
+/**
+ * Validate sanitization limits at startup
+ */
+const assertSanitizeOptions = ({ maxStringLength, maxArrayLength, maxRecordBytes }) => {
+  if (!(maxStringLength > 0)) {
+    throw new Error('LOG_MAX_STRING_LENGTH must be a positive number');
+  }
+  if (!(maxArrayLength > 0)) {
+    throw new Error('LOG_MAX_ARRAY_LENGTH must be a positive number');
+  }
+  if (!(maxRecordBytes >= 1024)) {
+    throw new Error('LOG_MAX_RECORD_BYTES must be at least 1024');
+  }
+};
+
+/**
+ * Create a sanitizer
+ * @param {Object} options
+ * @param {number} options.maxStringLength - Characters kept per string
+ * @param {number} options.maxArrayLength - Items kept per array
+ * @param {number} options.maxRecordBytes - Serialized size of a record's fields before the
+ *   largest are dropped
+ */
+const createSanitizer = ({ maxStringLength, maxArrayLength, maxRecordBytes }) => {
+  const sanitizeString = (str, key) => {
+    const truncated = str.length > maxStringLength
+      ? `${str.substring(0, maxStringLength)}...[truncated ${str.length - maxStringLength} chars]`
+      : str;
+    return typeof key === 'string' && MULTILINE_KEY.test(key)
+      ? escapeControlChars(truncated, MULTILINE_CHARS)
+      : escapeControlChars(truncated);
+  };
+
+  /**
+   * Return a sanitized copy of a value. Only plain objects and arrays are
+   * descended into (redaction has serialized errors already).
+   */
+  const sanitize = (value, key = null, depth = 0) => {
+    if (typeof value === 'string') return sanitizeString(value, key);
+    if (!value || typeof value !== 'object') return value;
+
+    const isArray = Array.isArray(value);
+    if (!isArray && Object.getPrototypeOf(value) !== Object.prototype && Object.getPrototypeOf(value) !== null) {
+      return value;
+    }
+    if (depth >= MAX_DEPTH) return '[MaxDepth]';
+
+    if (isArray) {
+      const copy = value.slice(0, maxArrayLength).map((item) => sanitize(item, key, depth + 1));
+      if (value.length > maxArrayLength) {
+        copy.push(`[${value.length - maxArrayLength} more items]`);
+      }
+      return copy;
+    }
+
+    const copy = {};
+    for (const [childKey, child] of Object.entries(value)) {
+      copy[escapeControlChars(childKey)] = sanitize(child, childKey, depth + 1);
+    }
+    return copy;
+  };
+
+  /**
+   * Sanitize a log record in place (its own top-level fields are replaced).
+   * When the record's fields serialize to more than maxRecordBytes, the
+   * largest are dropped until it fits and listed in truncated_fields.
+   */
+  const sanitizeRecord = (info) => {
+    if (typeof info.message === 'string') {
+      info.message = sanitizeString(info.message, 'message');
+    }
+
+    const sizes = [];
+    let total = 0;
+    for (const key of Object.keys(info)) {
+      if (key === 'level' || key === 'message') continue;
+
+      const value = sanitize(info[key], key);
+      const safeKey = escapeControlChars(key);
+      if (safeKey !== key) delete info[key];
+      info[safeKey] = value;
+
+      const size = Buffer.byteLength(safeKey) + byteSize(value);
+      sizes.push({ key: safeKey, size });
+      total += size;
+    }
+
+    total += Buffer.byteLength(info.message || '');
+    if (total > maxRecordBytes) {
+      const dropped = [];
+      const recordBytes = total;
+      for (const { key, size } of sizes.sort((a, b) => b.size - a.size)) {
+        if (total <= maxRecordBytes) break;
+        delete info[key];
+        dropped.push(key);
+        total -= size;
+      }
+      info.truncated_fields = dropped;
+      info.record_bytes = recordBytes;
+    }
+
+    return info;
+  };
+
+  return { sanitize, sanitizeRecord };
+};
+
+// Process-wide sanitizer built from configuration
+const sanitizer = createSanitizer(config.logging.sanitize);
+
+module.exports = {
+  assertSanitizeOptions,
+  createSanitizer,
+  escapeControlChars,
+  sanitize: (value) => sanitizer.sanitize(value),
+  sanitizeRecord: sanitizer.sanitizeRecord,
+};
@@ -0,0 +1,461 @@
+/**
+ * HTTP Log Shipper
+ * Batched shipping to a Loki push API or an Elasticsearch _bulk endpoint,
+ * with gzip, exponential backoff and a bounded on-disk spool so logs survive
+ * outages and restarts
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { Transport } = require('winston');
+const { RECORD_TIME, assertFormat, formatLine } = require('./logFormats');
+
+const gzipAsync = promisify(zlib.gzip);
+
+const BACKOFF_MIN_MS = 1000;
+const BACKOFF_MAX_MS = 60000;
+
+// Output formats that produce one JSON document per record (required by _bulk)
+const JSON_FORMATS = ['json', 'ecs', 'gelf', 'otel'];
+
+// Spool files: <owner pid>-<epoch ms>-<sequence>.ndjson
+const SPOOL_FILE_PATTERN = /^(\d+)-(\d+)-(\d+)\.ndjson$/;
+
+// Sender status -> [level, message] logged by the logger
+const STATUS_LOGS = {
+  failing: ['warn', 'Log shipping failing, spooling to disk'],
+  recovered: ['info', 'Log shipping recovered'],
+  rejected: ['error', 'Log shipping rejected a batch'],
+};
+
+/**
+ * Request encoders: items are [epoch ms, level, formatted line]
+ */
+const TARGETS = {
+  // Loki push API: one stream per level, values are [ns timestamp, line]
+  loki: {
+    path: '/loki/api/v1/push',
+    contentType: 'application/json',
+    encode: (items, { labels }) => {
+      const streams = new Map();
+      for (const [time, level, line] of items) {
+        if (!streams.has(level)) {
+          streams.set(level, { stream: { ...labels, level }, values: [] });
+        }
+        streams.get(level).values.push([`${time}000000`, line]);
+      }
+      return JSON.stringify({ streams: [...streams.values()] });
+    },
+  },
+
+  // Elasticsearch bulk API: "create" works for both indices and data streams
+  elasticsearch: {
+    path: '/_bulk',
+    contentType: 'application/x-ndjson',
+    encode: (items, { index }) => {
+      const action = JSON.stringify({ create: { _index: index } });
+      return items.map(([, , line]) => `${action}\n${line}\n`).join('');
+    },
+  },
+};
+
+/**
+ * Validate shipping options at startup
+ */
+const assertShippingOptions = ({ target, url, format }) => {
+  if (!Object.prototype.hasOwnProperty.call(TARGETS, target)) {
+    throw new Error(`Unknown log shipping target: ${target} (expected ${Object.keys(TARGETS).join(' or ')})`);
+  }
+  if (!url) {
+    throw new Error('LOG_SHIP_URL is required when log shipping is enabled');
+  }
+  assertFormat(format);
+  if (target === 'elasticsearch' && !JSON_FORMATS.includes(format)) {
+    throw new Error(`Elasticsearch shipping needs a JSON format (${JSON_FORMATS.join(', ')}), got ${format}`);
+  }
+};
+
+/**
+ * Check whether the process that owns a spool file is still running
+ */
+const isProcessAlive = (pid) => {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+};
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms).unref());
+
+/**
+ * Create a log shipper
+ * @param {Object} options
+ * @param {string} options.target - loki or elasticsearch
+ * @param {string} options.url - Base URL (http://loki:3100, http://elasticsearch:9200)
+ * @param {string} options.format - Output format of each line (see logFormats.js)
+ * @param {Object} [options.labels] - Loki stream labels (level is added per record)
+ * @param {string} [options.index] - Elasticsearch index or data stream
+ * @param {Object} [options.headers] - Extra request headers (authorization, tenant)
+ * @param {boolean} [options.gzip]
+ * @param {number} options.batchSize - Records per request
+ * @param {number} options.batchBytes - Formatted bytes per request
+ * @param {number} options.flushIntervalMs - Maximum time a record waits in a batch
+ * @param {number} options.requestTimeoutMs
+ * @param {string} options.spoolDir - Directory for batches that could not be sent
+ * @param {number} options.maxSpoolBytes - Spool size limit (oldest batches are dropped)
+ * @param {Function} [options.onStatus] - (event, details) for 'failing', 'recovered'
+ *   (once per outage) and 'rejected'
+ */
+const createLogShipper = (options) => {
+  const {
+    target,
+    url,
+    format,
+    headers = {},
+    gzip = true,
+    batchSize,
+    batchBytes,
+    flushIntervalMs,
+    requestTimeoutMs,
+    spoolDir,
+    maxSpoolBytes,
+    onStatus = () => {},
+  } = options;
+  const { path: targetPath, contentType, encode } = TARGETS[target];
+  const endpoint = `${url.replace(/\/+$/, '')}${targetPath}`;
+
+  fs.mkdirSync(spoolDir, { recursive: true });
+
+  let batch = [];
+  let batchLength = 0;
+  let batchTimer = null;
+
+  // Spooled batches waiting to be sent, oldest first: { file, bytes }
+  const spool = [];
+  let spoolBytes = 0;
+  let spoolSequence = 0;
+
+  let backoffMs = 0;
+  let retryTimer = null;
+  let failing = false;
+
+  // Sends and spool operations run one at a time, in order
+  let chain = Promise.resolve();
+
+  const stats = {
+    sent: 0,
+    requests: 0,
+    failed_requests: 0,
+    spooled_batches: 0,
+    dropped_batches: 0,
+    rejected: 0,
+  };
+
+  const enqueueTask = (task) => {
+    chain = chain.then(task).catch(() => {});
+    return chain;
+  };
+
+  /**
+   * POST items and count those accepted; returns the items to retry
+   * (Elasticsearch partial failures)
+   */
+  const send = async (items) => {
+    const body = encode(items, options);
+    const payload = gzip ? await gzipAsync(body) : Buffer.from(body);
+
+    stats.requests++;
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': contentType,
+        ...(gzip ? { 'Content-Encoding': 'gzip' } : {}),
+        ...headers,
+      },
+      body: payload,
+      signal: AbortSignal.timeout(requestTimeoutMs),
+    });
+
+    if (!response.ok) {
+      const error = new Error(`HTTP ${response.status} from ${target}`);
+      error.retryable = response.status === 429 || response.status >= 500;
+      throw error;
+    }
+
+    // _bulk answers 200 with per-item statuses
+    const result = target === 'elasticsearch' ? await response.json() : {};
+    if (!result.errors) {
+      stats.sent += items.length;
+      return [];
+    }
+
+    const retry = [];
+    result.items.forEach((item, i) => {
+      const { status } = Object.values(item)[0];
+      if (status === 429 || status >= 500) {
+        retry.push(items[i]);
+      } else if (status >= 300) {
+        stats.rejected++;
+      } else {
+        stats.sent++;
+      }
+    });
+    return retry;
+  };
+
+  const markFailing = (error) => {
+    stats.failed_requests++;
+    backoffMs = Math.min(Math.max(backoffMs * 2, BACKOFF_MIN_MS), BACKOFF_MAX_MS);
+    if (!failing) {
+      failing = true;
+      onStatus('failing', { error: error.message, target });
+    }
+  };
+
+  const markRecovered = () => {
+    backoffMs = 0;
+    if (failing) {
+      failing = false;
+      onStatus('recovered', { target, spooled_batches: spool.length });
+    }
+  };
+
+  const scheduleRetry = () => {
+    if (retryTimer || spool.length === 0) return;
+
+    // +/-20% jitter so that workers do not retry in lockstep
+    const wait = Math.round(backoffMs * (0.8 + Math.random() * 0.4));
+    retryTimer = setTimeout(() => {
+      retryTimer = null;
+      enqueueTask(drainSpool);
+    }, wait);
+    retryTimer.unref();
+  };
+
+  /**
+   * Write items to a spool file, dropping the oldest files beyond maxSpoolBytes
+   */
+  const spoolItems = async (items) => {
+    if (items.length === 0) return;
+
+    const content = `${items.map((item) => JSON.stringify(item)).join('\n')}\n`;
+    const bytes = Buffer.byteLength(content);
+    if (bytes > maxSpoolBytes) {
+      stats.dropped_batches++;
+      return;
+    }
+
+    while (spool.length && spoolBytes + bytes > maxSpoolBytes) {
+      const oldest = spool.shift();
+      spoolBytes -= oldest.bytes;
+      stats.dropped_batches++;
+      await fs.promises.unlink(oldest.file).catch(() => {});
+    }
+
+    const file = path.join(spoolDir, `${process.pid}-${Date.now()}-${spoolSequence++}.ndjson`);
+    await fs.promises.writeFile(file, content);
+    spool.push({ file, bytes });
+    spoolBytes += bytes;
+    stats.spooled_batches++;
+  };
+
+  const readSpoolFile = async (file) => {
+    const content = await fs.promises.readFile(file, 'utf8');
+    return content.split('\n').filter(Boolean).map((line) => JSON.parse(line));
+  };
+
+  /**
+   * Send spooled batches oldest first; stop and back off on the first failure
+   */
+  async function drainSpool() {
+    while (spool.length) {
+      const { file, bytes } = spool[0];
+      let items;
+      try {
+        items = await readSpoolFile(file);
+      } catch (error) {
+        // Unreadable or truncated (e.g. crash mid-write): drop it
+        spool.shift();
+        spoolBytes -= bytes;
+        stats.dropped_batches++;
+        await fs.promises.unlink(file).catch(() => {});
+        continue;
+      }
+
+      try {
+        const retry = await send(items);
+        spool.shift();
+        spoolBytes -= bytes;
+        await fs.promises.unlink(file).catch(() => {});
+        await spoolItems(retry);
+        markRecovered();
+      } catch (error) {
+        if (error.retryable === false) {
+          spool.shift();
+          spoolBytes -= bytes;
+          stats.rejected += items.length;
+          await fs.promises.unlink(file).catch(() => {});
+          onStatus('rejected', { error: error.message, target, count: items.length });
+          continue;
+        }
+        markFailing(error);
+        scheduleRetry();
+        return;
+      }
+    }
+  }
+
+  /**
+   * Send a batch directly, or spool it while earlier batches are pending
+   */
+  const shipBatch = async (items) => {
+    if (spool.length) {
+      await spoolItems(items);
+      scheduleRetry();
+      return;
+    }
+
+    try {
+      const retry = await send(items);
+      markRecovered();
+      if (retry.length) {
+        await spoolItems(retry);
+        backoffMs = BACKOFF_MIN_MS;
+        scheduleRetry();
+      }
+    } catch (error) {
+      if (error.retryable === false) {
+        stats.rejected += items.length;
+        onStatus('rejected', { error: error.message, target, count: items.length });
+        return;
+      }
+      markFailing(error);
+      await spoolItems(items);
+      scheduleRetry();
+    }
+  };
+
+  const takeBatch = () => {
+    clearTimeout(batchTimer);
+    batchTimer = null;
+    const items = batch;
+    batch = [];
+    batchLength = 0;
+    return items;
+  };
+
+  const flush = () => {
+    const items = takeBatch();
+    return items.length ? enqueueTask(() => shipBatch(items)) : chain;
+  };
+
+  /**
+   * Claim spool files left by processes that are no longer running
+   */
+  const recoverSpool = async () => {
+    const files = (await fs.promises.readdir(spoolDir))
+      .map((name) => ({ name, match: SPOOL_FILE_PATTERN.exec(name) }))
+      .filter(({ match }) => match && Number(match[1]) !== process.pid && !isProcessAlive(Number(match[1])))
+      .sort((a, b) => Number(a.match[2]) - Number(b.match[2]) || Number(a.match[3]) - Number(b.match[3]));
+
+    for (const { name, match } of files) {
+      // rename is atomic: only one process claims each file
+      const claimed = path.join(spoolDir, `${process.pid}-${match[2]}-${spoolSequence++}.ndjson`);
+      try {
+        await fs.promises.rename(path.join(spoolDir, name), claimed);
+        const { size } = await fs.promises.stat(claimed);
+        spool.push({ file: claimed, bytes: size });
+        spoolBytes += size;
+      } catch (error) {
+        // Claimed by another process
+      }
+    }
+
+    if (spool.length) {
+      await drainSpool();
+    }
+  };
+
+  enqueueTask(recoverSpool);
+
+  return {
+    /**
+     * Add a record to the current batch
+     * @param {Object} entry - { level, message, time: Date, metadata }
+     */
+    enqueue(entry) {
+      const line = formatLine(format, entry);
+      batch.push([entry.time.getTime(), entry.level, line]);
+      batchLength += line.length;
+
+      if (batch.length >= batchSize || batchLength >= batchBytes) {
+        flush();
+      } else if (!batchTimer) {
+        batchTimer = setTimeout(flush, flushIntervalMs);
+        batchTimer.unref();
+      }
+    },
+
+    flush,
+
+    /**
+     * Spool the current batch and try to send everything pending within
+     * timeoutMs; whatever is left stays on disk for the next start. The batch
+     * is spooled after the task in flight, like every spool change, and
+     * reaches the disk even when that takes longer than timeoutMs.
+     */
+    async close(timeoutMs) {
+      clearTimeout(retryTimer);
+      retryTimer = null;
+      const items = takeBatch();
+      const spooled = enqueueTask(() => spoolItems(items));
+      await Promise.race([enqueueTask(drainSpool), delay(timeoutMs)]);
+      await spooled;
+    },
+
+    getStats() {
+      return {
+        ...stats,
+        target,
+        failing,
+        pending: batch.length,
+        spool_files: spool.length,
+        spool_bytes: spoolBytes,
+      };
+    },
+  };
+};
+
+/**
+ * Winston transport handing records to a shipper.
+ * Expects records with a `metadata` field (winston.format.metadata).
+ */
+class LogShipperTransport extends Transport {
+  constructor({ shipper, ...options }) {
+    super(options);
+    this.shipper = shipper;
+  }
+
+  log(info, callback) {
+    this.shipper.enqueue({
+      level: info.level,
+      message: info.message,
+      time: info[RECORD_TIME] || new Date(),
+      metadata: info.metadata,
+    });
+
+    setImmediate(() => this.emit('logged', info));
+    callback();
+  }
+}
+
+module.exports = {
+  STATUS_LOGS,
+  assertShippingOptions,
+  createLogShipper,
+  LogShipperTransport,
+};
@@ -0,0 +1,204 @@
+/**
+ * Live Log Stream
+ * In-process hub behind the /debug/logs/stream Server-Sent Events endpoint:
+ * keeps a bounded history of emitted records and fans them out to filtered
+ * subscribers without blocking the logging path
+ */
+
+const { Transport } = require('winston');
+const config = require('../config');
+const { RingBuffer } = require('./ringBuffer');
+
+const { enabled, historySize, maxSubscribers, maxBufferedBytes } = config.logging.stream;
+
+const history = new RingBuffer(enabled ? historySize : 0);
+const subscribers = new Set();
+
+// Records waiting to be dispatched on the next turn of the event loop
+let pending = [];
+let dispatchScheduled = false;
+
+/**
+ * Resolve a dotted path ("http.status_code") in a record's metadata
+ */
+const getPath = (value, path) => {
+  return path.split('.').reduce((current, key) => (current == null ? undefined : current[key]), value);
+};
+
+/**
+ * Build a predicate from stream filters
+ * @param {Object} filters
+ * @param {string} [filters.level] - Most verbose level to include
+ * @param {string} [filters.requestId]
+ * @param {string} [filters.traceId]
+ * @param {string} [filters.contains] - Case-insensitive message substring
+ * @param {Object} [filters.metadata] - Metadata path -> expected value (compared as strings)
+ * @param {Object} levels - Level name -> severity (lower is more severe)
+ */
+const createFilter = ({ level, requestId, traceId, contains, metadata = {} }, levels) => {
+  const maxSeverity = level ? levels[level] : Infinity;
+  const needle = contains ? contains.toLowerCase() : null;
+  const metadataFilters = Object.entries(metadata);
+
+  return (entry) => {
+    if (levels[entry.level] > maxSeverity) return false;
+    if (requestId && entry.metadata.request_id !== requestId) return false;
+    if (traceId && entry.metadata.trace_id !== traceId) return false;
+    if (needle && !String(entry.message).toLowerCase().includes(needle)) return false;
+
+    return metadataFilters.every(([path, expected]) => {
+      const actual = getPath(entry.metadata, path);
+      return actual !== undefined && String(actual) === expected;
+    });
+  };
+};
+
+/**
+ * Serialize a record once, however many subscribers receive it
+ */
+const serialize = (entry) => {
+  if (entry.serialized === undefined) {
+    entry.serialized = `event: log\ndata: ${JSON.stringify({
+      level: entry.level,
+      message: entry.message,
+      timestamp: entry.timestamp,
+      metadata: entry.metadata,
+    })}\n\n`;
+  }
+  return entry.serialized;
+};
+
+/**
+ * Send a control event and end the subscriber's response
+ */
+const closeSubscriber = (subscriber, event, data) => {
+  if (!subscribers.delete(subscriber)) return;
+
+  subscriber.res.end(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  if (subscriber.onClose) {
+    subscriber.onClose(event, data);
+  }
+};
+
+/**
+ * Write pending records to every matching subscriber.
+ * A subscriber whose unsent output would exceed maxBufferedBytes is too slow
+ * to keep up and is dropped with a notice.
+ */
+const dispatch = () => {
+  dispatchScheduled = false;
+  const entries = pending;
+  pending = [];
+
+  for (const subscriber of subscribers) {
+    let chunk = '';
+    let count = 0;
+    for (const entry of entries) {
+      if (subscriber.filter(entry)) {
+        chunk += serialize(entry);
+        count++;
+      }
+    }
+
+    if (!chunk) continue;
+
+    const bufferedBytes = subscriber.res.writableLength + Buffer.byteLength(chunk);
+    if (bufferedBytes > maxBufferedBytes) {
+      closeSubscriber(subscriber, 'dropped', {
+        reason: 'slow_consumer',
+        buffered_bytes: bufferedBytes,
+        sent: subscriber.sent,
+        discarded: count,
+      });
+      continue;
+    }
+
+    subscriber.res.write(chunk);
+    subscriber.sent += count;
+  }
+};
+
+/**
+ * Publish an emitted record. Only queues it; filtering, serialization and
+ * socket writes happen on the next turn of the event loop.
+ * @param {Object} entry - { level, message, timestamp, metadata }
+ */
+const publish = (entry) => {
+  if (!enabled) return;
+
+  history.push(entry);
+
+  if (subscribers.size === 0) return;
+
+  pending.push(entry);
+  if (!dispatchScheduled) {
+    dispatchScheduled = true;
+    setImmediate(dispatch);
+  }
+};
+
+/**
+ * Attach an SSE response as a subscriber
+ * @param {Object} res - Express response, with SSE headers already sent
+ * @param {Object} options
+ * @param {Function} options.filter - Predicate from createFilter
+ * @param {number} options.historyLimit - Matching history records to replay
+ * @param {Function} [options.onClose] - Called with (event, data) when the server ends the stream
+ * @returns {Function|null} Unsubscribe function, or null when the subscriber limit is reached
+ */
+const subscribe = (res, { filter, historyLimit = 0, onClose }) => {
+  if (subscribers.size >= maxSubscribers) {
+    return null;
+  }
+
+  const subscriber = { res, filter, sent: 0, onClose };
+
+  const replay = historyLimit > 0
+    ? history.toArray().filter(subscriber.filter).slice(-historyLimit)
+    : [];
+  res.write(replay.map(serialize).join(''));
+  res.write(`event: ready\ndata: ${JSON.stringify({ replayed: replay.length })}\n\n`);
+
+  subscribers.add(subscriber);
+
+  return () => subscribers.delete(subscriber);
+};
+
+/**
+ * End every subscription (e.g. on shutdown)
+ */
+const closeAll = (reason) => {
+  for (const subscriber of subscribers) {
+    closeSubscriber(subscriber, 'closed', { reason });
+  }
+};
+
+const getStats = () => ({
+  enabled,
+  subscribers: subscribers.size,
+  max_subscribers: maxSubscribers,
+  history_size: history.size,
+});
+
+/**
+ * Winston transport feeding the stream with the records the console and app
+ * file receive (after redaction and runtime level filtering)
+ */
+class LogStreamTransport extends Transport {
+  log(info, callback) {
+    const { level, message, timestamp, ...metadata } = info;
+    publish({ level, message, timestamp, metadata });
+
+    setImmediate(() => this.emit('logged', info));
+    callback();
+  }
+}
+
+module.exports = {
+  createFilter,
+  publish,
+  subscribe,
+  closeAll,
+  getStats,
+  LogStreamTransport,
+};
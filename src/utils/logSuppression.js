@@ -0,0 +1,144 @@
+/**
+ * Log Suppression
+ * Deduplication of repeated records and sampling, shared by both backends.
+ * Identical records (same level, message and key fields) beyond a burst within
+ * a window are dropped and reported by one "repeated N times" summary when the
+ * window ends; records from logger.sampled(rate) pass with that probability.
+ */
+
+// Records that are never dropped: audit and security trails, flight recorder
+// flushes, debug sessions and the summaries themselves
+const EXEMPT_FLAGS = ['audit', 'security', 'flight_recorder', 'debug_session', 'dedup_summary'];
+
+/**
+ * Validate a sampling rate given to logger.sampled()
+ */
+const assertSampleRate = (rate) => {
+  if (typeof rate !== 'number' || !(rate >= 0 && rate <= 1)) {
+    throw new Error(`Sample rate must be a number between 0 and 1, got ${rate}`);
+  }
+};
+
+/**
+ * Create a suppressor.
+ * @param {Object} options
+ * @param {Object} options.dedup - { enabled, windowMs, burst, levels, fields, maxKeys }
+ * @param {Function} [options.onSummary] - (level, message, metadata) to log the summary of a
+ *   window in which records were dropped
+ */
+const createLogSuppressor = ({ dedup, onSummary = () => {} }) => {
+  // key -> { level, message, fields, count, firstAt, lastAt }
+  const windows = new Map();
+  let sweepTimer = null;
+
+  const stats = {
+    deduplicated: 0,
+    sampled: 0,
+    summaries: 0,
+  };
+
+  const keyOf = (level, record) => {
+    const values = dedup.fields.map((field) => {
+      const value = record[field];
+      return value === undefined ? '' : JSON.stringify(value);
+    });
+    return [level, record.message, ...values].join('\u0000');
+  };
+
+  /**
+   * Log summaries of windows that have ended and forget them
+   */
+  const sweep = (force = false) => {
+    const now = Date.now();
+    for (const [key, entry] of windows) {
+      if (!force && now - entry.firstAt < dedup.windowMs) continue;
+
+      windows.delete(key);
+      const dropped = entry.count - dedup.burst;
+      if (dropped <= 0) continue;
+
+      stats.summaries++;
+      onSummary(entry.level, `${entry.message} (repeated ${dropped} times)`, {
+        ...entry.fields,
+        dedup_summary: true,
+        repeated_count: dropped,
+        window_ms: dedup.windowMs,
+        first_repeat_at: new Date(entry.firstRepeatAt).toISOString(),
+        last_repeat_at: new Date(entry.lastAt).toISOString(),
+      });
+    }
+
+    if (windows.size === 0 && sweepTimer) {
+      clearInterval(sweepTimer);
+      sweepTimer = null;
+    }
+  };
+
+  const isDuplicate = (level, record) => {
+    const key = keyOf(level, record);
+    const now = Date.now();
+    const entry = windows.get(key);
+
+    if (!entry) {
+      // Beyond maxKeys new messages are not tracked and always pass
+      if (windows.size < dedup.maxKeys) {
+        const fields = {};
+        for (const field of dedup.fields) {
+          if (record[field] !== undefined) fields[field] = record[field];
+        }
+        windows.set(key, { level, message: record.message, fields, count: 1, firstAt: now, lastAt: now });
+        if (!sweepTimer) {
+          sweepTimer = setInterval(sweep, Math.max(1000, Math.floor(dedup.windowMs / 4)));
+          sweepTimer.unref();
+        }
+      }
+      return false;
+    }
+
+    entry.count++;
+    if (entry.count <= dedup.burst) return false;
+
+    if (entry.count === dedup.burst + 1) entry.firstRepeatAt = now;
+    entry.lastAt = now;
+    return true;
+  };
+
+  return {
+    /**
+     * Whether a record the level lets through should be written
+     * @param {string} level
+     * @param {Object} record - Record fields, including message and sample_rate
+     *   (set by logger.sampled)
+     */
+    shouldEmit(level, record) {
+      if (EXEMPT_FLAGS.some((flag) => record[flag])) return true;
+
+      if (record.sample_rate !== undefined && Math.random() >= record.sample_rate) {
+        stats.sampled++;
+        return false;
+      }
+
+      if (dedup.enabled && dedup.levels.includes(level) && isDuplicate(level, record)) {
+        stats.deduplicated++;
+        return false;
+      }
+      return true;
+    },
+
+    /**
+     * Log the summaries of all open windows now (on shutdown)
+     */
+    flush() {
+      sweep(true);
+    },
+
+    getStats() {
+      return { ...stats, tracked_messages: windows.size };
+    },
+  };
+};
+
+module.exports = {
+  assertSampleRate,
+  createLogSuppressor,
+};
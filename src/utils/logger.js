@@ -1,13 +1,71 @@
 /**
  * Production-Grade Logger
- * Winston-based logging with multiple transports, rotation, and structured logging
+ * Structured logging with multiple transports and rotation, on a winston
+ * (default) or pino backend selected with LOG_BACKEND
  */
 
 const winston = require('winston');
-const DailyRotateFile = require('winston-daily-rotate-file');
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
+const cluster = require('cluster');
 const config = require('../config');
+const { applyLogContext, runWithContext } = require('./context');
+const { redact, redactRecord } = require('./redaction');
+const { assertSanitizeOptions, sanitize, sanitizeRecord } = require('./logSanitizer');
+const { errorFields } = require('./errorSerializer');
+const { assertSampleRate, createLogSuppressor } = require('./logSuppression');
+const { createPinoLogger } = require('./pinoLogger');
+const { createChildLogger } = require('./childLogger');
+const { assertDebugTokenOptions } = require('./debugToken');
+const { captureRecord } = require('./flightRecorder');
+const { LogStreamTransport } = require('./logStream');
+const { RECORD_TIME, assertFormat, formatLine, formatTimestamp } = require('./logFormats');
+const { SyslogTransport, STATUS_LOGS, assertSyslogOptions } = require('./syslog');
+const {
+  STATUS_LOGS: SHIPPING_STATUS_LOGS,
+  assertShippingOptions,
+  createLogShipper,
+  LogShipperTransport,
+} = require('./logShipper');
+const { createRotatingFile, writeLogLine } = require('./logFiles');
+const { assertBackpressureOptions, createPipelineStats } = require('./logPipeline');
+const { MAIN_CHAIN, assertAuditOptions, createAuditLog } = require('./auditLog');
+const {
+  STATUS_LOGS: RETENTION_STATUS_LOGS,
+  assertRetentionOptions,
+  createRetentionManager,
+  readRetentionState,
+} = require('./logRetention');
+const {
+  STATUS_LOGS: FORWARDER_STATUS_LOGS,
+  createLogForwarder,
+  LogForwarderTransport,
+} = require('./logForwarder');
+
+// Formatted line and level keys used by winston transports (triple-beam MESSAGE and LEVEL)
+const MESSAGE = Symbol.for('message');
+const LEVEL = Symbol.for('level');
+
+// Output format for files and the production console (LOG_FORMAT)
+assertFormat(config.logging.format);
+assertBackpressureOptions(config.logging.backpressure);
+assertSanitizeOptions(config.logging.sanitize);
+if (config.logging.syslog.enabled) {
+  assertSyslogOptions(config.logging.syslog);
+}
+if (config.logging.shipping.enabled) {
+  assertShippingOptions(config.logging.shipping);
+}
+if (config.logging.audit.enabled) {
+  assertAuditOptions(config.logging.audit);
+}
+if (config.logging.retention.enabled) {
+  assertRetentionOptions(config.logging.retention);
+}
+if (config.logging.debugToken.enabled) {
+  assertDebugTokenOptions(config.logging.debugToken);
+}
 
 // Ensure log directory exists
 const logDir = path.resolve(config.logging.dir);
@@ -15,132 +73,609 @@ if (!fs.existsSync(logDir)) {
   fs.mkdirSync(logDir, { recursive: true });
 }
 
-// Custom format for structured logging
-const structuredFormat = winston.format.combine(
-  winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss.SSS' }),
-  winston.format.errors({ stack: true }),
-  winston.format.metadata({ fillExcept: ['message', 'level', 'timestamp', 'label'] }),
-  winston.format.json()
-);
-
-// Console format for development
-const consoleFormat = winston.format.combine(
-  winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss.SSS' }),
-  winston.format.errors({ stack: true }),
-  winston.format.colorize(),
-  winston.format.printf(({ timestamp, level, message, metadata }) => {
-    const meta = metadata && Object.keys(metadata).length ? JSON.stringify(metadata, null, 2) : '';
-    return `${timestamp} [${level}]: ${message} ${meta}`;
-  })
-);
+// Log levels (lower is more severe)
+const LEVELS = {
+  error: 0,
+  warn: 1,
+  info: 2,
+  http: 3,
+  debug: 4,
+  trace: 5,
+};
 
-// Create transports array
-const transports = [];
+// Runtime level state: global level plus per-module overrides
+const levelState = {
+  level: config.logging.level,
+  modules: { ...config.logging.moduleLevels },
+  revertTimer: null,
+  revertAt: null,
+  revertTo: null,
+};
 
-// Console transport (always enabled in development)
-if (config.app.isDevelopment) {
-  transports.push(
-    new winston.transports.Console({
-      format: consoleFormat,
-      level: config.logging.level,
-    })
-  );
-} else {
-  // In production, use JSON format for console (for log aggregators)
-  transports.push(
-    new winston.transports.Console({
-      format: structuredFormat,
-      level: config.logging.level,
-    })
+/**
+ * Resolve the effective level for a module.
+ * The most specific override wins: "models/User" falls back to "models".
+ */
+const getEffectiveLevel = (moduleName) => {
+  let name = moduleName;
+  while (name) {
+    if (levelState.modules[name]) {
+      return levelState.modules[name];
+    }
+    const separator = name.lastIndexOf('/');
+    name = separator > 0 ? name.substring(0, separator) : null;
+  }
+  return levelState.level;
+};
+
+// Most verbose level in use, exposed as the logger's own level
+const getMostVerboseLevel = () => {
+  return Object.values(levelState.modules).reduce(
+    (verbose, level) => (LEVELS[level] > LEVELS[verbose] ? level : verbose),
+    levelState.level
   );
-}
+};
 
-// Rotating file transport for all logs
-transports.push(
-  new DailyRotateFile({
-    filename: path.join(logDir, 'app-%DATE%.log'),
-    datePattern: 'YYYY-MM-DD',
-    maxSize: config.logging.maxSize,
-    maxFiles: config.logging.maxFiles,
-    format: structuredFormat,
-    zippedArchive: config.logging.compression,
-    level: config.logging.level,
+/**
+ * Check a level against the runtime global/per-module levels
+ */
+const isLevelEnabledFor = (level, moduleName) => {
+  return LEVELS[level] <= LEVELS[getEffectiveLevel(moduleName)];
+};
+
+/**
+ * Check a record against the runtime levels. Flushed flight recorder records
+ * keep their original level and pass, and so does every record of a debug
+ * session (a request with a signed debug token, see requestLogger.js).
+ */
+const isRecordEnabled = (level, record) => {
+  return Boolean(record.flight_recorder || record.debug_session) || isLevelEnabledFor(level, record.module);
+};
+
+// Metadata added to every record
+const defaultMeta = {
+  service: config.app.name,
+  version: config.app.version,
+  environment: config.app.env,
+  pid: process.pid,
+  hostname: os.hostname(),
+  ...(cluster.isWorker ? { worker_id: cluster.worker.id } : {}),
+};
+
+// Lines per transport, drops, rotations, queued bytes and write latencies
+// of this process (see logPipeline.js)
+const pipelineStats = createPipelineStats();
+
+// Rotating app/error/access files, written by this process or by a cluster
+// worker's fallback (see logFiles.js)
+const fileOptions = {
+  dir: logDir,
+  maxSize: config.logging.maxSize,
+  maxFiles: config.logging.maxFiles,
+  zippedArchive: config.logging.compression,
+  backpressure: config.logging.backpressure,
+  stats: pipelineStats,
+};
+
+// Audit trail options (see auditLog.js); maintenance failures are logged
+const auditOptions = config.logging.audit.enabled
+  ? {
+    dir: config.logging.audit.dir ? path.resolve(config.logging.audit.dir) : path.join(logDir, 'audit'),
+    hmacKey: config.logging.audit.hmacKey,
+    retentionDays: config.logging.audit.retentionDays,
+    compress: config.logging.audit.compress,
+    onError: (error, details) => {
+      runWithContext({}, () => logger.error('Audit log maintenance failed', { ...details, error_message: error.message }));
+    },
+  }
+  : null;
+
+// Cluster workers hand app/error/access file writes and audit records to the
+// primary (see logAggregation.js) so that a single process writes and rotates
+// the files and owns the audit chain
+const forwarder = cluster.isWorker && config.logging.cluster.aggregate
+  ? createLogForwarder({
+    workerId: cluster.worker.id,
+    maxPending: config.logging.cluster.maxPendingRecords,
+    files: fileOptions,
+    levels: LEVELS,
+    audit: auditOptions,
+    onStatus: (event, details) => {
+      const [level, message] = FORWARDER_STATUS_LOGS[event];
+      runWithContext({}, () => logger.log(level, message, details));
+    },
   })
-);
-
-// Separate rotating file for error logs
-transports.push(
-  new DailyRotateFile({
-    filename: path.join(logDir, 'error-%DATE%.log'),
-    datePattern: 'YYYY-MM-DD',
-    maxSize: config.logging.maxSize,
-    maxFiles: config.logging.maxFiles,
-    format: structuredFormat,
-    zippedArchive: config.logging.compression,
-    level: 'error',
+  : null;
+
+// This process's audit chain: the main chain, or a worker's own chain when
+// cluster aggregation is disabled
+const auditLog = auditOptions && !forwarder
+  ? createAuditLog({ ...auditOptions, chain: cluster.isWorker ? `worker-${cluster.worker.id}` : MAIN_CHAIN })
+  : null;
+
+// HTTP log shipping (Loki / Elasticsearch), shared by both backends.
+// Status changes are logged once per outage, outside any request context.
+const shipper = config.logging.shipping.enabled
+  ? createLogShipper({
+    ...config.logging.shipping,
+    headers: {
+      ...(config.logging.shipping.authorization
+        ? { Authorization: config.logging.shipping.authorization } : {}),
+      ...(config.logging.shipping.tenant ? { 'X-Scope-OrgID': config.logging.shipping.tenant } : {}),
+    },
+    labels: {
+      service: config.app.name,
+      environment: config.app.env,
+      ...config.logging.shipping.labels,
+    },
+    spoolDir: path.join(logDir, 'spool'),
+    onStatus: (event, details) => {
+      const [level, message] = SHIPPING_STATUS_LOGS[event];
+      runWithContext({}, () => logger.log(level, message, details));
+    },
   })
-);
-
-// Rotating file for access logs
-transports.push(
-  new DailyRotateFile({
-    filename: path.join(logDir, 'access-%DATE%.log'),
-    datePattern: 'YYYY-MM-DD',
-    maxSize: config.logging.maxSize,
-    maxFiles: config.logging.maxFiles,
-    format: structuredFormat,
-    zippedArchive: config.logging.compression,
-    level: 'http',
+  : null;
+
+// Archival and disk budget of the log directory (see logRetention.js), run by
+// the process that writes the files: never by cluster workers. Every process
+// reads the state of the last run for /health/detailed.
+const archiveDir = config.logging.retention.archiveDir
+  ? path.resolve(config.logging.retention.archiveDir)
+  : path.join(logDir, 'archive');
+const retention = config.logging.retention.enabled && !cluster.isWorker
+  ? createRetentionManager({
+    ...config.logging.retention,
+    dir: logDir,
+    archiveDir,
+    auditDir: auditOptions ? auditOptions.dir : null,
+    auditKey: auditOptions ? auditOptions.hmacKey : null,
+    format: config.logging.format,
+    onStatus: (event, details) => {
+      const [level, message] = RETENTION_STATUS_LOGS[event];
+      runWithContext({}, () => logger.log(level, message, details));
+    },
   })
-);
+  : null;
 
-// Create the logger instance
-const logger = winston.createLogger({
-  level: config.logging.level,
-  levels: {
-    error: 0,
-    warn: 1,
-    info: 2,
-    http: 3,
-    debug: 4,
-    trace: 5,
-  },
-  defaultMeta: {
-    service: config.app.name,
-    version: config.app.version,
-    environment: config.app.env,
-    pid: process.pid,
-    hostname: require('os').hostname(),
+// Deduplication and sampling, shared by both backends. Summaries of repeated
+// records are logged outside any request context.
+const suppressor = createLogSuppressor({
+  dedup: config.logging.dedup,
+  onSummary: (level, message, details) => {
+    runWithContext({}, () => logger.log(level, message, details));
   },
-  transports,
-  exitOnError: false,
 });
 
-// Add colors for custom levels
-winston.addColors({
-  error: 'red',
-  warn: 'yellow',
-  info: 'green',
-  http: 'magenta',
-  debug: 'blue',
-  trace: 'cyan',
-});
+// ======================
+// Winston Backend
+// ======================
+
+/**
+ * Create the winston logger with console and rotating file transports
+ */
+const createWinstonLogger = () => {
+  // Drop records above the effective level of the module that logged them
+  // (see isRecordEnabled for the records that always pass)
+  const levelFilter = winston.format((info) => {
+    return isRecordEnabled(info.level, info) ? info : false;
+  });
+
+  // Stamp the record's time (kept when set, e.g. by a flight recorder flush),
+  // then redact sensitive keys, paths and values, then escape and truncate what
+  // is left, once per record before any transport
+  const redactionFormat = winston.format((info) => {
+    if (!(info[RECORD_TIME] instanceof Date)) {
+      info[RECORD_TIME] = new Date();
+    }
+    return sanitizeRecord(redactRecord(info));
+  });
+
+  // The record's time as the timestamp field (local time, see formatTimestamp)
+  const timestampFormat = winston.format((info) => {
+    info.timestamp = formatTimestamp(info[RECORD_TIME] || new Date());
+    return info;
+  });
+
+  // Render the record in LOG_FORMAT (see logFormats.js); json keeps winston's serializer
+  const lineFormat = config.logging.format === 'json'
+    ? winston.format.json()
+    : winston.format((info) => {
+      info[MESSAGE] = formatLine(config.logging.format, {
+        level: info.level,
+        message: info.message,
+        time: info[RECORD_TIME] || new Date(),
+        metadata: info.metadata,
+      });
+      return info;
+    })();
 
-// Create child logger with request context
-logger.child = (metadata) => {
-  return winston.createLogger({
-    level: logger.level,
-    levels: logger.levels,
-    defaultMeta: { ...logger.defaultMeta, ...metadata },
-    transports: logger.transports,
+  // Custom format for structured logging
+  const structuredFormat = winston.format.combine(
+    timestampFormat(),
+    winston.format.errors({ stack: true }),
+    winston.format.metadata({ fillExcept: ['message', 'level', 'timestamp', 'label'] }),
+    lineFormat
+  );
+
+  // Console format for development
+  const consoleFormat = winston.format.combine(
+    timestampFormat(),
+    winston.format.errors({ stack: true }),
+    winston.format.colorize(),
+    winston.format.printf(({ timestamp, level, message, metadata }) => {
+      const meta = metadata && Object.keys(metadata).length ? JSON.stringify(metadata, null, 2) : '';
+      return `${timestamp} [${level}]: ${message} ${meta}`;
+    })
+  );
+
+  // Create transports array
+  const transports = [];
+
+  // Count the lines a transport takes, by level (the files count their own)
+  const counted = (name, transport) => {
+    transport.on('logged', (info) => pipelineStats.countLine(name, info[LEVEL]));
+    return transport;
+  };
+
+  // Console transport (always enabled in development)
+  // Console and app file transports accept every level and apply the runtime
+  // global/per-module levels through levelFilter
+  if (config.app.isDevelopment) {
+    transports.push(
+      counted('console', new winston.transports.Console({
+        format: winston.format.combine(levelFilter(), consoleFormat),
+        level: 'trace',
+      }))
+    );
+  } else {
+    // In production, use JSON format for console (for log aggregators)
+    transports.push(
+      counted('console', new winston.transports.Console({
+        format: winston.format.combine(levelFilter(), structuredFormat),
+        level: 'trace',
+      }))
+    );
+  }
+
+  // Rotating app/error/access files; in cluster workers a forwarder sends the
+  // formatted lines to the primary, which writes them (see logAggregation.js)
+  let fileTransports = null;
+  if (forwarder) {
+    transports.push(
+      counted('forward', new LogForwarderTransport({
+        forwarder,
+        isAppRecord: (info) => isRecordEnabled(info.level, info.metadata),
+        format: structuredFormat,
+        level: 'trace',
+      }))
+    );
+  } else {
+    fileTransports = {
+      // Rotating file transport for all logs
+      app: createRotatingFile(fileOptions, '', 'app', {
+        format: winston.format.combine(levelFilter(), structuredFormat),
+        level: 'trace',
+      }),
+
+      // Separate rotating file for error logs
+      error: createRotatingFile(fileOptions, '', 'error', {
+        format: structuredFormat,
+        level: 'error',
+      }),
+
+      // Rotating file for access logs
+      access: createRotatingFile(fileOptions, '', 'access', {
+        format: structuredFormat,
+        level: 'http',
+      }),
+    };
+    transports.push(...Object.values(fileTransports));
+  }
+
+  // Live log stream for /debug/logs/stream (same records as the app file)
+  if (config.logging.stream.enabled) {
+    transports.push(
+      new LogStreamTransport({
+        format: winston.format.combine(
+          levelFilter(),
+          timestampFormat(),
+          winston.format.errors({ stack: true })
+        ),
+        level: 'trace',
+      })
+    );
+  }
+
+  // Syslog (RFC 5424) with the same records as the app file
+  let syslogTransport = null;
+  if (config.logging.syslog.enabled) {
+    syslogTransport = new SyslogTransport({
+      ...config.logging.syslog,
+      appName: config.app.name,
+      messageFormat: config.logging.syslog.format,
+      format: winston.format.combine(
+        levelFilter(),
+        winston.format.errors({ stack: true }),
+        winston.format.metadata({ fillExcept: ['message', 'level', 'timestamp', 'label'] })
+      ),
+      level: 'trace',
+    });
+    transports.push(counted('syslog', syslogTransport));
+  }
+
+  // HTTP shipping with the same records as the app file
+  if (shipper) {
+    transports.push(
+      counted('shipping', new LogShipperTransport({
+        shipper,
+        format: winston.format.combine(
+          levelFilter(),
+          winston.format.errors({ stack: true }),
+          winston.format.metadata({ fillExcept: ['message', 'level', 'timestamp', 'label'] })
+        ),
+        level: 'trace',
+      }))
+    );
+  }
+
+  // Create the logger instance
+  const logger = winston.createLogger({
+    level: getMostVerboseLevel(),
+    levels: LEVELS,
+    format: redactionFormat(),
+    defaultMeta,
+    transports,
     exitOnError: false,
   });
+
+  // Stamp request context (request_id, trace_id, span_id, user_id) at call time.
+  // Formats can run later than the log call when transports apply backpressure,
+  // by which point the async context of the caller is gone.
+  // Always writes through the root stream, so child loggers inherit it as is.
+  // Records the runtime level suppresses go to the flight recorder only; no
+  // transport needs them (error/access files stop at http). Records dropped
+  // as duplicates or by sampling are not kept anywhere, or a failing request
+  // would flush them back.
+  const write = logger.write;
+  logger.write = (info) => {
+    applyLogContext(info);
+
+    const emitted = isRecordEnabled(info.level, info) || LEVELS[info.level] <= LEVELS.http;
+    if (emitted && !suppressor.shouldEmit(info.level, info)) return true;
+    captureRecord(info.level, info, emitted);
+
+    return emitted ? write.call(logger, info) : true;
+  };
+
+  // Lines forwarded by cluster workers, already formatted and level-filtered
+  if (fileTransports) {
+    logger.writeForwarded = (record) => writeLogLine(fileTransports, record, LEVELS);
+  }
+
+  // Report syslog outages through the other transports (once per outage).
+  // Socket events run in the context of the request that opened the socket.
+  if (syslogTransport) {
+    syslogTransport.on('status', (event, details) => {
+      const [level, message] = STATUS_LOGS[event];
+      runWithContext({}, () => {
+        logger.log(level, message, { ...details, syslog_protocol: config.logging.syslog.protocol });
+      });
+    });
+  }
+
+  // Add colors for custom levels
+  winston.addColors({
+    error: 'red',
+    warn: 'yellow',
+    info: 'green',
+    http: 'magenta',
+    debug: 'blue',
+    trace: 'cyan',
+  });
+
+  return logger;
+};
+
+// ======================
+// Logger Instance
+// ======================
+
+const logger = config.logging.backend === 'pino'
+  ? createPinoLogger({
+    levels: LEVELS,
+    defaultMeta,
+    isRecordEnabled,
+    suppressor,
+    pipelineStats,
+    shipper,
+    forwarder,
+    transport: {
+      dir: logDir,
+      maxSize: config.logging.maxSize,
+      maxFiles: config.logging.maxFiles,
+      zippedArchive: config.logging.compression,
+      backpressure: config.logging.backpressure,
+      format: config.logging.format,
+      pretty: config.app.isDevelopment,
+      files: !forwarder,
+      syslog: config.logging.syslog.enabled
+        ? { ...config.logging.syslog, appName: config.app.name }
+        : null,
+    },
+  })
+  : createWinstonLogger();
+
+// First retention run now that the logger can report it, then every LOG_RETENTION_INTERVAL_MS
+if (retention) {
+  retention.start();
+}
+
+/**
+ * Flush asynchronous sinks before the process exits (graceful shutdown).
+ * Lines queued for the cluster primary get up to 2s; shipping gets up to LOG_SHIP_SHUTDOWN_TIMEOUT_MS; unsent batches stay in
+ * the spool and are shipped on the next start.
+ */
+logger.drain = async () => {
+  suppressor.flush();
+  if (forwarder) {
+    await forwarder.flush();
+  }
+  if (shipper) {
+    await shipper.close(config.logging.shipping.shutdownTimeoutMs);
+  }
+};
+
+// Lines dropped as duplicates or by sampling, and summaries written
+logger.getSuppressionStats = () => suppressor.getStats();
+
+// Logging pipeline counters: lines per transport and level, lines dropped by
+// the backpressure policy, file rotations and bytes queued per file
+logger.getPipelineStats = () => pipelineStats.snapshot();
+
+// Call listener(transport, seconds) for every completed file write, with the
+// time since its oldest line was queued
+logger.onLogWrite = (listener) => pipelineStats.onWrite(listener);
+
+// Retention state: { enabled: false }, or { enabled: true, ...state of the last run }
+// (see readRetentionState; lastRun is null before the first run)
+logger.getRetentionState = async () => {
+  if (!config.logging.retention.enabled) return { enabled: false };
+  return { enabled: true, lastRun: null, ...(await readRetentionState(archiveDir)) };
+};
+
+// Log shipping counters (null when shipping is disabled)
+logger.getShippingStats = () => (shipper ? shipper.getStats() : null);
+
+// Audit directory (null when the audit log is disabled), read by the audit query API
+logger.getAuditDir = () => (auditOptions ? auditOptions.dir : null);
+
+// Append an audit record sent by a cluster worker to the main chain
+logger.writeForwardedAudit = (record) => {
+  if (!auditLog) return;
+  try {
+    auditLog.append(record);
+  } catch (error) {
+    logger.error('Audit record could not be written', { action: record.action, error_message: error.message });
+  }
+};
+
+// Create child logger with request context (see childLogger.js)
+logger.child = function child(metadata) {
+  return createChildLogger(this, metadata);
+};
+
+// Create a logger whose records are written with the given probability, for
+// hot paths: logger.sampled(0.01).debug(...). Records carry sample_rate.
+logger.sampled = function sampled(rate) {
+  assertSampleRate(rate);
+  return this.child({ sample_rate: rate });
+};
+
+// Create a logger for a module, subject to per-module level overrides
+logger.forModule = function forModule(moduleName) {
+  return this.child({ module: moduleName });
+};
+
+/**
+ * Validate a level name
+ */
+const assertLevel = (level) => {
+  if (!Object.prototype.hasOwnProperty.call(LEVELS, level)) {
+    throw new Error(`Unknown log level: ${level}`);
+  }
+};
+
+/**
+ * Replace the level state and sync the logger's own level
+ */
+const applyLevelState = (level, modules) => {
+  levelState.level = level;
+  levelState.modules = modules;
+  logger.level = getMostVerboseLevel();
+};
+
+/**
+ * Describe the level state as log fields
+ */
+const describeLevels = () => ({
+  global_level: levelState.level,
+  module_levels: { ...levelState.modules },
+  revert_at: levelState.revertAt ? new Date(levelState.revertAt).toISOString() : null,
+});
+
+// Get current runtime levels, and the levels a pending revert restores
+logger.getLevels = () => ({
+  level: levelState.level,
+  modules: { ...levelState.modules },
+  revert_at: levelState.revertAt ? new Date(levelState.revertAt).toISOString() : null,
+  revert_to: levelState.revertTo ? { ...levelState.revertTo, modules: { ...levelState.revertTo.modules } } : null,
+});
+
+/**
+ * Change the global level and/or per-module levels at runtime.
+ * A module level of null removes that override. With ttlMs the previous
+ * levels are restored after the TTL; a later change cancels a pending revert.
+ */
+logger.setLevels = ({ level, modules = {}, ttlMs } = {}) => {
+  if (level !== undefined) assertLevel(level);
+  for (const moduleLevel of Object.values(modules)) {
+    if (moduleLevel !== null) assertLevel(moduleLevel);
+  }
+
+  const previous = { level: levelState.level, modules: { ...levelState.modules } };
+
+  const nextModules = { ...levelState.modules };
+  for (const [moduleName, moduleLevel] of Object.entries(modules)) {
+    if (moduleLevel === null) {
+      delete nextModules[moduleName];
+    } else {
+      nextModules[moduleName] = moduleLevel;
+    }
+  }
+
+  clearTimeout(levelState.revertTimer);
+  levelState.revertTimer = null;
+  levelState.revertAt = null;
+  levelState.revertTo = null;
+
+  applyLevelState(level || levelState.level, nextModules);
+
+  if (ttlMs > 0) {
+    levelState.revertAt = Date.now() + ttlMs;
+    levelState.revertTo = previous;
+    levelState.revertTimer = setTimeout(() => {
+      levelState.revertTimer = null;
+      levelState.revertAt = null;
+      levelState.revertTo = null;
+      applyLevelState(previous.level, previous.modules);
+      logger.info('Log levels reverted', { ...describeLevels(), ttl_ms: ttlMs });
+    }, ttlMs);
+    levelState.revertTimer.unref();
+  }
+
+  logger.info('Log levels changed', { ...describeLevels(), ttl_ms: ttlMs || null });
+
+  return logger.getLevels();
+};
+
+// Restore the levels configured at boot
+logger.resetLevels = () => {
+  const modules = {};
+  for (const moduleName of Object.keys(levelState.modules)) {
+    modules[moduleName] = null;
+  }
+  return logger.setLevels({
+    level: config.logging.level,
+    modules: { ...modules, ...config.logging.moduleLevels },
+  });
 };
 
+// Helpers use `this` so that child loggers keep their own metadata
+
 // Performance logging helper
-logger.performance = (operation, durationMs, metadata = {}) => {
+logger.performance = function performance(operation, durationMs, metadata = {}) {
   const level = durationMs > 1000 ? 'warn' : 'info';
-  logger.log(level, `Performance: ${operation}`, {
+  this.log(level, `Performance: ${operation}`, {
     operation,
     duration_ms: durationMs,
     slow: durationMs > 1000,
@@ -148,9 +683,11 @@ logger.performance = (operation, durationMs, metadata = {}) => {
   });
 };
 
-// Audit logging helper
-logger.audit = (action, userId, resource, metadata = {}) => {
-  logger.info(`Audit: ${action}`, {
+// Audit logging helper: logged at info and, when enabled, appended to the
+// tamper-evident audit trail. metadata.resource_id (an id or a list of ids)
+// becomes a record field of its own so that the trail can be queried by it.
+logger.audit = function audit(action, userId, resource, metadata = {}) {
+  this.info(`Audit: ${action}`, {
     audit: true,
     action,
     user_id: userId,
@@ -158,11 +695,39 @@ logger.audit = (action, userId, resource, metadata = {}) => {
     timestamp: new Date().toISOString(),
     ...metadata,
   });
+
+  if (!auditOptions) return;
+
+  const { resource_id: resourceId, ...details } = metadata;
+  const context = applyLogContext({ ...this.defaultMeta });
+  const record = {
+    action,
+    user_id: userId,
+    resource,
+    resource_id: resourceId,
+    request_id: context.request_id,
+    trace_id: context.trace_id,
+    service: context.service,
+    hostname: context.hostname,
+    pid: context.pid,
+    worker_id: context.worker_id,
+    metadata: sanitize(redact(details)),
+  };
+
+  try {
+    if (forwarder) {
+      forwarder.forwardAudit(record);
+    } else {
+      auditLog.append(record);
+    }
+  } catch (error) {
+    this.error('Audit record could not be written', { action, error_message: error.message });
+  }
 };
 
 // Security logging helper
-logger.security = (event, metadata = {}) => {
-  logger.warn(`Security: ${event}`, {
+logger.security = function security(event, metadata = {}) {
+  this.warn(`Security: ${event}`, {
     security: true,
     event,
     timestamp: new Date().toISOString(),
@@ -170,12 +735,11 @@ logger.security = (event, metadata = {}) => {
   });
 };
 
-// Error with context helper
-logger.errorWithContext = (message, error, context = {}) => {
-  logger.error(message, {
-    error_name: error.name,
-    error_message: error.message,
-    error_stack: error.stack,
+// Error with context helper: the error is serialized with its cause chain,
+// aggregated errors and own fields (see errorSerializer.js)
+logger.errorWithContext = function errorWithContext(message, error, context = {}) {
+  this.error(message, {
+    ...errorFields(error),
     ...context,
   });
 };
@@ -6,6 +6,8 @@
 const client = require('prom-client');
 const config = require('../config');
 const logger = require('./logger');
+const { getContext } = require('./context');
+const { traceAsync } = require('./tracing');
 
 // Create a Registry
 const register = new client.Registry();
@@ -125,6 +127,91 @@ const uptimeSeconds = new client.Gauge({
   registers: [register],
 });
 
+// Log lines dropped as duplicates or by sampling (counted by the logger, read at scrape time)
+const logLinesSuppressed = new client.Counter({
+  name: `${config.monitoring.prefix}log_lines_suppressed_total`,
+  help: 'Log lines dropped by deduplication or sampling',
+  labelNames: ['reason'],
+  registers: [register],
+  collect() {
+    const { deduplicated, sampled } = logger.getSuppressionStats();
+    this.reset();
+    this.labels('duplicate').inc(deduplicated);
+    this.labels('sampled').inc(sampled);
+  },
+});
+
+// Logging pipeline (counted by the logger, read at scrape time): lines taken by
+// each transport, lines dropped by the backpressure policy, file rotations and
+// bytes queued per file
+const logLinesTotal = new client.Counter({
+  name: `${config.monitoring.prefix}log_lines_total`,
+  help: 'Log lines taken by each transport',
+  labelNames: ['transport', 'level'],
+  registers: [register],
+  collect() {
+    this.reset();
+    for (const [transport, levels] of Object.entries(logger.getPipelineStats().lines)) {
+      for (const [level, count] of Object.entries(levels)) {
+        this.labels(transport, level).inc(count);
+      }
+    }
+  },
+});
+
+const logLinesDropped = new client.Counter({
+  name: `${config.monitoring.prefix}log_lines_dropped_total`,
+  help: 'Log lines dropped by the backpressure policy of a file transport',
+  labelNames: ['transport', 'level'],
+  registers: [register],
+  collect() {
+    this.reset();
+    for (const [transport, levels] of Object.entries(logger.getPipelineStats().dropped)) {
+      for (const [level, count] of Object.entries(levels)) {
+        this.labels(transport, level).inc(count);
+      }
+    }
+  },
+});
+
+const logFileRotations = new client.Counter({
+  name: `${config.monitoring.prefix}log_file_rotations_total`,
+  help: 'Log file rotations (by date or size)',
+  labelNames: ['transport'],
+  registers: [register],
+  collect() {
+    this.reset();
+    for (const [transport, count] of Object.entries(logger.getPipelineStats().rotations)) {
+      this.labels(transport).inc(count);
+    }
+  },
+});
+
+const logQueuedBytes = new client.Gauge({
+  name: `${config.monitoring.prefix}log_queued_bytes`,
+  help: 'Bytes queued by a file transport and not written yet',
+  labelNames: ['transport'],
+  registers: [register],
+  collect() {
+    for (const [transport, bytes] of Object.entries(logger.getPipelineStats().queued_bytes)) {
+      this.labels(transport).set(bytes);
+    }
+  },
+});
+
+// Time from the oldest line of a write being queued to the write completing
+const logWriteDuration = new client.Histogram({
+  name: `${config.monitoring.prefix}log_write_duration_seconds`,
+  help: 'Log file write latency, from queueing to the write completing',
+  labelNames: ['transport'],
+  buckets: [0.0005, 0.001, 0.005, 0.01, 0.05, 0.1, 0.5, 1, 5],
+  registers: [register],
+});
+
+logger.onLogWrite((transport, seconds) => {
+  logWriteDuration.labels(transport).observe(seconds);
+});
+
 // Start time tracking
 const startTime = Date.now();
 
@@ -137,7 +224,7 @@ const updateEventLoopLag = () => {
   lastCheck = now;
 };
 
-setInterval(updateEventLoopLag, 1000);
+setInterval(updateEventLoopLag, 1000).unref();
 
 // Update memory usage periodically
 const updateMemoryUsage = () => {
@@ -151,13 +238,20 @@ const updateMemoryUsage = () => {
   uptimeSeconds.set((Date.now() - startTime) / 1000);
 };
 
-setInterval(updateMemoryUsage, 5000);
+setInterval(updateMemoryUsage, 5000).unref();
 
-// Helper to track database queries
+// Helper to track database queries; inside a request, each query is also
+// recorded as a span of the request's trace
 const trackDbQuery = async (operation, table, queryFn) => {
   const timer = dbQueryDuration.startTimer({ operation, table });
+  const run = getContext()?.traceId
+    ? traceAsync(`${operation} ${table}`, null, {
+      'db.operation.name': operation,
+      'db.collection.name': table,
+    })
+    : (fn) => fn();
   try {
-    const result = await queryFn();
+    const result = await run(queryFn);
     timer({ success: 'true' });
     return result;
   } catch (error) {
@@ -195,6 +289,12 @@ module.exports = {
     eventLoopLag,
     healthStatus,
     uptimeSeconds,
+    logLinesSuppressed,
+    logLinesTotal,
+    logLinesDropped,
+    logFileRotations,
+    logQueuedBytes,
+    logWriteDuration,
   },
   trackDbQuery,
   normalizeRoute,
@@ -0,0 +1,180 @@
+/**
+ * Pino Logger Backend
+ * Pino-based logger exposing the same API as the winston logger.
+ * Serialization happens on the main thread; file rotation and console output
+ * run in a worker thread (see pinoTransport.js).
+ */
+
+const path = require('path');
+const pino = require('pino');
+const { applyLogContext } = require('./context');
+const { redactRecord } = require('./redaction');
+const { sanitizeRecord } = require('./logSanitizer');
+const { captureRecord } = require('./flightRecorder');
+const { publish } = require('./logStream');
+const { RECORD_TIME, formatTimestamp, formatLine } = require('./logFormats');
+const { STATS_EVENT } = require('./logPipeline');
+
+// Pino severity for our custom http level (between debug: 20 and info: 30)
+const PINO_HTTP_LEVEL = 25;
+
+// Key marking records that only fixed-level destinations (error/access files)
+// should write ("fixed"), because the runtime level filters them out of
+// console/app, or that only the files should write ("files")
+const ROUTE_KEY = '__route';
+
+// Key carrying a line formatted by a cluster worker, written to the files as is
+const LINE_KEY = '__line';
+
+/**
+ * Create the pino-backed logger
+ * @param {Object} options
+ * @param {Object} options.levels - Level name -> severity (lower is more severe)
+ * @param {Object} options.defaultMeta - Metadata added to every record
+ * @param {Function} options.isRecordEnabled - (level, record) => boolean, runtime level state
+ * @param {Object} options.suppressor - Deduplication and sampling (see logSuppression.js)
+ * @param {Object} options.pipelineStats - Logging pipeline counters (see logPipeline.js)
+ * @param {Object} [options.shipper] - HTTP log shipper (see logShipper.js)
+ * @param {Object} [options.forwarder] - Cluster worker log forwarder, replacing the files (see logForwarder.js)
+ * @param {Object} options.transport - Options for the worker-thread transport
+ */
+const createPinoLogger = ({
+  levels, defaultMeta, isRecordEnabled, suppressor, pipelineStats, shipper, forwarder, transport,
+}) => {
+  const destination = pino.transport({
+    target: path.join(__dirname, 'pinoTransport.js'),
+    options: { ...transport, levels, routeKey: ROUTE_KEY, lineKey: LINE_KEY },
+  });
+
+  // Console, syslog and file stats of the worker thread, sent every second
+  destination.on(STATS_EVENT, (snapshot, writes) => {
+    pipelineStats.setRemote(snapshot);
+    writes.forEach(([label, seconds]) => pipelineStats.observeWrite(label, seconds));
+  });
+
+  // Levels are filtered here rather than by pino so that per-module overrides apply
+  const instance = pino({
+    level: 'trace',
+    customLevels: { http: PINO_HTTP_LEVEL },
+    base: null,
+    messageKey: 'message',
+    // The record's time in epoch milliseconds (see log); the transport renders
+    // it for the configured format
+    timestamp: false,
+    mixin: (record) => (record[RECORD_TIME] ? { timestamp: record[RECORD_TIME].getTime() } : {}),
+    formatters: {
+      level: (label) => ({ level: label }),
+    },
+  }, destination);
+
+  const logger = {
+    backend: 'pino',
+    levels,
+    level: 'info',
+    defaultMeta,
+
+    /**
+     * Log a record: log(level, message, meta), log(level, error) or log({ level, message, ...meta })
+     */
+    log(level, message, meta) {
+      if (level && typeof level === 'object') {
+        ({ level, message, ...meta } = level);
+      }
+
+      const record = Object.assign({}, this.defaultMeta, meta);
+      if (message instanceof Error) {
+        record.stack = message.stack;
+        message = message.message;
+      } else if (message && typeof message === 'object') {
+        Object.assign(record, message);
+        message = message.message;
+      }
+
+      // Match winston: the record's own level and timestamp always win
+      delete record.level;
+      delete record.timestamp;
+      record.message = message === undefined ? '' : String(message);
+
+      applyLogContext(record);
+
+      const enabled = isRecordEnabled(level, record);
+      if (!enabled && levels[level] > levels.http) {
+        captureRecord(level, record, false);
+        return this;
+      }
+
+      // Dropped as a duplicate or by sampling: not kept for the flight recorder either
+      if (!suppressor.shouldEmit(level, record)) {
+        return this;
+      }
+
+      sanitizeRecord(redactRecord(record));
+      captureRecord(level, record, true);
+
+      // Kept when set, e.g. by a flight recorder flush, so that every output
+      // writes the time the record was made
+      if (!(record[RECORD_TIME] instanceof Date)) {
+        record[RECORD_TIME] = new Date();
+      }
+      const time = record[RECORD_TIME];
+      const { message: text, ...metadata } = record;
+
+      if (!enabled) {
+        record[ROUTE_KEY] = 'fixed';
+      }
+
+      instance[level](record);
+
+      // Cluster workers: the primary writes the files
+      if (forwarder) {
+        const line = formatLine(transport.format, { level, message: text, time, metadata });
+        forwarder.forward({ level, line, app: enabled });
+        pipelineStats.countLine('forward', level);
+      }
+
+      // Feed the live log stream and HTTP shipping on the main thread
+      // (the transport runs in a worker)
+      if (enabled) {
+        publish({ level, message: text, timestamp: formatTimestamp(time), metadata });
+        if (shipper) {
+          shipper.enqueue({ level, message: text, time, metadata });
+          pipelineStats.countLine('shipping', level);
+        }
+      }
+
+      return this;
+    },
+
+    isLevelEnabled(level) {
+      return levels[level] <= levels[this.level];
+    },
+
+    /**
+     * Write a line forwarded by a cluster worker, already formatted and level-filtered
+     * @param {Object} record - { level, line, app }
+     */
+    writeForwarded({ level, line, app }) {
+      instance[level]({ [ROUTE_KEY]: app ? 'files' : 'fixed', [LINE_KEY]: line });
+    },
+
+    /**
+     * Flush buffered records to the worker thread
+     */
+    flush(callback) {
+      instance.flush(callback);
+    },
+  };
+
+  for (const level of Object.keys(levels)) {
+    logger[level] = function logAtLevel(message, meta) {
+      return this.log(level, message, meta);
+    };
+  }
+
+  return logger;
+};
+
+module.exports = {
+  ROUTE_KEY,
+  createPinoLogger,
+};
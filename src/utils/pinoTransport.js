@@ -0,0 +1,105 @@
+/**
+ * Pino Worker-Thread Transport
+ * Runs inside pino's transport worker: writes console output and the same
+ * rotating app/error/access files as the winston backend.
+ * In cluster workers the files are written by the primary instead
+ * (options.files is false), which passes lines forwarded by workers through here.
+ * Pipeline stats are sent to the main thread every second (see logPipeline.js).
+ */
+
+const { parentPort } = require('worker_threads');
+const build = require('pino-abstract-transport');
+const { formatLine } = require('./logFormats');
+const { createLogFiles, writeLogLine, waitForFiles, closeLogFiles } = require('./logFiles');
+const { STATS_EVENT, createPipelineStats } = require('./logPipeline');
+const { STATUS_LOGS, createSyslogSender, formatSyslogMessage } = require('./syslog');
+
+// Stats report interval, and write latencies reported at most per report
+const STATS_INTERVAL_MS = 1000;
+const MAX_REPORTED_WRITES = 1000;
+
+module.exports = async (options) => {
+  const { levels, routeKey, lineKey } = options;
+
+  const stats = createPipelineStats();
+  const files = options.files === false ? null : createLogFiles({ ...options, stats });
+
+  // File write latencies since the last report; beyond the cap they are not
+  // reported (writes batch up under load, so the cap is rarely reached)
+  let writes = [];
+  stats.onWrite((label, seconds) => {
+    if (writes.length < MAX_REPORTED_WRITES) {
+      writes.push([label, seconds]);
+    }
+  });
+  const reportTimer = setInterval(() => {
+    parentPort.postMessage({ code: 'EVENT', name: STATS_EVENT, args: [stats.snapshot(), writes] });
+    writes = [];
+  }, STATS_INTERVAL_MS);
+  reportTimer.unref();
+
+  // Syslog sender; outages are reported to the console and app file
+  let syslog = null;
+  if (options.syslog) {
+    syslog = createSyslogSender({
+      ...options.syslog,
+      onStatus: (event, details) => {
+        const [level, message] = STATUS_LOGS[event];
+        const entry = {
+          level,
+          message,
+          time: new Date(),
+          metadata: { ...details, syslog_protocol: options.syslog.protocol },
+        };
+        const line = formatLine(options.format, entry);
+        process.stdout.write(`${line}\n`);
+        stats.countLine('console', level);
+        if (files) {
+          writeLogLine(files, { level, line, app: true }, levels);
+        }
+      },
+    });
+  }
+
+  return build(async (source) => {
+    for await (const record of source) {
+      const { level, message, timestamp, [routeKey]: route, [lineKey]: forwardedLine, ...metadata } = record;
+
+      // Line formatted by a cluster worker: files only, as is
+      if (forwardedLine !== undefined) {
+        writeLogLine(files, { level, line: forwardedLine, app: route === 'files' }, levels);
+        await waitForFiles(files);
+        continue;
+      }
+
+      // Same output as the winston backend for the configured LOG_FORMAT
+      const entry = { level, message, time: new Date(timestamp), metadata };
+      const line = formatLine(options.format, entry);
+
+      if (route !== 'fixed') {
+        const consoleLine = options.pretty ? formatLine('pretty', entry, { colors: true }) : line;
+        process.stdout.write(`${consoleLine}\n`);
+        stats.countLine('console', level);
+        if (syslog) {
+          syslog.send(formatSyslogMessage(entry, options.syslog));
+          stats.countLine('syslog', level);
+        }
+      }
+      if (files) {
+        writeLogLine(files, { level, line, app: route !== 'fixed' }, levels);
+        // Block policy: stop reading records until the files catch up
+        await waitForFiles(files);
+      }
+    }
+  }, {
+    close: async () => {
+      clearInterval(reportTimer);
+      if (syslog) {
+        await new Promise((resolve) => syslog.close(resolve));
+      }
+      if (files) {
+        await closeLogFiles(files);
+      }
+    },
+  });
+};
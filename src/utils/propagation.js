@@ -0,0 +1,364 @@
+/**
+ * Trace Context Propagation
+ * Propagators read and write the trace context carried by HTTP headers:
+ * W3C Trace Context, Zipkin B3 (single and multi-header), Jaeger and our
+ * legacy x-* headers. Each has `fields` (the headers it uses),
+ * `extract(headers)` returning { traceId, spanId, sampled, traceState } or
+ * null, and `inject(context, headers)`. A chain extracts with the first
+ * propagator that finds a valid context and injects with each of its own.
+ */
+
+const crypto = require('crypto');
+
+const TRACE_ID_PATTERN = /^[0-9a-f]{32}$/;
+const SPAN_ID_PATTERN = /^[0-9a-f]{16}$/;
+const INVALID_TRACE_ID = '0'.repeat(32);
+const INVALID_SPAN_ID = '0'.repeat(16);
+
+const isValidTraceId = (id) => typeof id === 'string' && TRACE_ID_PATTERN.test(id) && id !== INVALID_TRACE_ID;
+const isValidSpanId = (id) => typeof id === 'string' && SPAN_ID_PATTERN.test(id) && id !== INVALID_SPAN_ID;
+
+/**
+ * Random 16-byte trace id and 8-byte span id, as lowercase hex
+ */
+const generateTraceId = () => crypto.randomBytes(16).toString('hex');
+const generateSpanId = () => crypto.randomBytes(8).toString('hex');
+
+const headerValue = (headers, name) => {
+  const value = headers[name];
+  return typeof value === 'string' ? value.trim() : undefined;
+};
+
+/**
+ * Lowercase hex id of up to `length` digits, left-padded with zeros
+ * (64-bit B3 and Jaeger trace ids, Jaeger ids with leading zeros omitted)
+ */
+const paddedId = (value, length) => {
+  const id = (value || '').toLowerCase();
+  return /^[0-9a-f]+$/.test(id) && id.length <= length ? id.padStart(length, '0') : null;
+};
+
+// ======================
+// W3C Trace Context
+// ======================
+
+const TRACEPARENT = 'traceparent';
+const TRACESTATE = 'tracestate';
+
+// version-traceid-parentid-flags, plus fields added by later versions
+const TRACEPARENT_PATTERN = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})(-.*)?$/;
+const SAMPLED_FLAG = 0x01;
+
+const TRACESTATE_MAX_MEMBERS = 32;
+const TRACESTATE_KEY = /^(?:[a-z0-9][_0-9a-z\-*/]{0,255}|[a-z0-9][_0-9a-z\-*/]{0,240}@[a-z][_0-9a-z\-*/]{0,13})$/;
+const TRACESTATE_VALUE = /^[\x20-\x2b\x2d-\x3c\x3e-\x7e]{0,255}[\x21-\x2b\x2d-\x3c\x3e-\x7e]$/;
+
+/**
+ * Parse a traceparent header
+ * @returns {Object|null} { traceId, spanId, sampled }, or null when invalid
+ */
+const parseTraceparent = (value) => {
+  const match = value ? TRACEPARENT_PATTERN.exec(value) : null;
+  if (!match) return null;
+
+  const [, version, traceId, spanId, flags, rest] = match;
+  // ff is forbidden; version 00 has exactly four fields
+  if (version === 'ff' || (version === '00' && rest !== undefined)) return null;
+  if (!isValidTraceId(traceId) || !isValidSpanId(spanId)) return null;
+
+  return {
+    traceId,
+    spanId,
+    sampled: (parseInt(flags, 16) & SAMPLED_FLAG) === SAMPLED_FLAG,
+  };
+};
+
+/**
+ * Validate and normalize a tracestate header (empty members are dropped)
+ * @returns {string|null} The list, or null when invalid or empty
+ */
+const parseTracestate = (value) => {
+  if (!value) return null;
+
+  const members = value.split(',').map((member) => member.trim()).filter(Boolean);
+  if (members.length === 0 || members.length > TRACESTATE_MAX_MEMBERS) return null;
+
+  const keys = new Set();
+  for (const member of members) {
+    const separator = member.indexOf('=');
+    const key = member.substring(0, separator);
+    if (separator <= 0 || !TRACESTATE_KEY.test(key) || !TRACESTATE_VALUE.test(member.substring(separator + 1))) {
+      return null;
+    }
+    if (keys.has(key)) return null;
+    keys.add(key);
+  }
+
+  return members.join(',');
+};
+
+const formatTraceparent = ({ traceId, spanId, sampled }) => {
+  return `00-${traceId}-${spanId}-${sampled === false ? '00' : '01'}`;
+};
+
+const tracecontext = {
+  name: 'tracecontext',
+  fields: [TRACEPARENT, TRACESTATE],
+
+  extract(headers) {
+    const parent = parseTraceparent(headerValue(headers, TRACEPARENT));
+    if (!parent) return null;
+    return { ...parent, traceState: parseTracestate(headers[TRACESTATE] && String(headers[TRACESTATE])) };
+  },
+
+  inject(context, headers) {
+    if (!isValidTraceId(context.traceId) || !isValidSpanId(context.spanId)) return;
+    headers[TRACEPARENT] = formatTraceparent(context);
+    if (context.traceState) {
+      headers[TRACESTATE] = context.traceState;
+    }
+  },
+};
+
+// ======================
+// Legacy x-* headers
+// ======================
+
+const LEGACY_HEADERS = {
+  TRACE_ID: 'x-trace-id',
+  SPAN_ID: 'x-span-id',
+  PARENT_SPAN_ID: 'x-parent-span-id',
+};
+
+/**
+ * Legacy span id as 16 hex digits. Services not migrated yet send the first
+ * 16 characters of a UUID (a3c1e1d2-1111-42): read without dashes and
+ * left-padded; longer hex ids are hashed down to 16 digits.
+ */
+const legacySpanId = (value) => {
+  const id = (value || '').replace(/-/g, '').toLowerCase();
+  if (!/^[0-9a-f]+$/.test(id)) return null;
+
+  const spanId = id.length <= 16
+    ? id.padStart(16, '0')
+    : crypto.createHash('sha256').update(id).digest('hex').substring(0, 16);
+  return isValidSpanId(spanId) ? spanId : null;
+};
+
+/**
+ * Our headers before Trace Context. Services not migrated yet may still send
+ * UUID trace ids, which are read without their dashes, and UUID-prefix span
+ * ids (see legacySpanId); other ids are ignored.
+ */
+const legacy = {
+  name: 'legacy',
+  fields: Object.values(LEGACY_HEADERS),
+
+  extract(headers) {
+    const traceId = (headerValue(headers, LEGACY_HEADERS.TRACE_ID) || '').replace(/-/g, '').toLowerCase();
+    if (!isValidTraceId(traceId)) return null;
+
+    return { traceId, spanId: legacySpanId(headerValue(headers, LEGACY_HEADERS.SPAN_ID)) };
+  },
+
+  inject(context, headers) {
+    if (!isValidTraceId(context.traceId) || !isValidSpanId(context.spanId)) return;
+    headers[LEGACY_HEADERS.TRACE_ID] = context.traceId;
+    headers[LEGACY_HEADERS.SPAN_ID] = context.spanId;
+    if (isValidSpanId(context.parentSpanId)) {
+      headers[LEGACY_HEADERS.PARENT_SPAN_ID] = context.parentSpanId;
+    }
+  },
+};
+
+// ======================
+// Zipkin B3
+// ======================
+
+const B3 = 'b3';
+const B3_HEADERS = {
+  TRACE_ID: 'x-b3-traceid',
+  SPAN_ID: 'x-b3-spanid',
+  PARENT_SPAN_ID: 'x-b3-parentspanid',
+  SAMPLED: 'x-b3-sampled',
+  FLAGS: 'x-b3-flags',
+};
+
+/**
+ * B3 sampling state: 1 (or true), 0 (or false) and d (debug, sampled)
+ * @returns {boolean|undefined} undefined when deferred to us
+ */
+const parseB3Sampled = (value) => {
+  if (value === '1' || value === 'd' || value === 'true') return true;
+  if (value === '0' || value === 'false') return false;
+  return undefined;
+};
+
+/**
+ * A context from B3 ids, or a sampling decision alone ({ sampled }) when
+ * the ids are absent
+ */
+const b3Context = (traceIdValue, spanIdValue, sampled) => {
+  if (!traceIdValue && !spanIdValue) {
+    return sampled === undefined ? null : { sampled };
+  }
+
+  const traceId = traceIdValue && traceIdValue.length === 16 ? paddedId(traceIdValue, 32) : traceIdValue;
+  if (!isValidTraceId(traceId) || !isValidSpanId(spanIdValue)) return null;
+  return { traceId, spanId: spanIdValue, sampled };
+};
+
+/**
+ * Single header: b3: {TraceId}-{SpanId}[-{SamplingState}[-{ParentSpanId}]], or b3: {SamplingState}
+ */
+const b3 = {
+  name: 'b3',
+  fields: [B3],
+
+  extract(headers) {
+    const value = (headerValue(headers, B3) || '').toLowerCase();
+    if (!value) return null;
+
+    const parts = value.split('-');
+    if (parts.length === 1) return b3Context(null, null, parseB3Sampled(parts[0]));
+    if (parts.length > 4) return null;
+    return b3Context(parts[0], parts[1], parseB3Sampled(parts[2]));
+  },
+
+  inject(context, headers) {
+    if (!isValidTraceId(context.traceId) || !isValidSpanId(context.spanId)) return;
+    const parent = isValidSpanId(context.parentSpanId) ? `-${context.parentSpanId}` : '';
+    headers[B3] = `${context.traceId}-${context.spanId}-${context.sampled === false ? '0' : '1'}${parent}`;
+  },
+};
+
+const b3multi = {
+  name: 'b3multi',
+  fields: Object.values(B3_HEADERS),
+
+  extract(headers) {
+    const debug = headerValue(headers, B3_HEADERS.FLAGS) === '1';
+    return b3Context(
+      (headerValue(headers, B3_HEADERS.TRACE_ID) || '').toLowerCase(),
+      (headerValue(headers, B3_HEADERS.SPAN_ID) || '').toLowerCase(),
+      debug || parseB3Sampled(headerValue(headers, B3_HEADERS.SAMPLED))
+    );
+  },
+
+  inject(context, headers) {
+    if (!isValidTraceId(context.traceId) || !isValidSpanId(context.spanId)) return;
+    headers[B3_HEADERS.TRACE_ID] = context.traceId;
+    headers[B3_HEADERS.SPAN_ID] = context.spanId;
+    if (isValidSpanId(context.parentSpanId)) {
+      headers[B3_HEADERS.PARENT_SPAN_ID] = context.parentSpanId;
+    }
+    headers[B3_HEADERS.SAMPLED] = context.sampled === false ? '0' : '1';
+  },
+};
+
+// ======================
+// Jaeger
+// ======================
+
+const UBER_TRACE_ID = 'uber-trace-id';
+const JAEGER_SAMPLED_FLAG = 0x01;
+const JAEGER_DEBUG_FLAG = 0x02;
+
+/**
+ * uber-trace-id: {trace-id}:{span-id}:{parent-span-id}:{flags}, possibly URL-encoded.
+ * The parent span id is deprecated: sent as 0 and ignored when read.
+ */
+const jaeger = {
+  name: 'jaeger',
+  fields: [UBER_TRACE_ID],
+
+  extract(headers) {
+    let value = headerValue(headers, UBER_TRACE_ID);
+    if (!value) return null;
+    try {
+      value = decodeURIComponent(value);
+    } catch (error) {
+      return null;
+    }
+
+    const parts = value.split(':');
+    if (parts.length !== 4 || !/^[0-9a-f]{1,2}$/i.test(parts[3])) return null;
+
+    const traceId = paddedId(parts[0], 32);
+    const spanId = paddedId(parts[1], 16);
+    if (!isValidTraceId(traceId) || !isValidSpanId(spanId)) return null;
+
+    const flags = parseInt(parts[3], 16);
+    return { traceId, spanId, sampled: (flags & (JAEGER_SAMPLED_FLAG | JAEGER_DEBUG_FLAG)) !== 0 };
+  },
+
+  inject(context, headers) {
+    if (!isValidTraceId(context.traceId) || !isValidSpanId(context.spanId)) return;
+    headers[UBER_TRACE_ID] = `${context.traceId}:${context.spanId}:0:${context.sampled === false ? '0' : '1'}`;
+  },
+};
+
+const PROPAGATORS = {
+  tracecontext,
+  b3,
+  b3multi,
+  jaeger,
+  legacy,
+};
+
+const assertPropagatorNames = (variable, names) => {
+  const unknown = names.filter((name) => !Object.prototype.hasOwnProperty.call(PROPAGATORS, name));
+  if (unknown.length || names.length === 0) {
+    throw new Error(`Unknown ${variable} "${names.join(',')}" (expected a list of: ${Object.keys(PROPAGATORS).join(', ')})`);
+  }
+};
+
+/**
+ * Compose the named propagators into one
+ * @param {string[]} extractNames - Propagators read, in priority order
+ * @param {string[]} [injectNames] - Propagators written (defaults to extractNames)
+ */
+const createPropagator = (extractNames, injectNames = extractNames) => {
+  assertPropagatorNames('TRACE_PROPAGATORS', extractNames);
+  assertPropagatorNames('TRACE_INJECT_PROPAGATORS', injectNames);
+
+  const extractors = extractNames.map((name) => PROPAGATORS[name]);
+  const injectors = injectNames.map((name) => PROPAGATORS[name]);
+
+  return {
+    fields: [...new Set([...extractors, ...injectors].flatMap((propagator) => propagator.fields))],
+
+    /**
+     * The first context with ids wins. A sampling decision sent without ids
+     * (b3: 0) applies to the new trace when no propagator finds one.
+     */
+    extract(headers) {
+      let decision = null;
+      for (const propagator of extractors) {
+        const context = propagator.extract(headers);
+        if (!context) continue;
+        if (context.traceId) return { ...context, propagator: propagator.name };
+        decision = decision || context;
+      }
+      return decision && { sampled: decision.sampled };
+    },
+
+    inject(context, headers = {}) {
+      for (const propagator of injectors) {
+        propagator.inject(context, headers);
+      }
+      return headers;
+    },
+  };
+};
+
+module.exports = {
+  PROPAGATORS,
+  isValidTraceId,
+  isValidSpanId,
+  generateTraceId,
+  generateSpanId,
+  parseTraceparent,
+  parseTracestate,
+  createPropagator,
+};
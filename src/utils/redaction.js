@@ -0,0 +1,348 @@
+/**
+ * Sensitive Data Redaction
+ * Configurable redaction of log records by key, path and value pattern.
+ * Records are redacted copy-on-write: request bodies, queries and headers
+ * passed to the logger are never mutated.
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
+const { isError, serializeError } = require('./errorSerializer');
+const { createFieldCipher } = require('./fieldEncryption');
+
+const MASK = '[REDACTED]';
+const MAX_DEPTH = 10;
+
+// Built-in value patterns (matched inside any string value)
+const VALUE_PATTERNS = {
+  email: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi,
+  card: /\b(?:\d[ -]?){12,18}\d\b/g,
+  jwt: /\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g,
+  bearer: /\bBearer\s+[A-Za-z0-9\-._~+/]+=*/gi,
+};
+
+// Fields holding URLs whose query string values are redacted by key
+const URL_FIELDS = ['url', 'original_url', 'referer', 'referrer'];
+
+/**
+ * Luhn checksum, used to avoid masking arbitrary long digit runs as card numbers
+ */
+const isLuhnValid = (digits) => {
+  let sum = 0;
+  let double = false;
+  for (let i = digits.length - 1; i >= 0; i--) {
+    let digit = digits.charCodeAt(i) - 48;
+    if (double) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+    double = !double;
+  }
+  return sum % 10 === 0;
+};
+
+/**
+ * Normalize a key for matching: case-insensitive, ignoring "-" and "_"
+ * so that apiKey, api_key and API-KEY are treated alike
+ */
+const normalizeKey = (key) => String(key).toLowerCase().replace(/[-_]/g, '');
+
+/**
+ * Keys of a field ("email", or the trailing keys of a path: "user.email"), normalized
+ */
+const parseField = (field) => field.split('.').map(normalizeKey);
+
+/**
+ * Whether a path (array of keys) ends with the keys of a parsed field
+ */
+const matchesField = (segments, path) => {
+  const offset = path.length - segments.length;
+  return offset >= 0 && segments.every((segment, i) => segment === normalizeKey(path[offset + i]));
+};
+
+/**
+ * Split a key into lowercase words on "-", "_", other separators and
+ * camelCase: x-api-key, apiKey and XApiKey all give x, api, key
+ */
+const keyWords = (key) => String(key)
+  .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+  .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(Boolean);
+
+/**
+ * Whether consecutive words of a key spell a normalized pattern, so that
+ * "token" matches access_token and authToken but not tokens_used, and
+ * "apiKey" matches api_key and APIKEY
+ */
+const containsWords = (words, pattern) => {
+  for (let start = 0; start < words.length; start++) {
+    let joined = '';
+    for (let end = start; end < words.length && joined.length < pattern.length; end++) {
+      joined += words[end];
+    }
+    if (joined === pattern) return true;
+  }
+  return false;
+};
+
+/**
+ * Create a redactor from options
+ * @param {Object} options
+ * @param {string[]} options.keys - Key patterns, matching whole words of a key (see containsWords)
+ * @param {string} options.strategy - Default strategy for key matches: remove, mask, hash, partial, encrypt
+ * @param {Object} options.valuePatterns - Built-in value pattern name -> strategy
+ * @param {Object} options.paths - Path rule ("body.metadata.*") -> strategy
+ * @param {string[]} options.encryptFields - Fields encrypted instead (when keys are configured):
+ *   a key ("email") or the trailing keys of a path ("user.email"), matched exactly once normalized
+ * @param {string[]} options.hashFields - Fields hashed instead, matched like encryptFields (requires hashSecret)
+ * @param {string} options.hashSecret - HMAC key for the hash strategy
+ * @param {Object} options.encryption - { keys, activeKeyId } for the encrypt strategy (see fieldEncryption.js)
+ */
+const createRedactor = (options = {}) => {
+  const keyPatterns = (options.keys || []).map(normalizeKey);
+  const defaultStrategy = options.strategy || 'mask';
+  const hashSecret = options.hashSecret || '';
+
+  const encryptionKeys = (options.encryption && options.encryption.keys) || {};
+  const cipher = Object.keys(encryptionKeys).length ? createFieldCipher(options.encryption) : null;
+
+  // Field rules take priority over key patterns: the value is kept, encrypted
+  // or hashed, rather than masked. Unlike key patterns they match whole keys,
+  // so that hashing "name" leaves error_name alone.
+  const toFieldRule = (strategy) => (field) => ({ segments: parseField(field), strategy });
+  const fieldRules = [
+    ...(cipher ? options.encryptFields || [] : []).map(toFieldRule('encrypt')),
+    ...(options.hashFields || []).map(toFieldRule('hash')),
+  ];
+
+  const strategies = [
+    defaultStrategy,
+    ...Object.values(options.valuePatterns || {}),
+    ...Object.values(options.paths || {}),
+  ];
+  if (strategies.includes('encrypt') && !cipher) {
+    throw new Error('The encrypt redaction strategy requires LOG_ENCRYPTION_KEYS');
+  }
+  if ((options.hashFields || []).length && !hashSecret) {
+    throw new Error('LOG_HASH_FIELDS requires LOG_REDACT_HASH_SECRET (unkeyed hashes of PII can be reversed by guessing)');
+  }
+
+  const valueRules = Object.entries(options.valuePatterns || {})
+    .filter(([name]) => VALUE_PATTERNS[name])
+    .map(([name, strategy]) => ({ name, strategy, pattern: VALUE_PATTERNS[name] }));
+
+  const pathRules = Object.entries(options.paths || {}).map(([pattern, strategy]) => ({
+    segments: pattern.split('.'),
+    strategy,
+  }));
+
+  const keyMatchCache = new Map();
+
+  const matchesKey = (key) => {
+    let matched = keyMatchCache.get(key);
+    if (matched === undefined) {
+      const words = keyWords(key);
+      matched = keyPatterns.some((pattern) => containsWords(words, pattern));
+      if (keyMatchCache.size < 10000) keyMatchCache.set(key, matched);
+    }
+    return matched;
+  };
+
+  /**
+   * Strategy of the first field rule naming the last keys of a path
+   */
+  const matchFieldRule = (path) => {
+    if (fieldRules.length === 0) return null;
+    const rule = fieldRules.find(({ segments }) => matchesField(segments, path));
+    return rule ? rule.strategy : null;
+  };
+
+  const matchPathRule = (path) => {
+    for (const rule of pathRules) {
+      if (rule.segments.length !== path.length) continue;
+      if (rule.segments.every((segment, i) => segment === '*' || segment === String(path[i]))) {
+        return rule.strategy;
+      }
+    }
+    return null;
+  };
+
+  const hash = (value) => {
+    const digest = hashSecret
+      ? crypto.createHmac('sha256', hashSecret).update(String(value)).digest('hex')
+      : crypto.createHash('sha256').update(String(value)).digest('hex');
+    return `[HASH:${digest.substring(0, 16)}]`;
+  };
+
+  const partial = (value) => {
+    const str = typeof value === 'string' ? value : JSON.stringify(value) || '';
+    const at = str.indexOf('@');
+    if (at > 0) {
+      return `${str[0]}***${str.substring(at)}`;
+    }
+    const digits = str.replace(/[ -]/g, '');
+    return digits.length > 8 ? `****${digits.slice(-4)}` : '****';
+  };
+
+  /**
+   * Apply a strategy to a whole value (undefined means "remove the field")
+   */
+  const applyStrategy = (strategy, value) => {
+    switch (strategy) {
+      case 'remove':
+        return undefined;
+      case 'hash':
+        return hash(typeof value === 'string' ? value : JSON.stringify(value));
+      case 'partial':
+        return partial(value);
+      case 'encrypt':
+        return cipher.encrypt(value);
+      case 'mask':
+      default:
+        return MASK;
+    }
+  };
+
+  /**
+   * Redact value patterns inside a string
+   */
+  const redactString = (str) => {
+    let result = str;
+    for (const rule of valueRules) {
+      rule.pattern.lastIndex = 0;
+      if (!rule.pattern.test(result)) continue;
+      rule.pattern.lastIndex = 0;
+
+      result = result.replace(rule.pattern, (match) => {
+        if (rule.name === 'card' && !isLuhnValid(match.replace(/[ -]/g, ''))) {
+          return match;
+        }
+        const replaced = applyStrategy(rule.strategy, match);
+        return replaced === undefined ? '' : replaced;
+      });
+    }
+    return result;
+  };
+
+  /**
+   * Redact query string values of a URL by key
+   */
+  const redactUrl = (url) => {
+    const queryStart = url.indexOf('?');
+    if (queryStart === -1) return redactString(url);
+
+    const query = url.substring(queryStart + 1).split('&').map((pair) => {
+      const separator = pair.indexOf('=');
+      if (separator === -1) return pair;
+
+      let key = pair.substring(0, separator);
+      try {
+        key = decodeURIComponent(key);
+      } catch (e) {
+        // Keep the raw key when it is not valid URI encoding
+      }
+
+      if (!matchesKey(key)) return pair;
+      const replaced = applyStrategy(defaultStrategy, pair.substring(separator + 1));
+      return replaced === undefined ? null : `${pair.substring(0, separator)}=${encodeURIComponent(replaced)}`;
+    }).filter((pair) => pair !== null);
+
+    return redactString(`${url.substring(0, queryStart)}?${query.join('&')}`);
+  };
+
+  /**
+   * Return a redacted copy of a value. Only plain objects and arrays are
+   * descended into, and errors once serialized (see errorSerializer.js);
+   * the input is never mutated.
+   */
+  const redact = (value, path = [], seen = new WeakSet()) => {
+    if (typeof value === 'string') {
+      return URL_FIELDS.includes(path[path.length - 1]) ? redactUrl(value) : redactString(value);
+    }
+    if (!value || typeof value !== 'object') return value;
+    if (isError(value)) return redact(serializeError(value), path, seen);
+
+    const isArray = Array.isArray(value);
+    if (!isArray && Object.getPrototypeOf(value) !== Object.prototype && Object.getPrototypeOf(value) !== null) {
+      return value;
+    }
+    if (seen.has(value)) return '[Circular]';
+    if (path.length >= MAX_DEPTH) return '[MaxDepth]';
+    seen.add(value);
+
+    const copy = isArray ? [] : {};
+    for (const key of Object.keys(value)) {
+      const redacted = redactEntry(key, value[key], path.concat(key), seen);
+      if (redacted !== undefined) {
+        copy[key] = redacted;
+      } else if (isArray) {
+        copy[key] = MASK;
+      }
+    }
+
+    seen.delete(value);
+    return copy;
+  };
+
+  /**
+   * Redact a single key/value pair; path rules take priority over field rules,
+   * and field rules over key patterns
+   */
+  const redactEntry = (key, value, path, seen) => {
+    const pathStrategy = pathRules.length ? matchPathRule(path) : null;
+    if (pathStrategy) {
+      return applyStrategy(pathStrategy, value);
+    }
+    if (value !== undefined && value !== null && value !== '') {
+      const fieldStrategy = matchFieldRule(path);
+      if (fieldStrategy) {
+        return applyStrategy(fieldStrategy, value);
+      }
+      if (matchesKey(key)) {
+        return applyStrategy(defaultStrategy, value);
+      }
+    }
+    return redact(value, path, seen);
+  };
+
+  /**
+   * Redact a log record in place. Only the record's own top-level fields are
+   * replaced; nested values are swapped for redacted copies.
+   */
+  const redactRecord = (info) => {
+    if (typeof info.message === 'string') {
+      info.message = redactString(info.message);
+    }
+
+    for (const key of Object.keys(info)) {
+      if (key === 'level' || key === 'message') continue;
+
+      const redacted = redactEntry(key, info[key], [key], new WeakSet());
+      if (redacted === undefined) {
+        delete info[key];
+      } else {
+        info[key] = redacted;
+      }
+    }
+
+    return info;
+  };
+
+  return { redact, redactRecord };
+};
+
+// Process-wide redactor built from configuration
+const redactor = createRedactor(config.logging.redaction);
+
+module.exports = {
+  MASK,
+  VALUE_PATTERNS,
+  parseField,
+  matchesField,
+  createRedactor,
+  redact: (value) => redactor.redact(value),
+  redactRecord: redactor.redactRecord,
+};
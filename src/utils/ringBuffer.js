@@ -0,0 +1,52 @@
+/**
+ * Ring Buffer
+ * Fixed-capacity buffer for recent items (log records, queued messages)
+ */
+
+/**
+ * Fixed-capacity ring buffer; the oldest entries are overwritten when full
+ */
+class RingBuffer {
+  constructor(capacity) {
+    this.capacity = capacity;
+    this.items = new Array(capacity);
+    this.start = 0;
+    this.size = 0;
+    this.dropped = 0;
+  }
+
+  push(item) {
+    if (this.capacity === 0) {
+      this.dropped++;
+      return;
+    }
+
+    if (this.size < this.capacity) {
+      this.items[(this.start + this.size) % this.capacity] = item;
+      this.size++;
+    } else {
+      this.items[this.start] = item;
+      this.start = (this.start + 1) % this.capacity;
+      this.dropped++;
+    }
+  }
+
+  toArray() {
+    const result = [];
+    for (let i = 0; i < this.size; i++) {
+      result.push(this.items[(this.start + i) % this.capacity]);
+    }
+    return result;
+  }
+
+  clear() {
+    this.items = new Array(this.capacity);
+    this.start = 0;
+    this.size = 0;
+    this.dropped = 0;
+  }
+}
+
+module.exports = {
+  RingBuffer,
+};
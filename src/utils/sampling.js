@@ -0,0 +1,124 @@
+/**
+ * Trace Sampling
+ * Head sampling decides, when a request starts, whether its trace is recorded
+ * and exported: per-route rules first, then the caller's sampled flag
+ * (parent-based), then the root sampler (always, never, or a ratio of trace
+ * ids). The decision travels downstream in the propagated headers.
+ * With tail sampling, traces head sampling left out are still recorded and
+ * kept only if their root span ends in error or slower than a threshold.
+ */
+
+const SAMPLERS = ['always', 'never', 'ratio'];
+
+// Trace ids are compared by their last 56 bits, exact as a double, so that
+// every service sampling by the same ratio makes the same decision
+const RATIO_BITS = 2 ** 56;
+
+/**
+ * Parse a rule or sampler decision: always, never or a ratio between 0 and 1
+ * @returns {number|null} Ratio (1 for always, 0 for never), null when invalid
+ */
+const parseDecision = (value) => {
+  if (value === 'always') return 1;
+  if (value === 'never') return 0;
+  const ratio = Number(value);
+  return value !== '' && ratio >= 0 && ratio <= 1 ? ratio : null;
+};
+
+/**
+ * Route pattern to a regex: * matches any characters, and a trailing /*
+ * matches the bare prefix too (/health/* matches /health and /health/live)
+ */
+const patternToRegex = (pattern) => {
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+  const source = escaped.endsWith('/*')
+    ? `${escaped.slice(0, -2).replace(/\*/g, '.*')}(?:/.*)?`
+    : escaped.replace(/\*/g, '.*');
+  return new RegExp(`^${source}$`);
+};
+
+/**
+ * Validate sampling settings at startup
+ */
+const assertSamplingOptions = ({ sampler, ratio, rules, tail }) => {
+  if (!SAMPLERS.includes(sampler)) {
+    throw new Error(`Unknown TRACE_SAMPLER "${sampler}" (expected one of: ${SAMPLERS.join(', ')})`);
+  }
+  if (!(ratio >= 0 && ratio <= 1)) {
+    throw new Error(`TRACE_SAMPLE_RATIO must be between 0 and 1, got "${ratio}"`);
+  }
+  for (const [pattern, decision] of Object.entries(rules)) {
+    if (!pattern.startsWith('/') || parseDecision(decision) === null) {
+      throw new Error(`TRACE_SAMPLE_ROUTES: invalid rule "${pattern}=${decision}" (expected /path/*=always, never or a ratio)`);
+    }
+  }
+  if (tail.enabled && !(tail.latencyMs > 0 && tail.maxTraces > 0)) {
+    throw new Error('TRACE_TAIL_LATENCY_MS and TRACE_TAIL_MAX_TRACES must be positive');
+  }
+};
+
+/**
+ * Whether a trace id falls within a ratio
+ */
+const traceIdInRatio = (traceId, ratio) => {
+  if (ratio >= 1) return true;
+  if (ratio <= 0) return false;
+  return parseInt(traceId.slice(-14), 16) < ratio * RATIO_BITS;
+};
+
+/**
+ * Create a head sampler
+ * @param {Object} options
+ * @param {string} options.sampler - always, never or ratio
+ * @param {number} options.ratio - Ratio of trace ids sampled by the ratio sampler
+ * @param {boolean} options.parentBased - Follow the caller's sampled flag when there is one
+ * @param {Object} options.rules - Route pattern -> always, never or a ratio, first match wins
+ * @param {Object} options.tail - { enabled }: record what head sampling leaves out
+ */
+const createSampler = ({ sampler, ratio, parentBased, rules, tail }) => {
+  const rootRatio = sampler === 'ratio' ? ratio : parseDecision(sampler);
+  const routeRules = Object.entries(rules).map(([pattern, decision]) => ({
+    pattern,
+    regex: patternToRegex(pattern),
+    ratio: parseDecision(decision),
+  }));
+
+  return {
+    /**
+     * Sample a new span of a trace
+     * @param {Object} params
+     * @param {string} params.traceId
+     * @param {boolean} [params.parentSampled] - The caller's flag, undefined without one
+     * @param {string} [params.path] - Request path matched against the route rules
+     * @returns {Object} { sampled, recording, reason }: recording spans of
+     *   unsampled traces wait for the tail sampling decision
+     */
+    shouldSample({ traceId, parentSampled, path }) {
+      const rule = path !== undefined ? routeRules.find((candidate) => candidate.regex.test(path)) : null;
+
+      let sampled;
+      let reason;
+      if (rule) {
+        sampled = traceIdInRatio(traceId, rule.ratio);
+        reason = `route:${rule.pattern}`;
+      } else if (parentBased && parentSampled !== undefined) {
+        sampled = parentSampled;
+        reason = 'parent';
+      } else {
+        sampled = traceIdInRatio(traceId, rootRatio);
+        reason = sampler;
+      }
+
+      // A route rule saying never is final, tail sampling included
+      const excluded = Boolean(rule) && rule.ratio === 0;
+      return { sampled, recording: sampled || (tail.enabled && !excluded), reason };
+    },
+  };
+};
+
+module.exports = {
+  SAMPLERS,
+  assertSamplingOptions,
+  traceIdInRatio,
+  createSampler,
+};
@@ -0,0 +1,169 @@
+/**
+ * Span Exporters
+ * OTLP/HTTP with JSON encoding to a collector, and rotating files holding
+ * the same OTLP JSON documents, one batch per line, for offline use (they
+ * can be replayed to a collector as they are). Attributes are redacted and
+ * sanitized like log records before they leave the process.
+ */
+
+const path = require('path');
+const DailyRotateFile = require('winston-daily-rotate-file');
+const { redact } = require('./redaction');
+const { sanitize } = require('./logSanitizer');
+
+const EXPORTERS = ['otlp', 'file'];
+
+// Formatted line key used by winston transports (triple-beam MESSAGE)
+const MESSAGE = Symbol.for('message');
+
+// OTLP enums (trace.proto)
+const SPAN_KIND = {
+  internal: 1,
+  server: 2,
+  client: 3,
+  producer: 4,
+  consumer: 5,
+};
+const STATUS_CODE = {
+  unset: 0,
+  ok: 1,
+  error: 2,
+};
+
+/**
+ * Validate span export settings at startup
+ */
+const assertSpanExportOptions = ({ exporters, otlp, batch }) => {
+  const unknown = exporters.filter((name) => !EXPORTERS.includes(name));
+  if (unknown.length) {
+    throw new Error(`Unknown TRACE_EXPORTERS "${unknown.join(',')}" (expected none or a list of: ${EXPORTERS.join(', ')})`);
+  }
+  if (exporters.includes('otlp') && !/^https?:\/\//.test(otlp.endpoint)) {
+    throw new Error(`TRACE_OTLP_ENDPOINT must be an http(s) URL, got "${otlp.endpoint}"`);
+  }
+  if (!(batch.maxBatchSize > 0) || !(batch.maxQueueSize >= batch.maxBatchSize)) {
+    throw new Error('TRACE_MAX_QUEUE_SIZE must be at least TRACE_BATCH_SIZE, and both positive');
+  }
+};
+
+/**
+ * OTLP AnyValue of a JSON value (integers as strings, per the proto3 JSON mapping)
+ */
+const anyValue = (value) => {
+  if (typeof value === 'string') return { stringValue: value };
+  if (typeof value === 'boolean') return { boolValue: value };
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value };
+  }
+  if (Array.isArray(value)) return { arrayValue: { values: value.map(anyValue) } };
+  return { stringValue: JSON.stringify(value) };
+};
+
+const keyValues = (attributes) => {
+  return Object.entries(sanitize(redact(attributes)))
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => ({ key, value: anyValue(value) }));
+};
+
+const encodeSpan = (span) => ({
+  traceId: span.traceId,
+  spanId: span.spanId,
+  ...(span.parentSpanId ? { parentSpanId: span.parentSpanId } : {}),
+  ...(span.traceState ? { traceState: span.traceState } : {}),
+  name: span.name,
+  kind: SPAN_KIND[span.kind],
+  startTimeUnixNano: String(span.startTimeUnixNano),
+  endTimeUnixNano: String(span.endTimeUnixNano),
+  attributes: keyValues(span.attributes),
+  events: span.events.map((event) => ({
+    timeUnixNano: String(event.timeUnixNano),
+    name: event.name,
+    attributes: keyValues(event.attributes),
+  })),
+  links: span.links.map((link) => ({
+    traceId: link.traceId,
+    spanId: link.spanId,
+    ...(link.traceState ? { traceState: link.traceState } : {}),
+    attributes: keyValues(link.attributes),
+  })),
+  status: {
+    code: STATUS_CODE[span.status.code],
+    ...(span.status.message ? { message: span.status.message } : {}),
+  },
+});
+
+/**
+ * OTLP ExportTraceServiceRequest in JSON
+ * @param {Object[]} spans - Ended spans (see spans.js)
+ * @param {Object} resource - Resource attributes (service.name, ...)
+ * @param {Object} scope - { name, version } of the instrumentation
+ */
+const encodeOtlpJson = (spans, resource, scope) => JSON.stringify({
+  resourceSpans: [{
+    resource: { attributes: keyValues(resource) },
+    scopeSpans: [{
+      scope,
+      spans: spans.map(encodeSpan),
+    }],
+  }],
+});
+
+/**
+ * POST batches to an OTLP/HTTP endpoint (e.g. http://collector:4318/v1/traces)
+ * @param {Object} options - { endpoint, headers, timeoutMs, resource, scope }
+ */
+const createOtlpExporter = ({ endpoint, headers, timeoutMs, resource, scope }) => ({
+  name: 'otlp',
+
+  async export(spans) {
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: encodeOtlpJson(spans, resource, scope),
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} from ${endpoint}`);
+    }
+  },
+});
+
+/**
+ * Write batches to <prefix>spans-YYYY-MM-DD.log, rotated like the log files
+ * @param {Object} options - { dir, prefix, maxSize, maxFiles, zippedArchive, resource, scope }
+ */
+const createFileExporter = ({ dir, prefix = '', maxSize, maxFiles, zippedArchive, resource, scope }) => {
+  const file = new DailyRotateFile({
+    filename: path.join(dir, `${prefix}spans-%DATE%.log`),
+    datePattern: 'YYYY-MM-DD',
+    maxSize,
+    maxFiles,
+    zippedArchive,
+  });
+
+  return {
+    name: 'file',
+
+    export(spans) {
+      return new Promise((resolve) => {
+        file.log({ [MESSAGE]: encodeOtlpJson(spans, resource, scope) }, resolve);
+      });
+    },
+
+    shutdown() {
+      return new Promise((resolve) => {
+        file.once('finish', resolve);
+        file.close();
+        setTimeout(resolve, 1000).unref();
+      });
+    },
+  };
+};
+
+module.exports = {
+  EXPORTERS,
+  assertSpanExportOptions,
+  encodeOtlpJson,
+  createOtlpExporter,
+  createFileExporter,
+};
@@ -0,0 +1,358 @@
+/**
+ * Span Recording
+ * Spans as data: name, kind, attributes, events, links, status and start/end
+ * times, recorded by a tracer and handed to its processors when they end.
+ * The batch processor queues ended spans and exports them in batches (see
+ * spanExporters.js); spans of unsampled traces are never handed over, unless
+ * tail sampling keeps their trace (see sampling.js).
+ */
+
+const { isError, serializeError } = require('./errorSerializer');
+
+const SPAN_KINDS = ['internal', 'server', 'client', 'producer', 'consumer'];
+const STATUS_CODES = ['unset', 'ok', 'error'];
+
+// Batch processor status changes, logged once each
+const STATUS_LOGS = {
+  failing: ['warn', 'Span export failing, dropping batches'],
+  recovered: ['info', 'Span export recovered'],
+  dropping: ['warn', 'Span export queue full, dropping spans'],
+};
+
+// Wall clock in nanoseconds with hrtime resolution
+const CLOCK_OFFSET_NS = BigInt(Date.now()) * 1000000n - process.hrtime.bigint();
+const nowUnixNano = () => CLOCK_OFFSET_NS + process.hrtime.bigint();
+
+const toUnixNano = (time) => {
+  if (time === undefined) return nowUnixNano();
+  if (typeof time === 'bigint') return time;
+  return BigInt(time instanceof Date ? time.getTime() : time) * 1000000n;
+};
+
+/**
+ * Drop undefined and null attribute values
+ */
+const cleanAttributes = (attributes = {}) => {
+  const result = {};
+  for (const [key, value] of Object.entries(attributes)) {
+    if (value !== undefined && value !== null) result[key] = value;
+  }
+  return result;
+};
+
+class Span {
+  /**
+   * @param {Object} options
+   * @param {string} options.name
+   * @param {string} [options.kind] - internal, server, client, producer or consumer
+   * @param {string} options.traceId - 32 hex characters
+   * @param {string} options.spanId - 16 hex characters
+   * @param {string} [options.parentSpanId]
+   * @param {boolean} [options.sampled] - Spans of unsampled traces are not exported
+   * @param {boolean} [options.recording] - Unsampled but recorded for tail sampling
+   * @param {boolean} [options.localRoot] - First span of the trace in this process,
+   *   whose end decides tail sampling
+   * @param {string} [options.traceState]
+   * @param {Object} [options.attributes]
+   * @param {Object[]} [options.links] - { traceId, spanId, traceState, attributes }
+   * @param {number|Date|bigint} [options.startTime] - Epoch ms, Date or epoch ns
+   * @param {Function} onEnd - (span) once the span has ended
+   */
+  constructor(options, onEnd) {
+    this.name = options.name;
+    this.kind = SPAN_KINDS.includes(options.kind) ? options.kind : 'internal';
+    this.traceId = options.traceId;
+    this.spanId = options.spanId;
+    this.parentSpanId = options.parentSpanId || null;
+    this.sampled = options.sampled !== false;
+    this.recording = this.sampled || options.recording === true;
+    this.localRoot = options.localRoot === true;
+    this.traceState = options.traceState || null;
+    this.attributes = cleanAttributes(options.attributes);
+    this.events = [];
+    this.links = (options.links || []).map((link) => ({ ...link, attributes: cleanAttributes(link.attributes) }));
+    this.status = { code: 'unset', message: null };
+    this.startTimeUnixNano = toUnixNano(options.startTime);
+    this.endTimeUnixNano = null;
+    this.onEnd = onEnd;
+  }
+
+  get ended() {
+    return this.endTimeUnixNano !== null;
+  }
+
+  get durationMs() {
+    const end = this.endTimeUnixNano === null ? nowUnixNano() : this.endTimeUnixNano;
+    return Number(end - this.startTimeUnixNano) / 1e6;
+  }
+
+  setAttribute(key, value) {
+    if (!this.ended && value !== undefined && value !== null) this.attributes[key] = value;
+    return this;
+  }
+
+  setAttributes(attributes) {
+    if (!this.ended) Object.assign(this.attributes, cleanAttributes(attributes));
+    return this;
+  }
+
+  updateName(name) {
+    if (!this.ended) this.name = name;
+    return this;
+  }
+
+  addEvent(name, attributes, time) {
+    if (!this.ended) {
+      this.events.push({ name, attributes: cleanAttributes(attributes), timeUnixNano: toUnixNano(time) });
+    }
+    return this;
+  }
+
+  addLink(link) {
+    if (!this.ended) this.links.push({ ...link, attributes: cleanAttributes(link.attributes) });
+    return this;
+  }
+
+  /**
+   * @param {string} code - unset, ok or error (ok is final)
+   * @param {string} [message] - Kept for error only
+   */
+  setStatus(code, message) {
+    if (this.ended || !STATUS_CODES.includes(code) || this.status.code === 'ok') return this;
+    this.status = { code, message: code === 'error' && message ? String(message) : null };
+    return this;
+  }
+
+  /**
+   * Add an "exception" event (OpenTelemetry semantic conventions) and set the error status
+   */
+  recordException(error) {
+    const fields = isError(error) ? serializeError(error) : { message: String(error) };
+    this.addEvent('exception', {
+      'exception.type': fields.name,
+      'exception.message': fields.message,
+      'exception.stacktrace': fields.stack,
+    });
+    return this.setStatus('error', fields.message);
+  }
+
+  /**
+   * End the span (later calls are ignored)
+   */
+  end(time) {
+    if (this.ended) return;
+    this.endTimeUnixNano = toUnixNano(time);
+    this.onEnd(this);
+  }
+}
+
+/**
+ * Create a tracer
+ * @param {Object[]} [processors] - { onEnd(span), shutdown() }
+ * @param {Object} [options]
+ * @param {Object} [options.tail] - { enabled, latencyMs, maxTraces }: spans of
+ *   recording, unsampled traces are held until the trace's local root span
+ *   ends, then handed over if it ended in error or took latencyMs or more
+ */
+const createTracer = (processors = [], { tail = { enabled: false } } = {}) => {
+  const stats = { started: 0, ended: 0, unsampled: 0 };
+  const tailStats = { tail_kept: 0, tail_dropped: 0, tail_overflow: 0 };
+
+  // Trace id -> spans ended so far, from the start of the local root span
+  // until the tail sampling decision at its end
+  const pending = new Map();
+
+  const handOver = (span) => {
+    for (const processor of processors) {
+      processor.onEnd(span);
+    }
+  };
+
+  const holdForTail = (span) => {
+    const spans = pending.get(span.traceId);
+    if (!spans) {
+      // Ended after the decision, or the trace did not fit
+      stats.unsampled++;
+      return;
+    }
+    spans.push(span);
+
+    if (span.localRoot) {
+      pending.delete(span.traceId);
+      const keep = span.status.code === 'error' || span.durationMs >= tail.latencyMs;
+      if (keep) {
+        tailStats.tail_kept++;
+        spans.forEach(handOver);
+      } else {
+        tailStats.tail_dropped++;
+        stats.unsampled += spans.length;
+      }
+    }
+  };
+
+  const onEnd = (span) => {
+    stats.ended++;
+    if (span.sampled) {
+      handOver(span);
+    } else if (span.recording && tail.enabled) {
+      holdForTail(span);
+    } else {
+      stats.unsampled++;
+    }
+  };
+
+  return {
+    /**
+     * Start a span (see Span for the options)
+     */
+    startSpan(options) {
+      stats.started++;
+      const span = new Span(options, onEnd);
+      if (tail.enabled && span.localRoot && !span.sampled && span.recording) {
+        if (pending.size < tail.maxTraces) {
+          if (!pending.has(span.traceId)) pending.set(span.traceId, []);
+        } else {
+          tailStats.tail_overflow++;
+        }
+      }
+      return span;
+    },
+
+    addProcessor(processor) {
+      processors.push(processor);
+    },
+
+    /**
+     * Export what is queued and stop the processors
+     */
+    shutdown() {
+      return Promise.all(processors.map((processor) => processor.shutdown && processor.shutdown()));
+    },
+
+    getStats() {
+      return processors.reduce((result, processor) => (
+        processor.getStats ? { ...result, ...processor.getStats() } : result
+      ), { ...stats, ...(tail.enabled ? { ...tailStats, tail_pending_traces: pending.size } : {}) });
+    },
+  };
+};
+
+/**
+ * Queue ended spans and export them in batches: when maxBatchSize spans are
+ * queued or every scheduleDelayMs, one batch at a time. Spans count against
+ * maxQueueSize until their export settles, so a slow exporter cannot grow
+ * memory: beyond it new spans are dropped, and so are batches an exporter
+ * fails to take (counted per exporter).
+ * @param {Object} options
+ * @param {Object[]} options.exporters - { name, export(spans) -> Promise, shutdown() }
+ * @param {number} options.maxBatchSize
+ * @param {number} options.maxQueueSize - Spans queued or being exported
+ * @param {number} options.scheduleDelayMs
+ * @param {Function} [options.onStatus] - (status, details) when exporting starts failing,
+ *   recovers, or spans are dropped
+ */
+const createBatchSpanProcessor = ({ exporters, maxBatchSize, maxQueueSize, scheduleDelayMs, onStatus = () => {} }) => {
+  const queue = [];
+  let dropping = false;
+  const failing = new Set();
+
+  // The batch being exported, if any: { spans, done }
+  let inFlight = null;
+
+  const stats = { dropped_spans: 0 };
+  const exporterStats = Object.fromEntries(exporters.map((exporter) => (
+    [exporter.name, { exported_spans: 0, failed_spans: 0 }]
+  )));
+
+  const exportBatch = async (batch) => {
+    await Promise.all(exporters.map(async (exporter) => {
+      try {
+        await exporter.export(batch);
+        exporterStats[exporter.name].exported_spans += batch.length;
+        if (failing.delete(exporter.name)) {
+          onStatus('recovered', { exporter: exporter.name });
+        }
+      } catch (error) {
+        exporterStats[exporter.name].failed_spans += batch.length;
+        if (!failing.has(exporter.name)) {
+          failing.add(exporter.name);
+          onStatus('failing', { exporter: exporter.name, error: error.message, span_count: batch.length });
+        }
+      }
+    }));
+  };
+
+  /**
+   * Start exporting the next batch unless one is in flight. A full batch
+   * waiting behind the one in flight starts as soon as it settles.
+   */
+  const exportNext = () => {
+    if (inFlight || queue.length === 0) return;
+
+    const spans = queue.splice(0, maxBatchSize);
+    inFlight = {
+      spans,
+      done: exportBatch(spans).finally(() => {
+        inFlight = null;
+        if (queue.length >= maxBatchSize) exportNext();
+      }),
+    };
+  };
+
+  /**
+   * Export everything queued, one batch at a time
+   */
+  const flush = async () => {
+    while (inFlight || queue.length) {
+      exportNext();
+      await inFlight.done;
+    }
+  };
+
+  const timer = setInterval(exportNext, scheduleDelayMs);
+  timer.unref();
+
+  return {
+    onEnd(span) {
+      if (queue.length + (inFlight ? inFlight.spans.length : 0) >= maxQueueSize) {
+        stats.dropped_spans++;
+        if (!dropping) {
+          dropping = true;
+          onStatus('dropping', { max_queue_size: maxQueueSize });
+        }
+        return;
+      }
+      dropping = false;
+      queue.push(span);
+      if (queue.length >= maxBatchSize) exportNext();
+    },
+
+    flush,
+
+    async shutdown() {
+      clearInterval(timer);
+      await flush();
+      await Promise.all(exporters.map((exporter) => exporter.shutdown && exporter.shutdown()));
+    },
+
+    getStats() {
+      return {
+        ...stats,
+        queued_spans: queue.length,
+        exporting_spans: inFlight ? inFlight.spans.length : 0,
+        exporters: Object.fromEntries(Object.entries(exporterStats).map(([name, counts]) => (
+          [name, { ...counts, failing: failing.has(name) }]
+        ))),
+      };
+    },
+  };
+};
+
+module.exports = {
+  SPAN_KINDS,
+  STATUS_LOGS,
+  Span,
+  nowUnixNano,
+  createTracer,
+  createBatchSpanProcessor,
+};
@@ -0,0 +1,318 @@
+/**
+ * Syslog Transport
+ * RFC 5424 messages over UDP (RFC 5426), TCP with octet-counting framing
+ * (RFC 6587) or a Unix stream socket, with reconnect and buffering.
+ * Used by the winston backend (SyslogTransport) and the pino worker transport.
+ */
+
+const dgram = require('dgram');
+const net = require('net');
+const os = require('os');
+const { Transport } = require('winston');
+const { RingBuffer } = require('./ringBuffer');
+const { RECORD_TIME, assertFormat, formatLine } = require('./logFormats');
+
+// Level -> syslog severity (http is below info, trace below debug)
+const SEVERITY = {
+  error: 3, // err
+  warn: 4, // warning
+  info: 6, // informational
+  http: 6, // informational
+  debug: 7, // debug
+  trace: 7, // debug
+};
+
+const FACILITIES = {
+  kern: 0,
+  user: 1,
+  mail: 2,
+  daemon: 3,
+  auth: 4,
+  syslog: 5,
+  lpr: 6,
+  news: 7,
+  uucp: 8,
+  cron: 9,
+  authpriv: 10,
+  ftp: 11,
+  local0: 16,
+  local1: 17,
+  local2: 18,
+  local3: 19,
+  local4: 20,
+  local5: 21,
+  local6: 22,
+  local7: 23,
+};
+
+// Metadata carried in the structured-data element
+const SD_PARAMS = ['request_id', 'trace_id', 'span_id', 'user_id'];
+
+// Sender status -> [level, message] logged by the backends
+const STATUS_LOGS = {
+  disconnected: ['warn', 'Syslog connection lost, buffering'],
+  reconnected: ['info', 'Syslog connection restored'],
+};
+
+const RECONNECT_MIN_MS = 500;
+const RECONNECT_MAX_MS = 30000;
+
+/**
+ * Header field: printable US-ASCII without spaces, truncated, "-" when empty
+ */
+const headerField = (value, maxLength) => {
+  if (value === undefined || value === null || value === '') return '-';
+  return String(value).replace(/[^\x21-\x7e]/g, '_').substring(0, maxLength);
+};
+
+/**
+ * Escape an SD-PARAM value ('"', '\' and ']' must be escaped)
+ */
+const escapeParamValue = (value) => String(value).replace(/["\\\]]/g, '\\$&');
+
+/**
+ * Format an RFC 5424 message:
+ * <PRI>1 TIMESTAMP HOSTNAME APP-NAME PROCID MSGID [SD-ID request_id="..." ...] MSG
+ * @param {Object} entry - { level, message, time: Date, metadata }
+ * @param {Object} options - { facility, appName, sdId, format, hostname, procId }
+ */
+const formatSyslogMessage = (entry, options) => {
+  const { level, time, metadata = {} } = entry;
+  const facility = FACILITIES[options.facility];
+  const priority = facility * 8 + (SEVERITY[level] ?? SEVERITY.info);
+
+  // Audit and security records get their own MSGID for routing in rsyslog
+  let msgId;
+  if (metadata.audit) {
+    msgId = 'audit';
+  } else if (metadata.security) {
+    msgId = 'security';
+  }
+
+  const params = SD_PARAMS
+    .filter((name) => metadata[name] !== undefined && metadata[name] !== null)
+    .map((name) => ` ${name}="${escapeParamValue(metadata[name])}"`)
+    .join('');
+  const structuredData = params ? `[${options.sdId}${params}]` : '-';
+
+  return [
+    `<${priority}>1`,
+    time.toISOString(),
+    headerField(options.hostname || os.hostname(), 255),
+    headerField(options.appName, 48),
+    headerField(options.procId || process.pid, 128),
+    headerField(msgId, 32),
+    structuredData,
+    formatLine(options.format, entry),
+  ].join(' ');
+};
+
+/**
+ * Validate syslog options before any sender is created (the pino backend
+ * creates its sender in a worker thread, where errors are harder to surface)
+ */
+const assertSyslogOptions = ({ protocol, path: socketPath, facility, format }) => {
+  if (!['udp', 'tcp', 'unix'].includes(protocol)) {
+    throw new Error(`Unknown syslog protocol: ${protocol} (expected udp, tcp or unix)`);
+  }
+  if (protocol === 'unix' && !socketPath) {
+    throw new Error('A socket path is required for the unix syslog protocol');
+  }
+  if (!Object.prototype.hasOwnProperty.call(FACILITIES, facility)) {
+    throw new Error(`Unknown syslog facility: ${facility}`);
+  }
+  assertFormat(format);
+};
+
+/**
+ * Create a sender for formatted messages.
+ * UDP sends one datagram per message. TCP and Unix sockets are connected
+ * lazily and reconnect with exponential backoff; messages sent while
+ * disconnected are buffered (oldest dropped beyond bufferSize) and written
+ * on reconnect.
+ * @param {Object} options
+ * @param {string} options.protocol - udp, tcp or unix
+ * @param {string} [options.host]
+ * @param {number} [options.port]
+ * @param {string} [options.path] - Unix socket path
+ * @param {string} [options.framing] - octet-counting (default for tcp) or newline (default for unix)
+ * @param {number} [options.bufferSize] - Messages kept while disconnected
+ * @param {Function} [options.onStatus] - (event, details) for 'disconnected' and 'reconnected',
+ *   reported once per outage so that logging the status cannot loop
+ */
+const createSyslogSender = ({
+  protocol,
+  host,
+  port,
+  path: socketPath,
+  framing,
+  bufferSize = 1000,
+  onStatus = () => {},
+}) => {
+  if (protocol === 'udp') {
+    const socket = dgram.createSocket(net.isIPv6(host) ? 'udp6' : 'udp4');
+    let failing = false;
+
+    const onSent = (err) => {
+      if (err && !failing) {
+        failing = true;
+        onStatus('disconnected', { error: err.message });
+      } else if (!err && failing) {
+        failing = false;
+        onStatus('reconnected', {});
+      }
+    };
+
+    socket.on('error', onSent);
+    socket.unref();
+
+    return {
+      send(message) {
+        socket.send(Buffer.from(message), port, host, onSent);
+      },
+      close(callback = () => {}) {
+        socket.close(() => callback());
+      },
+    };
+  }
+
+  if (protocol !== 'tcp' && protocol !== 'unix') {
+    throw new Error(`Unknown syslog protocol: ${protocol} (expected udp, tcp or unix)`);
+  }
+  if (protocol === 'unix' && !socketPath) {
+    throw new Error('A socket path is required for the unix syslog protocol');
+  }
+
+  const frameMode = framing || (protocol === 'tcp' ? 'octet-counting' : 'newline');
+  const frame = frameMode === 'newline'
+    ? (message) => `${message.replace(/\n/g, ' ')}\n`
+    : (message) => `${Buffer.byteLength(message)} ${message}`;
+
+  const buffer = new RingBuffer(bufferSize);
+  let socket = null;
+  let connected = false;
+  let closing = false;
+  let outage = false;
+  let lastError = null;
+  let retryMs = RECONNECT_MIN_MS;
+  let retryTimer = null;
+
+  const flush = () => {
+    const messages = buffer.toArray();
+    const dropped = buffer.dropped;
+    buffer.clear();
+    for (const message of messages) {
+      socket.write(frame(message));
+    }
+    return { flushed: messages.length, dropped };
+  };
+
+  const scheduleReconnect = () => {
+    retryTimer = setTimeout(connect, retryMs);
+    retryTimer.unref();
+    retryMs = Math.min(retryMs * 2, RECONNECT_MAX_MS);
+  };
+
+  function connect() {
+    retryTimer = null;
+    socket = protocol === 'unix' ? net.createConnection(socketPath) : net.createConnection(port, host);
+    socket.unref();
+
+    socket.on('connect', () => {
+      connected = true;
+      retryMs = RECONNECT_MIN_MS;
+      const result = flush();
+      if (outage) {
+        outage = false;
+        onStatus('reconnected', result);
+      }
+    });
+
+    socket.on('error', (err) => {
+      lastError = err;
+    });
+
+    socket.on('close', () => {
+      connected = false;
+      socket = null;
+      if (closing) return;
+
+      // Report once per outage, not on every reconnect attempt
+      if (!outage) {
+        outage = true;
+        onStatus('disconnected', { error: lastError ? lastError.message : null });
+      }
+      scheduleReconnect();
+    });
+  }
+
+  return {
+    send(message) {
+      if (connected) {
+        socket.write(frame(message));
+        return;
+      }
+
+      buffer.push(message);
+      if (!socket && !retryTimer && !closing) {
+        connect();
+      }
+    },
+    close(callback = () => {}) {
+      closing = true;
+      clearTimeout(retryTimer);
+      if (socket && connected) {
+        socket.end(() => callback());
+      } else {
+        if (socket) socket.destroy();
+        callback();
+      }
+    },
+  };
+};
+
+/**
+ * Winston transport writing RFC 5424 messages.
+ * Expects records with a `metadata` field (winston.format.metadata).
+ */
+class SyslogTransport extends Transport {
+  constructor(options = {}) {
+    super(options);
+    this.messageOptions = {
+      facility: options.facility,
+      appName: options.appName,
+      sdId: options.sdId,
+      format: options.messageFormat,
+    };
+    this.sender = createSyslogSender({
+      ...options,
+      onStatus: (event, details) => this.emit('status', event, details),
+    });
+  }
+
+  log(info, callback) {
+    this.sender.send(formatSyslogMessage({
+      level: info.level,
+      message: info.message,
+      time: info[RECORD_TIME] || new Date(),
+      metadata: info.metadata,
+    }, this.messageOptions));
+
+    setImmediate(() => this.emit('logged', info));
+    callback();
+  }
+
+  close() {
+    this.sender.close();
+  }
+}
+
+module.exports = {
+  SEVERITY,
+  FACILITIES,
+  STATUS_LOGS,
+  assertSyslogOptions,
+  formatSyslogMessage,
+  createSyslogSender,
+  SyslogTransport,
+};
@@ -0,0 +1,167 @@
+/**
+ * Local Trace Store
+ * Bounded in-process store of recent traces behind the /debug/traces
+ * endpoints, fed with ended spans by the tracer (see tracing.js). The oldest
+ * trace is evicted when the store is full, so no tracing backend is needed
+ * to see where time goes inside a request.
+ */
+
+const config = require('../config');
+const { redact } = require('./redaction');
+const { sanitize } = require('./logSanitizer');
+
+const { enabled, maxTraces, maxSpansPerTrace } = config.tracing.store;
+
+// Trace id -> { traceId, spans, droppedSpans }, oldest first
+const traces = new Map();
+const stats = { evicted_traces: 0, dropped_spans: 0 };
+
+const toMs = (unixNano) => Number(unixNano / 1000n) / 1000;
+
+const cleanAttributes = (attributes) => sanitize(redact(attributes));
+
+/**
+ * Summary of a trace for listings: its root span is the earliest span whose
+ * parent is not in the trace (the caller's span for continued traces)
+ */
+const summarize = (trace) => {
+  const spanIds = new Set(trace.spans.map((span) => span.spanId));
+  let root = null;
+  let start = Infinity;
+  let end = -Infinity;
+  let errors = 0;
+
+  for (const span of trace.spans) {
+    const spanStart = toMs(span.startTimeUnixNano);
+    start = Math.min(start, spanStart);
+    end = Math.max(end, toMs(span.endTimeUnixNano));
+    if (span.status.code === 'error') errors++;
+    if ((!span.parentSpanId || !spanIds.has(span.parentSpanId))
+      && (!root || span.startTimeUnixNano < root.startTimeUnixNano)) {
+      root = span;
+    }
+  }
+
+  return {
+    trace_id: trace.traceId,
+    root_name: root.name,
+    root_status_code: root.attributes['http.response.status_code'],
+    start_time: new Date(start).toISOString(),
+    duration_ms: Number((end - start).toFixed(3)),
+    span_count: trace.spans.length,
+    dropped_spans: trace.droppedSpans,
+    error_count: errors,
+    error: errors > 0,
+  };
+};
+
+/**
+ * Span processor adding ended spans to their trace
+ */
+const onEnd = (span) => {
+  let trace = traces.get(span.traceId);
+  if (!trace) {
+    if (traces.size >= maxTraces) {
+      traces.delete(traces.keys().next().value);
+      stats.evicted_traces++;
+    }
+    trace = { traceId: span.traceId, spans: [], droppedSpans: 0 };
+    traces.set(span.traceId, trace);
+  }
+
+  if (trace.spans.length >= maxSpansPerTrace) {
+    trace.droppedSpans++;
+    stats.dropped_spans++;
+    return;
+  }
+  trace.spans.push(span);
+};
+
+/**
+ * List stored traces
+ * @param {Object} [options]
+ * @param {string} [options.sort] - recent (default) or slowest
+ * @param {boolean} [options.errors] - Only traces with a span in error
+ * @param {number} [options.minDurationMs]
+ * @param {number} [options.limit]
+ */
+const listTraces = ({ sort = 'recent', errors = false, minDurationMs = 0, limit = 50 } = {}) => {
+  let summaries = [...traces.values()]
+    .map(summarize)
+    .filter((summary) => (!errors || summary.error) && summary.duration_ms >= minDurationMs);
+
+  summaries = sort === 'slowest'
+    ? summaries.sort((a, b) => b.duration_ms - a.duration_ms)
+    : summaries.sort((a, b) => b.start_time.localeCompare(a.start_time));
+
+  return summaries.slice(0, limit);
+};
+
+/**
+ * A stored trace as a span tree, times relative to the start of the trace
+ * @returns {Object|null} { ...summary, spans: [root nodes with children] }
+ */
+const getTrace = (traceId) => {
+  const trace = traces.get(traceId);
+  if (!trace) return null;
+
+  const summary = summarize(trace);
+  const traceStart = Math.min(...trace.spans.map((span) => toMs(span.startTimeUnixNano)));
+  const offset = (unixNano) => Number((toMs(unixNano) - traceStart).toFixed(3));
+
+  const nodes = new Map(trace.spans.map((span) => [span.spanId, {
+    span_id: span.spanId,
+    parent_span_id: span.parentSpanId,
+    name: span.name,
+    kind: span.kind,
+    start_time: new Date(toMs(span.startTimeUnixNano)).toISOString(),
+    offset_ms: offset(span.startTimeUnixNano),
+    duration_ms: Number(span.durationMs.toFixed(3)),
+    status: span.status,
+    attributes: cleanAttributes(span.attributes),
+    events: span.events.map((event) => ({
+      name: event.name,
+      offset_ms: offset(event.timeUnixNano),
+      attributes: cleanAttributes(event.attributes),
+    })),
+    links: span.links.map((link) => ({ trace_id: link.traceId, span_id: link.spanId })),
+    children: [],
+  }]));
+
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = nodes.get(node.parent_span_id);
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+  for (const node of nodes.values()) {
+    node.children.sort((a, b) => a.offset_ms - b.offset_ms);
+  }
+  roots.sort((a, b) => a.offset_ms - b.offset_ms);
+
+  return { ...summary, spans: roots };
+};
+
+const getStats = () => ({
+  enabled,
+  traces: traces.size,
+  max_traces: maxTraces,
+  max_spans_per_trace: maxSpansPerTrace,
+  ...stats,
+});
+
+const clear = () => {
+  traces.clear();
+};
+
+module.exports = {
+  enabled,
+  onEnd,
+  listTraces,
+  getTrace,
+  getStats,
+  clear,
+};
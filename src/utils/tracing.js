@@ -1,10 +1,25 @@
 /**
  * Request Tracing & Correlation
- * Distributed tracing support for request tracking across services
+ * Distributed tracing support for request tracking across services.
+ * Trace ids are 32 and span ids 16 lowercase hex characters (W3C Trace
+ * Context); headers are read by the TRACE_PROPAGATORS chain and written by
+ * TRACE_INJECT_PROPAGATORS (see propagation.js). Spans of sampled traces
+ * (see sampling.js) are recorded and exported by TRACE_EXPORTERS (see spans.js
+ * and spanExporters.js).
  */
 
+const os = require('os');
+const path = require('path');
+const cluster = require('cluster');
 const { v4: uuidv4 } = require('uuid');
-const logger = require('./logger');
+const config = require('../config');
+const logger = require('./logger').forModule('utils/tracing');
+const { getContext, runWithContext, runWithChildContext } = require('./context');
+const { createPropagator, generateTraceId, generateSpanId } = require('./propagation');
+const { STATUS_LOGS, createTracer, createBatchSpanProcessor } = require('./spans');
+const { assertSamplingOptions, createSampler } = require('./sampling');
+const { assertSpanExportOptions, createOtlpExporter, createFileExporter } = require('./spanExporters');
+const traceStore = require('./traceStore');
 
 // Headers for trace propagation
 const TRACE_HEADERS = {
@@ -13,17 +28,94 @@ const TRACE_HEADERS = {
   PARENT_SPAN_ID: 'x-parent-span-id',
   TRACE_ID: 'x-trace-id',
   SPAN_ID: 'x-span-id',
+  TRACEPARENT: 'traceparent',
+  TRACESTATE: 'tracestate',
 };
 
+// Configured propagator chain
+const propagator = createPropagator(config.tracing.propagators, config.tracing.injectPropagators);
+
+assertSpanExportOptions(config.tracing);
+assertSamplingOptions(config.tracing.sampling);
+
+// Head sampling of new traces and of requests (see sampling.js)
+const sampler = createSampler(config.tracing.sampling);
+
+// Who produced the spans (OpenTelemetry resource semantic conventions)
+const resource = {
+  'service.name': config.app.name,
+  'service.version': config.app.version,
+  'deployment.environment': config.app.env,
+  'host.name': os.hostname(),
+  'process.pid': process.pid,
+};
+const scope = { name: 'utils/tracing', version: config.app.version };
+
+const createExporter = (name) => {
+  if (name === 'otlp') {
+    return createOtlpExporter({ ...config.tracing.otlp, resource, scope });
+  }
+  return createFileExporter({
+    dir: path.resolve(config.logging.dir),
+    prefix: cluster.isWorker ? `worker-${cluster.worker.id}-` : '',
+    maxSize: config.logging.maxSize,
+    maxFiles: config.logging.maxFiles,
+    zippedArchive: config.logging.compression,
+    resource,
+    scope,
+  });
+};
+
+// Records every span; ended spans are kept in the local trace store and
+// exported in batches when exporters are configured. Export status changes
+// are logged once, outside any request context.
+const tracer = createTracer(traceStore.enabled ? [{ onEnd: traceStore.onEnd }] : [], {
+  tail: config.tracing.sampling.tail,
+});
+if (config.tracing.exporters.length) {
+  tracer.addProcessor(createBatchSpanProcessor({
+    ...config.tracing.batch,
+    exporters: config.tracing.exporters.map(createExporter),
+    onStatus: (event, details) => {
+      const [level, message] = STATUS_LOGS[event];
+      runWithContext({}, () => logger.log(level, message, details));
+    },
+  }));
+}
+
+/**
+ * Start a span in the given trace context (see Span for the options)
+ */
+const startSpan = (name, context, options = {}) => tracer.startSpan({
+  ...options,
+  name,
+  traceId: context.traceId,
+  spanId: options.spanId || generateSpanId(),
+  parentSpanId: options.parentSpanId !== undefined ? options.parentSpanId : context.spanId,
+  sampled: context.sampled,
+  recording: context.recording,
+  traceState: context.traceState,
+});
+
 /**
- * Generate a new trace context
+ * Generate a new trace context, continuing the caller's trace when one was
+ * extracted, and make the head sampling decision for the request's path
  */
-const createTraceContext = (existingContext = {}) => {
+const createTraceContext = (existingContext = {}, { path: requestPath } = {}) => {
   const now = Date.now();
+  const traceId = existingContext.traceId || generateTraceId();
+  const { sampled, recording } = sampler.shouldSample({
+    traceId,
+    parentSampled: existingContext.sampled,
+    path: requestPath,
+  });
   return {
-    traceId: existingContext.traceId || uuidv4(),
-    spanId: uuidv4().substring(0, 16),
+    traceId,
+    spanId: generateSpanId(),
     parentSpanId: existingContext.spanId || null,
+    sampled,
+    recording,
+    traceState: existingContext.traceState || null,
     requestId: existingContext.requestId || uuidv4(),
     correlationId: existingContext.correlationId || uuidv4(),
     startTime: now,
@@ -32,13 +124,16 @@ const createTraceContext = (existingContext = {}) => {
 };
 
 /**
- * Extract trace context from incoming request headers
+ * Extract trace context from incoming request headers.
+ * Request and correlation ids are read whatever the propagators.
  */
 const extractTraceContext = (headers) => {
+  const remote = propagator.extract(headers) || {};
   return {
-    traceId: headers[TRACE_HEADERS.TRACE_ID],
-    spanId: headers[TRACE_HEADERS.SPAN_ID],
-    parentSpanId: headers[TRACE_HEADERS.PARENT_SPAN_ID],
+    traceId: remote.traceId,
+    spanId: remote.spanId,
+    sampled: remote.sampled,
+    traceState: remote.traceState,
     requestId: headers[TRACE_HEADERS.REQUEST_ID],
     correlationId: headers[TRACE_HEADERS.CORRELATION_ID],
   };
@@ -48,24 +143,39 @@ const extractTraceContext = (headers) => {
  * Inject trace context into outgoing request headers
  */
 const injectTraceContext = (context, headers = {}) => {
-  return {
+  return propagator.inject(context, {
     ...headers,
-    [TRACE_HEADERS.TRACE_ID]: context.traceId,
-    [TRACE_HEADERS.SPAN_ID]: context.spanId,
-    [TRACE_HEADERS.PARENT_SPAN_ID]: context.parentSpanId,
     [TRACE_HEADERS.REQUEST_ID]: context.requestId,
     [TRACE_HEADERS.CORRELATION_ID]: context.correlationId,
-  };
+  });
 };
 
 /**
  * Create a child span for nested operations
+ * Defaults to the current request context when no parent context is given
  */
-const createChildSpan = (parentContext, operationName) => {
+const createChildSpan = (parentContext, operationName, attributes = {}) => {
+  parentContext = parentContext || getContext() || {};
+
+  // Outside any trace, the span starts a new one, sampled like a request
+  const traceId = parentContext.traceId || generateTraceId();
+  const { sampled, recording } = parentContext.traceId ? parentContext : sampler.shouldSample({ traceId });
+
+  const span = startSpan(operationName, {
+    traceId,
+    spanId: parentContext.spanId,
+    sampled,
+    recording,
+    traceState: parentContext.traceState,
+  }, { attributes, localRoot: !parentContext.traceId });
+
   const childContext = {
     ...parentContext,
-    spanId: uuidv4().substring(0, 16),
-    parentSpanId: parentContext.spanId,
+    traceId: span.traceId,
+    spanId: span.spanId,
+    parentSpanId: span.parentSpanId,
+    sampled: span.sampled,
+    recording: span.recording,
     operationName,
     startTime: Date.now(),
     startHrTime: process.hrtime(),
@@ -73,6 +183,7 @@ const createChildSpan = (parentContext, operationName) => {
 
   return {
     context: childContext,
+    span,
     end: (metadata = {}) => {
       const hrDuration = process.hrtime(childContext.startHrTime);
       const durationMs = hrDuration[0] * 1000 + hrDuration[1] / 1000000;
@@ -86,6 +197,13 @@ const createChildSpan = (parentContext, operationName) => {
         ...metadata,
       });
 
+      const { status, error_message: errorMessage, ...spanAttributes } = metadata;
+      span.setAttributes(spanAttributes);
+      if (status === 'error') {
+        span.setStatus('error', errorMessage);
+      }
+      span.end();
+
       return durationMs;
     },
   };
@@ -94,14 +212,16 @@ const createChildSpan = (parentContext, operationName) => {
 /**
  * Trace decorator for async functions
  */
-const traceAsync = (operationName, context) => async (fn) => {
-  const span = createChildSpan(context, operationName);
+const traceAsync = (operationName, context, attributes) => async (fn) => {
+  const span = createChildSpan(context, operationName, attributes);
 
   try {
-    const result = await fn();
+    // Logs written inside fn carry the child span's id
+    const result = await runWithChildContext({ spanId: span.context.spanId }, fn);
     span.end({ status: 'success' });
     return result;
   } catch (error) {
+    span.span.recordException(error);
     span.end({
       status: 'error',
       error_name: error.name,
@@ -113,6 +233,8 @@ const traceAsync = (operationName, context) => async (fn) => {
 
 /**
  * Simple timing utility for measuring operations
+ * Inside a request, the operation is also recorded as a span of the request's
+ * trace, with checkpoints as span events
  */
 class Timer {
   constructor(name, context = {}) {
@@ -121,11 +243,17 @@ class Timer {
     this.startTime = Date.now();
     this.startHrTime = process.hrtime();
     this.checkpoints = [];
+
+    const requestContext = getContext();
+    this.span = requestContext && requestContext.traceId ? startSpan(name, requestContext) : null;
   }
 
   checkpoint(label) {
     const elapsed = this.elapsed();
     this.checkpoints.push({ label, elapsed, timestamp: Date.now() });
+    if (this.span) {
+      this.span.addEvent(label, { elapsed_ms: Number(elapsed.toFixed(3)) });
+    }
     return elapsed;
   }
 
@@ -150,12 +278,26 @@ class Timer {
       logger.debug(`Operation completed: ${this.name}`, result);
     }
 
+    if (this.span) {
+      const { error, ...attributes } = metadata;
+      this.span.setAttributes(attributes);
+      if (metadata.success === false) {
+        this.span.setStatus('error', error);
+      }
+      this.span.end();
+    }
+
     return duration;
   }
 }
 
 module.exports = {
   TRACE_HEADERS,
+  propagator,
+  sampler,
+  tracer,
+  traceStore,
+  startSpan,
   createTraceContext,
   extractTraceContext,
   injectTraceContext,
@@ -0,0 +1,93 @@
+/**
+ * Stub HTTP Receiver
+ * Local HTTP server recording the requests it receives (gzip bodies decoded)
+ * and answering them with a configurable, possibly delayed, response
+ */
+
+const http = require('http');
+const zlib = require('zlib');
+
+/**
+ * Start a receiver on a random local port
+ * @param {Object} [options]
+ * @param {number} [options.port] - Listen on a given port (0 picks a free one)
+ * @param {Function} [options.respond] - (request) => { status, body }, or a promise of it, for each request
+ * @returns {Promise<Object>} { url, port, requests, nextRequest(), setResponder(fn), close() }
+ */
+const startReceiver = ({ port = 0, respond = () => ({ status: 200 }) } = {}) => {
+  const requests = [];
+  const waiting = [];
+  let responder = respond;
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      let body = Buffer.concat(chunks);
+      if (req.headers['content-encoding'] === 'gzip') {
+        body = zlib.gunzipSync(body);
+      }
+
+      const request = { method: req.method, url: req.url, headers: req.headers, body: body.toString() };
+      requests.push(request);
+
+      while (waiting.length && waiting[0].index < requests.length) {
+        const { index, resolve } = waiting.shift();
+        resolve(requests[index]);
+      }
+
+      Promise.resolve(responder(request)).then((response) => {
+        const { status = 200, body: responseBody } = response || {};
+        res.statusCode = status;
+        if (responseBody !== undefined) {
+          res.setHeader('Content-Type', 'application/json');
+          res.end(JSON.stringify(responseBody));
+        } else {
+          res.end();
+        }
+      });
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(port, '127.0.0.1', () => {
+      const address = server.address();
+      let nextIndex = 0;
+
+      resolve({
+        url: `http://127.0.0.1:${address.port}`,
+        port: address.port,
+        requests,
+        /**
+         * Resolve with the next request not returned yet
+         */
+        nextRequest() {
+          const index = nextIndex++;
+          if (index < requests.length) return Promise.resolve(requests[index]);
+          return new Promise((resolveRequest) => waiting.push({ index, resolve: resolveRequest }));
+        },
+        setResponder(fn) {
+          responder = fn;
+        },
+        close() {
+          server.closeAllConnections();
+          return new Promise((resolveClose) => server.close(() => resolveClose()));
+        },
+      });
+    });
+  });
+};
+
+/**
+ * A local port nothing listens on (connections are refused)
+ */
+const unusedPort = async () => {
+  const receiver = await startReceiver();
+  await receiver.close();
+  return receiver.port;
+};
+
+module.exports = {
+  startReceiver,
+  unusedPort,
+};
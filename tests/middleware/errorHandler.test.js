@@ -0,0 +1,60 @@
+/**
+ * Error Handler Tests
+ * Validation failures of the admin, audit and trace routes, reported through
+ * the shared runValidations helper
+ */
+
+process.env.ADMIN_TOKEN = 'admin-token';
+process.env.LOG_DEBUG_TOKEN_SECRET = 's'.repeat(32);
+
+const express = require('express');
+const request = require('supertest');
+const { query } = require('express-validator');
+const adminRoutes = require('../../src/routes/adminRoutes');
+const auditRoutes = require('../../src/routes/auditRoutes');
+const traceRoutes = require('../../src/routes/traceRoutes');
+const { asyncHandler, errorHandler, runValidations } = require('../../src/middleware/errorHandler');
+
+const app = express();
+app.use(express.json());
+app.get('/limit', asyncHandler(async (req, res) => {
+  await runValidations(req, [query('limit').isInt({ min: 1 }).toInt()]);
+  res.json({ limit: req.query.limit });
+}));
+app.use('/admin', adminRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/debug/traces', traceRoutes);
+app.use(errorHandler);
+
+const AUTH = { Authorization: 'Bearer admin-token' };
+
+describe('runValidations', () => {
+  it('lets valid requests through with sanitized values', async () => {
+    const response = await request(app).get('/limit?limit=5');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ limit: 5 });
+  });
+
+  it('throws a ValidationError listing each failed field', async () => {
+    const response = await request(app).get('/limit?limit=zero');
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toMatchObject({
+      code: 'VALIDATION_ERROR',
+      details: [{ field: 'limit', value: 'zero' }],
+    });
+  });
+
+  it.each([
+    ['PUT', '/admin/log-levels', { level: 'verbose' }],
+    ['POST', '/admin/debug-tokens', { ttl_seconds: 0 }],
+    ['GET', '/api/audit?from=yesterday', undefined],
+    ['GET', '/debug/traces/not-a-trace-id', undefined],
+  ])('rejects invalid input to %s %s', async (method, path, body) => {
+    const response = await request(app)[method.toLowerCase()](path).set(AUTH).send(body);
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.code).toBe('VALIDATION_ERROR');
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * Request Logger Tests
+ * Security records of requests carrying a debug token, as written by the logger
+ */
+
+process.env.LOG_DEBUG_TOKEN_SECRET = 's'.repeat(32);
+
+const express = require('express');
+const request = require('supertest');
+const { Transport } = require('winston');
+const logger = require('../../src/utils/logger');
+const requestLogger = require('../../src/middleware/requestLogger');
+const { createDebugToken } = require('../../src/utils/debugToken');
+
+/**
+ * Transport keeping the records that reach the logger's outputs
+ */
+class MemoryTransport extends Transport {
+  constructor() {
+    super({ level: 'trace' });
+    this.records = [];
+  }
+
+  log(info, callback) {
+    this.records.push(info);
+    callback();
+  }
+}
+
+describe('requestLogger debug sessions', () => {
+  const transport = new MemoryTransport();
+  const app = express();
+  app.use(requestLogger);
+  app.get('/ping', (req, res) => res.json({ ok: true }));
+
+  beforeAll(() => logger.add(transport));
+  afterAll(() => logger.remove(transport));
+
+  it('logs the reason a debug token was issued for', async () => {
+    const { token } = createDebugToken(process.env.LOG_DEBUG_TOKEN_SECRET, { ttlSeconds: 60, reason: 'TICKET-1234' });
+
+    const response = await request(app).get('/ping').set('X-Debug-Token', token);
+
+    const accepted = transport.records.find((record) => record.message === 'Security: Debug token accepted');
+    expect(accepted).toMatchObject({
+      debug_reason: 'TICKET-1234',
+      debug_session: response.headers['x-debug-session'],
+      security: true,
+    });
+  });
+});
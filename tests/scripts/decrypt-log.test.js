@@ -0,0 +1,71 @@
+/**
+ * Log Decryption Tests
+ * Arguments and field selection of scripts/decrypt-log.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { createFieldCipher } = require('../../src/utils/fieldEncryption');
+
+const KEYS = { k1: 'a'.repeat(64) };
+const SCRIPT = path.join(__dirname, '../../scripts/decrypt-log.js');
+
+const cipher = createFieldCipher({ keys: KEYS, activeKeyId: 'k1' });
+
+const writeLog = (records) => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'decrypt-')), 'app.log');
+  fs.writeFileSync(file, records.map((record) => `${JSON.stringify(record)}\n`).join(''));
+  return file;
+};
+
+const decrypt = (args) => {
+  const { status, stdout, stderr } = spawnSync(process.execPath, [SCRIPT, ...args], {
+    env: { ...process.env, LOG_ENCRYPTION_KEYS: `k1=${KEYS.k1}` },
+    encoding: 'utf8',
+  });
+  return { status, stderr, records: stdout.trim().split('\n').filter(Boolean).map((line) => JSON.parse(line)) };
+};
+
+describe('decrypt-log', () => {
+  const file = writeLog([{
+    level: 'info',
+    message: 'User updated',
+    metadata: {
+      user: { email: cipher.encrypt('jane@example.com') },
+      contact: { email: cipher.encrypt('team@example.com') },
+      deleted_email: cipher.encrypt('old@example.com'),
+    },
+  }]);
+
+  it('decrypts every value without --fields', () => {
+    const { status, records } = decrypt([file]);
+
+    expect(status).toBe(0);
+    expect(records[0].metadata).toEqual({
+      user: { email: 'jane@example.com' },
+      contact: { email: 'team@example.com' },
+      deleted_email: 'old@example.com',
+    });
+  });
+
+  it('selects fields by key or by the trailing keys of a path', () => {
+    const { status, records } = decrypt(['--fields', 'user.email,deletedEmail', file]);
+
+    expect(status).toBe(0);
+    expect(records[0].metadata.user.email).toBe('jane@example.com');
+    expect(records[0].metadata.deleted_email).toBe('old@example.com');
+    expect(records[0].metadata.contact.email).toMatch(/^\[ENC:k1:/);
+  });
+
+  it('prints the usage when --fields has no list', () => {
+    for (const args of [[file, '--fields'], ['--fields', '', file]]) {
+      const { status, stderr } = decrypt(args);
+
+      expect(status).toBe(2);
+      expect(stderr).toMatch(/Usage: node scripts\/decrypt-log\.js/);
+      expect(stderr).not.toMatch(/TypeError|Cannot read/);
+    }
+  });
+});
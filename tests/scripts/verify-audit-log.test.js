@@ -0,0 +1,135 @@
+/**
+ * Audit Log Verification Tests
+ * Exit codes of scripts/verify-audit-log.js for intact, truncated and pruned chains
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { GENESIS_HASH, hashRecord, pruneAuditFile } = require('../../src/utils/auditLog');
+const { createRetentionManager } = require('../../src/utils/logRetention');
+
+const KEY = 'k'.repeat(32);
+const SCRIPT = path.join(__dirname, '../../scripts/verify-audit-log.js');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const daysAgo = (days) => new Date(Date.now() - days * DAY_MS).toISOString().substring(0, 10);
+
+/**
+ * Write a main chain of two records per day in a new directory
+ * @returns {Object} { dir, files }
+ */
+const writeChain = (dates) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-'));
+  const files = [];
+  let seq = 0;
+  let prevHash = GENESIS_HASH;
+
+  for (const date of dates) {
+    const lines = [];
+    for (let i = 0; i < 2; i++) {
+      seq++;
+      const body = JSON.stringify({ seq, timestamp: `${date}T10:00:0${i}.000Z`, action: 'USER_CREATED', prev_hash: prevHash });
+      const hash = hashRecord(KEY, body);
+      lines.push(`${body.slice(0, -1)},"hash":"${hash}"}\n`);
+      prevHash = hash;
+    }
+    const file = path.join(dir, `audit-${date}.log`);
+    fs.writeFileSync(file, lines.join(''));
+    files.push(file);
+  }
+  return { dir, files };
+};
+
+const verify = (dir, env = {}) => {
+  const { status, stdout } = spawnSync(process.execPath, [SCRIPT, '--dir', dir, '--json'], {
+    env: { ...process.env, LOG_AUDIT_HMAC_KEY: KEY, ...env },
+    encoding: 'utf8',
+  });
+  return { status, report: JSON.parse(stdout) };
+};
+
+describe('verify-audit-log', () => {
+  it('accepts a chain from its genesis record', () => {
+    const { dir } = writeChain([daysAgo(2), daysAgo(1)]);
+
+    const { status, report } = verify(dir);
+    expect(status).toBe(0);
+    expect(report.chains[0]).toMatchObject({ start: 'genesis', first_seq: 1, last_seq: 4 });
+  });
+
+  it('reports a chain whose first files were removed within retention', () => {
+    const { dir, files } = writeChain([daysAgo(2), daysAgo(1)]);
+    fs.unlinkSync(files[0]);
+
+    const { status, report } = verify(dir);
+    expect(status).toBe(1);
+    expect(report.chains[0].start).toBeNull();
+    expect(report.chains[0].problems).toEqual([
+      { type: 'missing_start', seq: 3, file: path.basename(files[1]), line: 1 },
+    ]);
+  });
+
+  it('accepts a chain that starts right after its retention checkpoint', async () => {
+    const { dir, files } = writeChain([daysAgo(3), daysAgo(2), daysAgo(1)]);
+    await pruneAuditFile({ dir, chain: 'main', hmacKey: KEY }, { file: files[0], compressed: false });
+    await pruneAuditFile({ dir, chain: 'main', hmacKey: KEY }, { file: files[1], compressed: false });
+
+    const { status, report } = verify(dir);
+    expect(status).toBe(0);
+    expect(report.chains[0]).toMatchObject({
+      start: 'checkpoint',
+      first_seq: 5,
+      checkpoint: { chain: 'main', last_seq: 4, file: path.basename(files[1]) },
+    });
+  });
+
+  it('accepts audit files deleted by the disk budget', async () => {
+    const { dir } = writeChain([daysAgo(3), daysAgo(2), daysAgo(1)]);
+    const logDir = fs.mkdtempSync(path.join(os.tmpdir(), 'logs-'));
+    const retention = createRetentionManager({
+      dir: logDir,
+      archiveDir: path.join(logDir, 'archive'),
+      auditDir: dir,
+      auditKey: KEY,
+      format: 'json',
+      maxBytes: 1,
+      priorities: { audit: 4 },
+      intervalMs: 60000,
+    });
+
+    await retention.run();
+
+    const { status, report } = verify(dir);
+    expect(status).toBe(0);
+    expect(report.chains[0]).toMatchObject({ start: 'checkpoint', first_seq: 5 });
+  });
+
+  it('reports records removed after the checkpoint, and a forged checkpoint', async () => {
+    const { dir, files } = writeChain([daysAgo(3), daysAgo(2), daysAgo(1)]);
+    await pruneAuditFile({ dir, chain: 'main', hmacKey: KEY }, { file: files[0], compressed: false });
+    fs.unlinkSync(files[1]);
+
+    expect(verify(dir).status).toBe(1);
+
+    const checkpointFile = path.join(dir, '.main-checkpoint.json');
+    const checkpoint = fs.readFileSync(checkpointFile, 'utf8').replace('"last_seq":2', '"last_seq":4');
+    fs.writeFileSync(checkpointFile, checkpoint);
+
+    const { status, report } = verify(dir);
+    expect(status).toBe(1);
+    expect(report.chains[0].problems[0].type).toBe('checkpoint_modified');
+  });
+
+  it('accepts a chain whose oldest file is past the retention period', () => {
+    const { dir, files } = writeChain([daysAgo(12), daysAgo(11), daysAgo(1)]);
+    fs.unlinkSync(files[0]);
+
+    expect(verify(dir, { LOG_AUDIT_RETENTION_DAYS: '30' }).status).toBe(1);
+
+    const { status, report } = verify(dir, { LOG_AUDIT_RETENTION_DAYS: '10' });
+    expect(status).toBe(0);
+    expect(report.chains[0].start).toBe('retention');
+  });
+});
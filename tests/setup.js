@@ -0,0 +1,12 @@
+/**
+ * Test Setup
+ * Keeps log files and spools in a temporary directory and the console quiet
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.NODE_ENV = 'test';
+process.env.LOG_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'app-logs-'));
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
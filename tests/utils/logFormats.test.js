@@ -0,0 +1,33 @@
+/**
+ * Log Format Tests
+ * Reading back the time of a line from each format's own time field
+ */
+
+const { FORMATS, formatLine, parseLineTime } = require('../../src/utils/logFormats');
+
+const TIME = new Date('2026-10-19T08:30:15.123Z');
+
+describe('parseLineTime', () => {
+  it.each(Object.keys(FORMATS))('reads the time %s writes, not dates in the record', (format) => {
+    const line = formatLine(format, {
+      level: 'info',
+      message: 'Rollback scheduled for 2026-10-25T00:00:00.000Z',
+      time: TIME,
+      metadata: { revert_at: '2026-10-20T10:00:00.000Z', expires_at: '2026-10-21 00:00:00.000' },
+    });
+
+    expect(parseLineTime(format, line)).toEqual(TIME);
+  });
+
+  it('reads ISO timestamps with an offset, as in crash dumps', () => {
+    expect(parseLineTime('json', JSON.stringify({ message: 'dump', timestamp: TIME.toISOString() }))).toEqual(TIME);
+  });
+
+  it('returns null for lines the format did not write', () => {
+    expect(parseLineTime('json', 'not json')).toBeNull();
+    expect(parseLineTime('json', '{"message":"no time"}')).toBeNull();
+    expect(parseLineTime('otel', '{"body":"no time"}')).toBeNull();
+    expect(parseLineTime('pretty', '  "metadata": "2026-10-19 10:00:00.000 [info]"')).toBeNull();
+    expect(parseLineTime('logfmt', 'level=info ts=2026-10-19T10:00:00.000Z')).toBeNull();
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Log Retention Tests
+ * Manifest time ranges read from the format's own time field, and deletion
+ * oldest first
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRetentionManager } = require('../../src/utils/logRetention');
+const { formatLine } = require('../../src/utils/logFormats');
+
+const HOUR = 60 * 60 * 1000;
+
+const line = (format, time, metadata = {}) => formatLine(format, { level: 'info', message: 'Feature flag changed', time, metadata });
+
+/**
+ * Write a rotated file old enough to be archived
+ */
+const writeRotated = (dir, name, lines) => {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, `${lines.join('\n')}\n`);
+  const old = new Date(Date.now() - HOUR);
+  fs.utimesSync(file, old, old);
+  return fs.statSync(file).size;
+};
+
+const setup = (format) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'retention-'));
+  const archiveDir = path.join(dir, 'archive');
+  const manager = (maxBytes) => createRetentionManager({
+    dir,
+    archiveDir,
+    format,
+    maxBytes,
+    priorities: { app: 1 },
+    intervalMs: 60000,
+  });
+  const manifest = () => JSON.parse(fs.readFileSync(path.join(archiveDir, 'manifest.json'), 'utf8')).files;
+  return { dir, archiveDir, manager, manifest };
+};
+
+describe('createRetentionManager', () => {
+  it.each(['json', 'logfmt', 'otel'])('records the UTC time range of %s lines, ignoring dates in their fields', async (format) => {
+    const { dir, manager, manifest } = setup(format);
+    const first = new Date('2026-10-18T09:00:00.000Z');
+    const last = new Date('2026-10-18T17:00:00.000Z');
+
+    writeRotated(dir, 'app-2026-10-18.log', [
+      line(format, first, { revert_at: '2026-10-20T10:00:00.000Z' }),
+      line(format, last, { expires_at: '2026-10-01 00:00:00.000' }),
+    ]);
+    writeRotated(dir, 'app-2026-10-19.log', [line(format, new Date())]);
+
+    await manager(1024 * 1024).run();
+
+    expect(manifest()['app-2026-10-18.log']).toMatchObject({
+      category: 'app',
+      first_timestamp: first.toISOString(),
+      last_timestamp: last.toISOString(),
+    });
+  });
+
+  it('falls back to the day of the file name when no line is in the format', async () => {
+    const { dir, manager, manifest } = setup('logfmt');
+
+    writeRotated(dir, 'app-2026-10-18.log', [line('json', new Date('2026-10-18T09:00:00.000Z'))]);
+    writeRotated(dir, 'app-2026-10-19.log', [line('logfmt', new Date())]);
+
+    await manager(1024 * 1024).run();
+
+    expect(manifest()['app-2026-10-18.log'].first_timestamp).toBe(new Date('2026-10-18T00:00:00').toISOString());
+  });
+
+  it('deletes the file with the oldest lines first, whatever dates they mention', async () => {
+    const { dir, archiveDir, manager } = setup('json');
+
+    // Metadata before the timestamp in json lines: a later date comes first
+    const older = writeRotated(dir, 'app-2026-10-16.log', [
+      line('json', new Date('2026-10-16T10:00:00.000Z'), { revert_at: '2026-10-30T10:00:00.000Z' }),
+    ]);
+    const newer = writeRotated(dir, 'app-2026-10-17.log', [line('json', new Date('2026-10-17T10:00:00.000Z'))]);
+    const active = writeRotated(dir, 'app-2026-10-18.log', [line('json', new Date())]);
+
+    const state = await manager(older + newer + active - 1).run();
+
+    expect(state.lastRun).toMatchObject({ archived: 2, deleted: 1 });
+    expect(fs.existsSync(path.join(archiveDir, 'app-2026-10-16.log'))).toBe(false);
+    expect(fs.existsSync(path.join(archiveDir, 'app-2026-10-17.log'))).toBe(true);
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Log Sanitizer Tests
+ * Forged lines, terminal escapes and bidirectional overrides in values and
+ * keys, stack traces, and size limits
+ */
+
+const { createSanitizer, escapeControlChars } = require('../../src/utils/logSanitizer');
+const { FORMATS, formatLine } = require('../../src/utils/logFormats');
+
+const { sanitize, sanitizeRecord } = createSanitizer({
+  maxStringLength: 100,
+  maxArrayLength: 3,
+  maxRecordBytes: 2048,
+});
+
+const FORGED = 'bob\r\n2026-01-01 00:00:00.000 [info]: Login succeeded';
+const STACK = 'Error: boom\n    at handler (app.js:1:1)\n    at next (router.js:2:2)';
+
+describe('escapeControlChars', () => {
+  it('escapes line breaks, terminal escapes, line separators and bidirectional overrides', () => {
+    expect(escapeControlChars(FORGED)).toBe('bob\\r\\n2026-01-01 00:00:00.000 [info]: Login succeeded');
+    expect(escapeControlChars('\x1b[31mred\x1b[0m')).toBe('\\u001b[31mred\\u001b[0m');
+    expect(escapeControlChars('a\u2028b\u2029c')).toBe('a\\u2028b\\u2029c');
+    expect(escapeControlChars('invoice\u202egpj.exe')).toBe('invoice\\u202egpj.exe');
+    expect(escapeControlChars('\x00\x7f\x9b\t')).toBe('\\u0000\\u007f\\u009b\\t');
+  });
+
+  it('returns strings without control characters unchanged', () => {
+    expect(escapeControlChars('plain text é ✓')).toBe('plain text é ✓');
+  });
+});
+
+describe('sanitizeRecord', () => {
+  it('keeps a forged line in the message and the values from starting a line in every format', () => {
+    const record = sanitizeRecord({
+      level: 'info',
+      message: `Login failed for ${FORGED}`,
+      user_agent: FORGED,
+      query: { q: FORGED },
+      tags: [FORGED],
+    });
+
+    for (const format of Object.keys(FORMATS)) {
+      const line = formatLine(format, {
+        level: record.level,
+        message: record.message,
+        time: new Date(),
+        metadata: { user_agent: record.user_agent, query: record.query, tags: record.tags },
+      });
+      // pretty indents metadata over several lines, none of them forged
+      expect(line).not.toMatch(/[\r\n]2026-01-01/);
+    }
+    expect(record.query.q).toBe(escapeControlChars(FORGED));
+    expect(record.tags).toEqual([escapeControlChars(FORGED)]);
+  });
+
+  it('escapes control characters in keys', () => {
+    const record = sanitizeRecord({
+      level: 'info',
+      message: 'headers',
+      'x-forged\nlevel': 'error',
+      headers: { 'x\u202eevil': 'value' },
+    });
+
+    expect(record).not.toHaveProperty(['x-forged\nlevel']);
+    expect(record['x-forged\\nlevel']).toBe('error');
+    expect(record.headers).toEqual({ 'x\\u202eevil': 'value' });
+  });
+
+  it('keeps the line breaks of every stack trace key, but not other control characters', () => {
+    const record = sanitizeRecord({
+      level: 'error',
+      message: 'failed',
+      stack: STACK,
+      error_stack: STACK,
+      original_stack: STACK,
+      errorStack: STACK,
+      'cause.stack': STACK,
+      cause: { message: 'inner', stack: `${STACK}\r\x1b[2J` },
+      stacks_seen: 'a\nb',
+    });
+
+    for (const key of ['stack', 'error_stack', 'original_stack', 'errorStack', 'cause.stack']) {
+      expect(record[key]).toBe(STACK);
+    }
+    expect(record.cause.stack).toBe(`${STACK}\\r\\u001b[2J`);
+    expect(record.stacks_seen).toBe('a\\nb');
+  });
+
+  it('truncates long strings and arrays with markers', () => {
+    const value = sanitize({ text: 'x'.repeat(150), items: [1, 2, 3, 4, 5] });
+
+    expect(value.text).toBe(`${'x'.repeat(100)}...[truncated 50 chars]`);
+    expect(value.items).toEqual([1, 2, 3, '[2 more items]']);
+  });
+
+  it('drops the largest fields of oversized records', () => {
+    const record = sanitizeRecord({
+      level: 'info',
+      message: 'large',
+      small: 'kept',
+      body: Array.from({ length: 3 }, () => 'y'.repeat(100)),
+      details: Object.fromEntries(Array.from({ length: 30 }, (_, i) => [`field_${i}`, 'z'.repeat(90)])),
+    });
+
+    expect(record.small).toBe('kept');
+    expect(record).not.toHaveProperty('details');
+    expect(record.truncated_fields).toEqual(['details']);
+    expect(record.record_bytes).toBeGreaterThan(2048);
+  });
+
+  it('does not modify the values it is given', () => {
+    const query = { q: FORGED };
+    sanitize({ query });
+    expect(query.q).toBe(FORGED);
+  });
+});
@@ -0,0 +1,251 @@
+/**
+ * Log Shipper Tests
+ * Loki and Elasticsearch requests to a local stub receiver, and the disk
+ * spool through receiver outages and restarts
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { RECORD_TIME, formatLine } = require('../../src/utils/logFormats');
+const {
+  assertShippingOptions,
+  createLogShipper,
+  LogShipperTransport,
+} = require('../../src/utils/logShipper');
+const { startReceiver, unusedPort } = require('../helpers/receiver');
+
+const TIME = new Date('2024-01-15T10:00:00.000Z');
+
+const tempSpoolDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'log-spool-'));
+
+const shipperOptions = (overrides = {}) => ({
+  target: 'loki',
+  format: 'json',
+  labels: { app: 'test-app' },
+  gzip: true,
+  batchSize: 2,
+  batchBytes: 1024 * 1024,
+  flushIntervalMs: 60000,
+  requestTimeoutMs: 2000,
+  spoolDir: tempSpoolDir(),
+  maxSpoolBytes: 1024 * 1024,
+  ...overrides,
+});
+
+const entry = (message, level = 'info') => ({ level, message, time: TIME, metadata: {} });
+
+const spoolFiles = (dir) => fs.readdirSync(dir).filter((name) => name.endsWith('.ndjson'));
+
+describe('assertShippingOptions', () => {
+  it('rejects unknown targets, a missing URL and non-JSON formats for Elasticsearch', () => {
+    const valid = { target: 'loki', url: 'http://loki:3100', format: 'logfmt' };
+    expect(() => assertShippingOptions(valid)).not.toThrow();
+    expect(() => assertShippingOptions({ ...valid, target: 'splunk' })).toThrow(/target/);
+    expect(() => assertShippingOptions({ ...valid, url: null })).toThrow(/LOG_SHIP_URL/);
+    expect(() => assertShippingOptions({ ...valid, target: 'elasticsearch' })).toThrow(/JSON format/);
+  });
+});
+
+describe('createLogShipper', () => {
+  let receiver;
+
+  afterEach(async () => {
+    await receiver?.close();
+    receiver = null;
+  });
+
+  it('pushes gzipped batches to Loki with one stream per level', async () => {
+    receiver = await startReceiver({ respond: () => ({ status: 204 }) });
+    const shipper = createLogShipper(shipperOptions({
+      url: `${receiver.url}/`,
+      headers: { 'X-Scope-OrgID': 'tenant-1' },
+    }));
+    const transport = new LogShipperTransport({ shipper });
+
+    transport.log({ level: 'info', message: 'first', metadata: { request_id: 'req-1' }, [RECORD_TIME]: TIME }, () => {});
+    transport.log({ level: 'error', message: 'second', metadata: {}, [RECORD_TIME]: TIME }, () => {});
+
+    const request = await receiver.nextRequest();
+    expect(request.url).toBe('/loki/api/v1/push');
+    expect(request.headers['content-encoding']).toBe('gzip');
+    expect(request.headers['x-scope-orgid']).toBe('tenant-1');
+
+    const { streams } = JSON.parse(request.body);
+    expect(streams.map((stream) => stream.stream)).toEqual([
+      { app: 'test-app', level: 'info' },
+      { app: 'test-app', level: 'error' },
+    ]);
+    const [timestamp, line] = streams[0].values[0];
+    expect(timestamp).toBe(`${TIME.getTime()}000000`);
+    expect(JSON.parse(line)).toMatchObject({ level: 'info', message: 'first', metadata: { request_id: 'req-1' } });
+
+    await shipper.flush();
+    expect(shipper.getStats()).toMatchObject({ sent: 2, requests: 1, failing: false });
+  });
+
+  it('sends Elasticsearch bulk requests and retries only the items that can be retried', async () => {
+    receiver = await startReceiver({
+      respond: () => ({
+        body: {
+          errors: true,
+          items: [{ create: { status: 201 } }, { create: { status: 400 } }, { create: { status: 503 } }],
+        },
+      }),
+    });
+    const shipper = createLogShipper(shipperOptions({
+      target: 'elasticsearch',
+      url: receiver.url,
+      format: 'ecs',
+      index: 'logs-test',
+      gzip: false,
+      batchSize: 3,
+    }));
+
+    shipper.enqueue(entry('created'));
+    shipper.enqueue(entry('invalid'));
+    shipper.enqueue(entry('throttled'));
+
+    const first = await receiver.nextRequest();
+    expect(first.url).toBe('/_bulk');
+    expect(first.headers['content-type']).toBe('application/x-ndjson');
+    const lines = first.body.trim().split('\n').map((line) => JSON.parse(line));
+    expect(lines).toHaveLength(6);
+    expect(lines[0]).toEqual({ create: { _index: 'logs-test' } });
+    expect(lines[1]).toMatchObject({ message: 'created' });
+
+    receiver.setResponder(() => ({ body: { errors: false, items: [{ create: { status: 201 } }] } }));
+    const retry = await receiver.nextRequest();
+    expect(retry.body.trim().split('\n').map((line) => JSON.parse(line))[1]).toMatchObject({ message: 'throttled' });
+
+    await shipper.flush();
+    expect(shipper.getStats()).toMatchObject({ sent: 2, rejected: 1, spool_files: 0 });
+  });
+
+  it('drops batches the receiver rejects instead of retrying them', async () => {
+    receiver = await startReceiver({ respond: () => ({ status: 400 }) });
+    const statuses = [];
+    const options = shipperOptions({ url: receiver.url, onStatus: (event) => statuses.push(event) });
+    const shipper = createLogShipper(options);
+
+    shipper.enqueue(entry('first'));
+    shipper.enqueue(entry('second'));
+    await shipper.flush();
+
+    expect(statuses).toEqual(['rejected']);
+    expect(shipper.getStats()).toMatchObject({ rejected: 2, spooled_batches: 0 });
+    expect(spoolFiles(options.spoolDir)).toEqual([]);
+  });
+});
+
+describe('disk spool', () => {
+  let receiver;
+
+  afterEach(async () => {
+    await receiver?.close();
+    receiver = null;
+  });
+
+  it('spools batches while the receiver is down and replays them once it is back', async () => {
+    const port = await unusedPort();
+    const statuses = [];
+    const options = shipperOptions({
+      url: `http://127.0.0.1:${port}`,
+      onStatus: (event, details) => statuses.push({ event, details }),
+    });
+    const shipper = createLogShipper(options);
+
+    shipper.enqueue(entry('first'));
+    shipper.enqueue(entry('second'));
+    await shipper.flush();
+    // Batches behind a spooled one wait in the spool, in order
+    shipper.enqueue(entry('third'));
+    shipper.enqueue(entry('fourth'));
+    await shipper.flush();
+
+    expect(statuses.map((status) => status.event)).toEqual(['failing']);
+    expect(spoolFiles(options.spoolDir)).toHaveLength(2);
+    expect(shipper.getStats()).toMatchObject({ failing: true, spool_files: 2, failed_requests: 1 });
+
+    receiver = await startReceiver({ port });
+    await shipper.close(2000);
+
+    const messages = receiver.requests.flatMap((request) => JSON.parse(request.body).streams
+      .flatMap((stream) => stream.values.map(([, line]) => JSON.parse(line).message)));
+    expect(messages).toEqual(['first', 'second', 'third', 'fourth']);
+    expect(statuses[1]).toEqual({ event: 'recovered', details: { target: 'loki', spooled_batches: 1 } });
+    expect(spoolFiles(options.spoolDir)).toEqual([]);
+  });
+
+  it('keeps the current batch on disk at shutdown while the receiver is down', async () => {
+    const options = shipperOptions({ url: `http://127.0.0.1:${await unusedPort()}` });
+    const shipper = createLogShipper(options);
+
+    shipper.enqueue(entry('pending'));
+    await shipper.close(1000);
+
+    const [file] = spoolFiles(options.spoolDir);
+    const [[time, level, line]] = fs.readFileSync(path.join(options.spoolDir, file), 'utf8')
+      .trim().split('\n').map((item) => JSON.parse(item));
+    expect([time, level, JSON.parse(line).message]).toEqual([TIME.getTime(), 'info', 'pending']);
+  });
+
+  it('spools the last batch at shutdown after the spool file being sent, even with a full spool', async () => {
+    // Room for two spool files of two items
+    const fileBytes = ['a', 'b'].map((message) => (
+      Buffer.byteLength(`${JSON.stringify([TIME.getTime(), 'info', formatLine('json', entry(message))])}\n`)
+    )).reduce((total, bytes) => total + bytes, 0);
+    const port = await unusedPort();
+    const options = shipperOptions({ url: `http://127.0.0.1:${port}`, maxSpoolBytes: fileBytes * 2 });
+    const shipper = createLogShipper(options);
+
+    shipper.enqueue(entry('a'));
+    shipper.enqueue(entry('b'));
+    await shipper.flush();
+    shipper.enqueue(entry('c'));
+    shipper.enqueue(entry('d'));
+    await shipper.flush();
+    expect(shipper.getStats()).toMatchObject({ spool_files: 2, spool_bytes: fileBytes * 2 });
+
+    // The retry sends the oldest spool file; hold its response
+    let release;
+    const held = new Promise((resolve) => { release = resolve; });
+    receiver = await startReceiver({ port, respond: () => held.then(() => ({ status: 204 })) });
+    await receiver.nextRequest();
+
+    shipper.enqueue(entry('e'));
+    const closed = shipper.close(5000);
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    receiver.setResponder(() => ({ status: 204 }));
+    release();
+    await closed;
+
+    const messages = receiver.requests.flatMap((request) => JSON.parse(request.body).streams
+      .flatMap((stream) => stream.values.map(([, line]) => JSON.parse(line).message)));
+    expect(messages).toEqual(['a', 'b', 'c', 'd', 'e']);
+    expect(shipper.getStats()).toMatchObject({ spool_files: 0, spool_bytes: 0, dropped_batches: 0 });
+    expect(spoolFiles(options.spoolDir)).toEqual([]);
+  });
+
+  it('replays spool files left by a process that is no longer running', async () => {
+    receiver = await startReceiver();
+    const spoolDir = tempSpoolDir();
+    const { pid } = spawnSync(process.execPath, ['-e', '']);
+    const items = [[TIME.getTime(), 'warn', JSON.stringify({ message: 'left behind' })]];
+    fs.writeFileSync(
+      path.join(spoolDir, `${pid}-${TIME.getTime()}-0.ndjson`),
+      `${items.map((item) => JSON.stringify(item)).join('\n')}\n`
+    );
+
+    const shipper = createLogShipper(shipperOptions({ url: receiver.url, spoolDir }));
+    await shipper.flush();
+
+    const { streams } = JSON.parse((await receiver.nextRequest()).body);
+    expect(streams).toEqual([{
+      stream: { app: 'test-app', level: 'warn' },
+      values: [[`${TIME.getTime()}000000`, JSON.stringify({ message: 'left behind' })]],
+    }]);
+    expect(spoolFiles(spoolDir)).toEqual([]);
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Pino Logger Tests
+ * Records flushed by a request's flight recorder keep their own time in the
+ * files, forwarded lines, the live stream and shipping
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createPinoLogger } = require('../../src/utils/pinoLogger');
+const { createRequestRecorder, flushRequestRecords } = require('../../src/utils/flightRecorder');
+const { createPipelineStats } = require('../../src/utils/logPipeline');
+const { formatTimestamp } = require('../../src/utils/logFormats');
+const { subscribe } = require('../../src/utils/logStream');
+
+const LEVELS = { error: 0, warn: 1, info: 2, http: 3, debug: 4, trace: 5 };
+
+// Buffered a minute before the request failed
+const RECORDED_AT = Date.now() - 60000;
+
+const createLogger = ({ dir, forwarder = null }) => {
+  const shipped = [];
+  const logger = createPinoLogger({
+    levels: LEVELS,
+    defaultMeta: { service: 'test-app' },
+    isRecordEnabled: () => true,
+    suppressor: { shouldEmit: () => true },
+    pipelineStats: createPipelineStats(),
+    shipper: { enqueue: (entry) => shipped.push(entry) },
+    forwarder,
+    transport: {
+      dir,
+      maxSize: '1m',
+      maxFiles: '1d',
+      zippedArchive: false,
+      backpressure: { policy: 'block', maxBytes: 1024 * 1024 },
+      format: 'json',
+      pretty: false,
+      files: !forwarder,
+      syslog: null,
+    },
+  });
+  return { logger, shipped };
+};
+
+const flushOneRecord = (logger) => {
+  const recorder = createRequestRecorder();
+  recorder.push({
+    level: 'debug',
+    info: { level: 'debug', message: 'Cache miss', cache_key: 'user:1' },
+    time: RECORDED_AT,
+    emitted: false,
+  });
+  flushRequestRecords(recorder, logger, 'error');
+};
+
+/**
+ * Lines of the app file once the worker thread has written the flushed record
+ */
+const readAppLines = async (dir) => {
+  for (let attempt = 0; attempt < 40; attempt++) {
+    const file = fs.readdirSync(dir).find((name) => name.startsWith('app-'));
+    const content = file ? fs.readFileSync(path.join(dir, file), 'utf8') : '';
+    if (content.includes('Cache miss')) {
+      return content.trim().split('\n').map((line) => JSON.parse(line));
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  throw new Error(`No flushed record in ${dir}`);
+};
+
+describe('createPinoLogger', () => {
+  it('writes flushed flight recorder records with the time they were recorded', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pino-logs-'));
+    const { logger, shipped } = createLogger({ dir });
+
+    flushOneRecord(logger);
+    await new Promise((resolve) => logger.flush(resolve));
+
+    const lines = await readAppLines(dir);
+    const flushed = lines.find((line) => line.message === 'Cache miss');
+    const notice = lines.find((line) => line.message === 'Flight recorder: flushing buffered records');
+
+    expect(flushed).toMatchObject({ timestamp: formatTimestamp(new Date(RECORDED_AT)), metadata: { flight_recorder: true } });
+    expect(notice.timestamp).not.toBe(flushed.timestamp);
+
+    const shippedRecord = shipped.find((entry) => entry.message === 'Cache miss');
+    expect(shippedRecord.time.getTime()).toBe(RECORDED_AT);
+
+    // Live stream history, replayed to a new subscriber
+    let events = '';
+    const unsubscribe = subscribe({ write: (chunk) => { events += chunk; } }, {
+      filter: (entry) => entry.message === 'Cache miss',
+      historyLimit: 1,
+    });
+    unsubscribe();
+    const streamed = JSON.parse(events.match(/^event: log\ndata: (.*)$/m)[1]);
+    expect(streamed.timestamp).toBe(formatTimestamp(new Date(RECORDED_AT)));
+  });
+
+  it('forwards flushed records with the time they were recorded', () => {
+    const forwarded = [];
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pino-logs-'));
+    const { logger } = createLogger({ dir, forwarder: { forward: (record) => forwarded.push(record) } });
+
+    flushOneRecord(logger);
+
+    const line = JSON.parse(forwarded.find((record) => record.line.includes('Cache miss')).line);
+    expect(line.timestamp).toBe(formatTimestamp(new Date(RECORDED_AT)));
+  });
+});
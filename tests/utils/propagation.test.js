@@ -0,0 +1,194 @@
+/**
+ * Trace Context Propagation Tests
+ * Extraction and injection of each propagator's headers, round trips, and
+ * chains of propagators
+ */
+
+const { PROPAGATORS, createPropagator } = require('../../src/utils/propagation');
+const { createTraceContext, extractTraceContext, injectTraceContext } = require('../../src/utils/tracing');
+
+const TRACE_ID = '4bf92f3577b34da6a3ce929d0e0e4736';
+const SPAN_ID = '00f067aa0ba902b7';
+const PARENT_SPAN_ID = 'b7ad6b7169203331';
+
+describe('legacy propagator', () => {
+  const { legacy } = PROPAGATORS;
+
+  it('reads UUID trace ids and UUID-prefix span ids sent by services not migrated yet', () => {
+    expect(legacy.extract({
+      'x-trace-id': '4BF92F35-77B3-4DA6-A3CE-929D0E0E4736',
+      'x-span-id': 'a3c1e1d2-1111-42',
+    })).toEqual({ traceId: TRACE_ID, spanId: '00a3c1e1d2111142' });
+  });
+
+  it('hashes longer hex span ids down to 16 digits and ignores invalid ones', () => {
+    const extract = (spanId) => legacy.extract({ 'x-trace-id': TRACE_ID, 'x-span-id': spanId }).spanId;
+
+    expect(extract(SPAN_ID)).toBe(SPAN_ID);
+    expect(extract('a3c1e1d2-1111-4222-8333-444455556666')).toMatch(/^[0-9a-f]{16}$/);
+    expect(extract('a3c1e1d2-1111-4222-8333-444455556666'))
+      .toBe(extract('a3c1e1d2-1111-4222-8333-444455556666'));
+    expect(extract('not-a-span')).toBeNull();
+    expect(extract('0000-0000')).toBeNull();
+    expect(extract(undefined)).toBeNull();
+  });
+
+  it('writes x-parent-span-id only when there is a parent', () => {
+    const headers = {};
+    legacy.inject({ traceId: TRACE_ID, spanId: SPAN_ID }, headers);
+    expect(headers).toEqual({ 'x-trace-id': TRACE_ID, 'x-span-id': SPAN_ID });
+
+    legacy.inject({ traceId: TRACE_ID, spanId: SPAN_ID, parentSpanId: PARENT_SPAN_ID }, headers);
+    expect(headers['x-parent-span-id']).toBe(PARENT_SPAN_ID);
+  });
+});
+
+describe('round trips', () => {
+  const context = {
+    traceId: TRACE_ID,
+    spanId: SPAN_ID,
+    parentSpanId: PARENT_SPAN_ID,
+    traceState: 'vendor=abc,other=1',
+  };
+
+  it.each(['tracecontext', 'b3', 'b3multi', 'jaeger'])('%s keeps the ids and the sampled flag', (name) => {
+    for (const sampled of [true, false]) {
+      const headers = {};
+      PROPAGATORS[name].inject({ ...context, sampled }, headers);
+
+      expect(PROPAGATORS[name].extract(headers)).toMatchObject({ traceId: TRACE_ID, spanId: SPAN_ID, sampled });
+    }
+  });
+
+  it('legacy keeps the ids', () => {
+    const headers = {};
+    PROPAGATORS.legacy.inject(context, headers);
+
+    expect(PROPAGATORS.legacy.extract(headers)).toEqual({ traceId: TRACE_ID, spanId: SPAN_ID });
+  });
+
+  it('tracecontext keeps the tracestate list', () => {
+    const headers = {};
+    PROPAGATORS.tracecontext.inject({ ...context, sampled: true }, headers);
+
+    expect(headers.traceparent).toBe(`00-${TRACE_ID}-${SPAN_ID}-01`);
+    expect(PROPAGATORS.tracecontext.extract(headers).traceState).toBe('vendor=abc,other=1');
+  });
+
+  it.each(['tracecontext', 'b3', 'b3multi', 'jaeger', 'legacy'])('%s writes nothing without valid ids', (name) => {
+    const headers = {};
+    PROPAGATORS[name].inject({ traceId: '0'.repeat(32), spanId: SPAN_ID }, headers);
+    PROPAGATORS[name].inject({ traceId: TRACE_ID, spanId: 'xyz' }, headers);
+
+    expect(headers).toEqual({});
+  });
+});
+
+describe('tracecontext propagator', () => {
+  const { tracecontext } = PROPAGATORS;
+
+  it('rejects invalid traceparent headers', () => {
+    const extract = (traceparent) => tracecontext.extract({ traceparent });
+
+    expect(extract(`ff-${TRACE_ID}-${SPAN_ID}-01`)).toBeNull();
+    expect(extract(`00-${TRACE_ID}-${SPAN_ID}-01-extra`)).toBeNull();
+    expect(extract(`00-${'0'.repeat(32)}-${SPAN_ID}-01`)).toBeNull();
+    expect(extract(`00-${TRACE_ID}-${'0'.repeat(16)}-01`)).toBeNull();
+    expect(extract(`00-${TRACE_ID.toUpperCase()}-${SPAN_ID}-01`)).toBeNull();
+    // Later versions may add fields
+    expect(extract(`01-${TRACE_ID}-${SPAN_ID}-01-extra`)).toMatchObject({ traceId: TRACE_ID });
+  });
+
+  it('drops an invalid tracestate but keeps the parent', () => {
+    const extract = (tracestate) => tracecontext.extract({
+      traceparent: `00-${TRACE_ID}-${SPAN_ID}-00`,
+      tracestate,
+    });
+
+    expect(extract('a=1,,b=2')).toMatchObject({ sampled: false, traceState: 'a=1,b=2' });
+    expect(extract('a=1,a=2').traceState).toBeNull();
+    expect(extract('Upper=1').traceState).toBeNull();
+  });
+});
+
+describe('b3 and jaeger propagators', () => {
+  it('pads 64-bit trace ids to 128 bits', () => {
+    expect(PROPAGATORS.b3.extract({ b3: `a3ce929d0e0e4736-${SPAN_ID}-1` }))
+      .toEqual({ traceId: `${'0'.repeat(16)}a3ce929d0e0e4736`, spanId: SPAN_ID, sampled: true });
+    expect(PROPAGATORS.b3multi.extract({ 'x-b3-traceid': 'a3ce929d0e0e4736', 'x-b3-spanid': SPAN_ID }))
+      .toEqual({ traceId: `${'0'.repeat(16)}a3ce929d0e0e4736`, spanId: SPAN_ID, sampled: undefined });
+  });
+
+  it('reads sampling decisions sent without ids, and the debug flag', () => {
+    expect(PROPAGATORS.b3.extract({ b3: '0' })).toEqual({ sampled: false });
+    expect(PROPAGATORS.b3.extract({ b3: 'd' })).toEqual({ sampled: true });
+    expect(PROPAGATORS.b3multi.extract({
+      'x-b3-traceid': TRACE_ID,
+      'x-b3-spanid': SPAN_ID,
+      'x-b3-sampled': '0',
+      'x-b3-flags': '1',
+    }).sampled).toBe(true);
+  });
+
+  it('reads URL-encoded uber-trace-id headers with leading zeros omitted', () => {
+    expect(PROPAGATORS.jaeger.extract({ 'uber-trace-id': 'a3ce929d0e0e4736%3Af067aa0ba902b7%3A0%3A3' }))
+      .toEqual({ traceId: `${'0'.repeat(16)}a3ce929d0e0e4736`, spanId: SPAN_ID, sampled: true });
+    expect(PROPAGATORS.jaeger.extract({ 'uber-trace-id': `${TRACE_ID}:${SPAN_ID}:0` })).toBeNull();
+  });
+});
+
+describe('createPropagator', () => {
+  const headers = {
+    traceparent: `00-${TRACE_ID}-${SPAN_ID}-01`,
+    b3: `${'1'.repeat(32)}-${'2'.repeat(16)}-0`,
+  };
+
+  it('extracts with the first propagator that finds a context', () => {
+    expect(createPropagator(['tracecontext', 'b3']).extract(headers))
+      .toMatchObject({ traceId: TRACE_ID, propagator: 'tracecontext' });
+    expect(createPropagator(['b3', 'tracecontext']).extract(headers))
+      .toMatchObject({ traceId: '1'.repeat(32), sampled: false, propagator: 'b3' });
+  });
+
+  it('applies a sampling decision sent without ids when no context is found', () => {
+    expect(createPropagator(['b3', 'tracecontext']).extract({ b3: '0' })).toEqual({ sampled: false });
+    expect(createPropagator(['tracecontext']).extract({})).toBeNull();
+  });
+
+  it('injects with each of its own propagators and lists their fields', () => {
+    const propagator = createPropagator(['tracecontext', 'b3', 'legacy'], ['tracecontext', 'legacy']);
+    const injected = propagator.inject({ traceId: TRACE_ID, spanId: SPAN_ID, sampled: true });
+
+    expect(Object.keys(injected).sort()).toEqual(['traceparent', 'x-span-id', 'x-trace-id']);
+    expect(propagator.fields).toEqual(['traceparent', 'tracestate', 'b3', 'x-trace-id', 'x-span-id', 'x-parent-span-id']);
+  });
+
+  it('rejects unknown propagator names', () => {
+    expect(() => createPropagator(['tracecontext', 'xray'])).toThrow(/TRACE_PROPAGATORS/);
+    expect(() => createPropagator(['tracecontext'], [])).toThrow(/TRACE_INJECT_PROPAGATORS/);
+  });
+});
+
+describe('a service hop', () => {
+  it('continues the caller trace and sends its own span as the parent', () => {
+    const incoming = {
+      traceparent: `00-${TRACE_ID}-${SPAN_ID}-01`,
+      tracestate: 'vendor=abc',
+      'x-request-id': 'req-1',
+    };
+
+    const context = createTraceContext(extractTraceContext(incoming), { path: '/api/users' });
+    const outgoing = injectTraceContext(context);
+
+    expect(context).toMatchObject({ traceId: TRACE_ID, parentSpanId: SPAN_ID, sampled: true, requestId: 'req-1' });
+    expect(outgoing).toMatchObject({
+      traceparent: `00-${TRACE_ID}-${context.spanId}-01`,
+      tracestate: 'vendor=abc',
+      'x-trace-id': TRACE_ID,
+      'x-span-id': context.spanId,
+      'x-parent-span-id': SPAN_ID,
+      'x-request-id': 'req-1',
+    });
+    expect(extractTraceContext(outgoing)).toMatchObject({ traceId: TRACE_ID, spanId: context.spanId, sampled: true });
+  });
+});
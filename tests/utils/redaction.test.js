@@ -0,0 +1,120 @@
+/**
+ * Redaction Tests
+ * Key patterns matched on whole words, and field rules matched on whole keys or trailing paths
+ */
+
+const config = require('../../src/config');
+const { MASK, createRedactor } = require('../../src/utils/redaction');
+
+const ENCRYPTION = { keys: { k1: 'a'.repeat(64) }, activeKeyId: 'k1' };
+
+describe('createRedactor', () => {
+  it('masks any key containing a key pattern as whole words, at any depth', () => {
+    const { redact } = createRedactor({ keys: ['token', 'apiKey'] });
+
+    const redacted = redact({
+      access_token: 'abc',
+      authToken: 'abc',
+      user: { 'API-KEY': 'def', APIKEY: 'def', xApiKey: 'def' },
+      name: 'x',
+    });
+
+    expect(redacted).toEqual({
+      access_token: MASK,
+      authToken: MASK,
+      user: { 'API-KEY': MASK, APIKEY: MASK, xApiKey: MASK },
+      name: 'x',
+    });
+  });
+
+  it('leaves keys that only contain a pattern inside a word', () => {
+    const { redact } = createRedactor({ keys: config.logging.redaction.keys });
+
+    const fields = {
+      process_name: 'node',
+      class_name: 'UserService',
+      business_name: 'Acme',
+      address_number: '12',
+      tokens_used: 3,
+    };
+    expect(redact(fields)).toEqual(fields);
+    expect(redact({ user_ssn: '1', cvv: '2', 'set-cookie': '3', creditCardNumber: '4' })).toEqual({
+      user_ssn: MASK,
+      cvv: MASK,
+      'set-cookie': MASK,
+      creditCardNumber: MASK,
+    });
+  });
+
+  it('matches key patterns in URL query strings the same way', () => {
+    const { redact } = createRedactor({ keys: ['token'] });
+
+    expect(redact({ url: '/api?access_token=abc&tokens_used=3' }).url)
+      .toBe(`/api?access_token=${encodeURIComponent(MASK)}&tokens_used=3`);
+  });
+
+  it('hashes only the fields named exactly, once normalized', () => {
+    const { redact } = createRedactor({ hashFields: ['name', 'user_id'], hashSecret: 'secret' });
+
+    const redacted = redact({
+      name: 'Jane',
+      Name: 'Jane',
+      hostname: 'server-1',
+      error_name: 'TypeError',
+      username: 'jane',
+      userId: 'u-1',
+      nested: { name: 'Jane', service_name: 'api' },
+    });
+
+    expect(redacted.name).toMatch(/^\[HASH:[0-9a-f]{16}\]$/);
+    expect(redacted.Name).toBe(redacted.name);
+    expect(redacted.nested.name).toBe(redacted.name);
+    expect(redacted.userId).toMatch(/^\[HASH:/);
+    expect(redacted).toMatchObject({
+      hostname: 'server-1',
+      error_name: 'TypeError',
+      username: 'jane',
+      nested: { service_name: 'api' },
+    });
+  });
+
+  it('matches dotted fields on the last keys of a path', () => {
+    const { redact } = createRedactor({ hashFields: ['user.email'], hashSecret: 'secret' });
+
+    const redacted = redact({
+      user: { email: 'jane@example.com' },
+      body: { user: { email: 'bob@example.com' } },
+      contact: { email: 'team@example.com' },
+      user_email: 'jane@example.com',
+    });
+
+    expect(redacted.user.email).toMatch(/^\[HASH:/);
+    expect(redacted.body.user.email).toMatch(/^\[HASH:/);
+    expect(redacted.contact.email).toBe('team@example.com');
+    expect(redacted.user_email).toBe('jane@example.com');
+  });
+
+  it('encrypts only the fields named exactly, before key patterns apply', () => {
+    const { redact } = createRedactor({
+      keys: ['email'],
+      encryptFields: ['email', 'deleted_email'],
+      encryption: ENCRYPTION,
+    });
+
+    const redacted = redact({ email: 'jane@example.com', deleted_email: 'bob@example.com', email_verified: true });
+
+    expect(redacted.email).toMatch(/^\[ENC:k1:/);
+    expect(redacted.deleted_email).toMatch(/^\[ENC:k1:/);
+    expect(redacted.email_verified).toBe(MASK);
+  });
+
+  it('gives path rules priority over field rules', () => {
+    const { redact } = createRedactor({
+      hashFields: ['name'],
+      hashSecret: 'secret',
+      paths: { 'body.name': 'remove' },
+    });
+
+    expect(redact({ body: { name: 'Jane' }, name: 'Jane' })).toEqual({ body: {}, name: expect.stringMatching(/^\[HASH:/) });
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Span Exporter Tests
+ * OTLP/HTTP JSON requests to a local collector stub, and OTLP JSON files
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Span, createBatchSpanProcessor } = require('../../src/utils/spans');
+const { assertSpanExportOptions, createOtlpExporter, createFileExporter } = require('../../src/utils/spanExporters');
+const { startReceiver, unusedPort } = require('../helpers/receiver');
+
+const TRACE_ID = '4bf92f3577b34da6a3ce929d0e0e4736';
+const SPAN_ID = '00f067aa0ba902b7';
+const PARENT_SPAN_ID = 'b7ad6b7169203331';
+
+const RESOURCE = { 'service.name': 'test-app', 'service.version': '1.0.0' };
+const SCOPE = { name: 'test-app', version: '1.0.0' };
+
+const endedSpan = () => {
+  const span = new Span({
+    name: 'GET /api/users',
+    kind: 'server',
+    traceId: TRACE_ID,
+    spanId: SPAN_ID,
+    parentSpanId: PARENT_SPAN_ID,
+    attributes: { 'http.status_code': 500, 'http.route': '/api/users', password: 'hunter2', ratio: 0.5 },
+    startTime: 1700000000000,
+  }, () => {});
+  span.recordException(new Error('boom'));
+  span.end(1700000000250);
+  return span;
+};
+
+describe('createOtlpExporter', () => {
+  let collector;
+
+  beforeEach(async () => {
+    collector = await startReceiver();
+  });
+
+  afterEach(() => collector.close());
+
+  const exporter = (endpoint = `${collector.url}/v1/traces`) => createOtlpExporter({
+    endpoint,
+    headers: { Authorization: 'Bearer collector-token' },
+    timeoutMs: 2000,
+    resource: RESOURCE,
+    scope: SCOPE,
+  });
+
+  it('posts spans as an OTLP JSON ExportTraceServiceRequest', async () => {
+    await exporter().export([endedSpan()]);
+
+    const request = await collector.nextRequest();
+    expect(request).toMatchObject({ method: 'POST', url: '/v1/traces' });
+    expect(request.headers).toMatchObject({ 'content-type': 'application/json', authorization: 'Bearer collector-token' });
+
+    const { resourceSpans } = JSON.parse(request.body);
+    expect(resourceSpans[0].resource.attributes).toContainEqual({ key: 'service.name', value: { stringValue: 'test-app' } });
+    expect(resourceSpans[0].scopeSpans[0].scope).toEqual(SCOPE);
+
+    const [span] = resourceSpans[0].scopeSpans[0].spans;
+    expect(span).toMatchObject({
+      traceId: TRACE_ID,
+      spanId: SPAN_ID,
+      parentSpanId: PARENT_SPAN_ID,
+      name: 'GET /api/users',
+      kind: 2,
+      startTimeUnixNano: '1700000000000000000',
+      endTimeUnixNano: '1700000000250000000',
+      status: { code: 2, message: 'boom' },
+    });
+    expect(span.attributes).toEqual(expect.arrayContaining([
+      { key: 'http.status_code', value: { intValue: '500' } },
+      { key: 'ratio', value: { doubleValue: 0.5 } },
+    ]));
+    expect(request.body).not.toContain('hunter2');
+    expect(span.events[0]).toMatchObject({ name: 'exception' });
+  });
+
+  it('fails on error responses and unreachable collectors', async () => {
+    collector.setResponder(() => ({ status: 500 }));
+    await expect(exporter().export([endedSpan()])).rejects.toThrow(/HTTP 500/);
+
+    const port = await unusedPort();
+    await expect(exporter(`http://127.0.0.1:${port}/v1/traces`).export([endedSpan()])).rejects.toThrow();
+  });
+
+  it('reports a collector outage through the batch processor and recovers', async () => {
+    const onStatus = jest.fn();
+    const processor = createBatchSpanProcessor({
+      exporters: [exporter()],
+      maxBatchSize: 1,
+      maxQueueSize: 10,
+      scheduleDelayMs: 60000,
+      onStatus,
+    });
+
+    collector.setResponder(() => ({ status: 503 }));
+    processor.onEnd(endedSpan());
+    await processor.flush();
+
+    collector.setResponder(() => ({ status: 200 }));
+    processor.onEnd(endedSpan());
+    await processor.shutdown();
+
+    expect(onStatus.mock.calls.map(([status]) => status)).toEqual(['failing', 'recovered']);
+    expect(processor.getStats().exporters.otlp).toEqual({ exported_spans: 1, failed_spans: 1, failing: false });
+    expect(collector.requests).toHaveLength(2);
+  });
+});
+
+describe('createFileExporter', () => {
+  it('writes one OTLP JSON document per batch', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'spans-'));
+    const exporter = createFileExporter({ dir, prefix: 'test-', maxSize: '1m', maxFiles: '1d', resource: RESOURCE, scope: SCOPE });
+
+    await exporter.export([endedSpan()]);
+    await exporter.export([endedSpan(), endedSpan()]);
+    await exporter.shutdown();
+
+    const files = fs.readdirSync(dir).filter((name) => /^test-spans-\d{4}-\d{2}-\d{2}\.log$/.test(name));
+    expect(files).toHaveLength(1);
+
+    const lines = fs.readFileSync(path.join(dir, files[0]), 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+    expect(lines.map((line) => line.resourceSpans[0].scopeSpans[0].spans.length)).toEqual([1, 2]);
+  });
+});
+
+describe('assertSpanExportOptions', () => {
+  const options = { exporters: ['otlp'], otlp: { endpoint: 'http://collector:4318/v1/traces' }, batch: { maxBatchSize: 10, maxQueueSize: 100 } };
+
+  it('rejects unknown exporters, non-HTTP endpoints and a queue smaller than a batch', () => {
+    expect(() => assertSpanExportOptions(options)).not.toThrow();
+    expect(() => assertSpanExportOptions({ ...options, exporters: ['zipkin'] })).toThrow(/TRACE_EXPORTERS/);
+    expect(() => assertSpanExportOptions({ ...options, otlp: { endpoint: 'collector:4318' } })).toThrow(/TRACE_OTLP_ENDPOINT/);
+    expect(() => assertSpanExportOptions({ ...options, batch: { maxBatchSize: 10, maxQueueSize: 5 } })).toThrow(/TRACE_MAX_QUEUE_SIZE/);
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * Span Batch Processor Tests
+ * Queue bound with a slow exporter, one batch in flight, dropped spans, and
+ * per-exporter failure and recovery
+ */
+
+const { Span, createBatchSpanProcessor } = require('../../src/utils/spans');
+
+const TRACE_ID = '4bf92f3577b34da6a3ce929d0e0e4736';
+
+const endedSpan = (i) => {
+  const span = new Span({ name: `span-${i}`, traceId: TRACE_ID, spanId: (i + 1).toString(16).padStart(16, '0') }, () => {});
+  span.end();
+  return span;
+};
+
+/**
+ * Exporter whose exports settle only when the test says so
+ */
+const manualExporter = (name = 'manual') => {
+  const calls = [];
+  return {
+    name,
+    calls,
+    export(spans) {
+      return new Promise((resolve, reject) => calls.push({ spans, resolve, reject }));
+    },
+  };
+};
+
+// Let settled exports run their continuations
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('createBatchSpanProcessor', () => {
+  it('exports one batch at a time while the exporter is slow', async () => {
+    const exporter = manualExporter();
+    const processor = createBatchSpanProcessor({ exporters: [exporter], maxBatchSize: 2, maxQueueSize: 10, scheduleDelayMs: 60000 });
+
+    for (let i = 0; i < 6; i++) processor.onEnd(endedSpan(i));
+
+    expect(exporter.calls).toHaveLength(1);
+    expect(processor.getStats()).toMatchObject({ queued_spans: 4, exporting_spans: 2, dropped_spans: 0 });
+
+    exporter.calls[0].resolve();
+    await tick();
+
+    expect(exporter.calls).toHaveLength(2);
+    expect(exporter.calls[1].spans.map((span) => span.name)).toEqual(['span-2', 'span-3']);
+    expect(processor.getStats()).toMatchObject({ queued_spans: 2, exporting_spans: 2 });
+  });
+
+  it('counts spans being exported against the queue cap and drops the rest', async () => {
+    const exporter = manualExporter();
+    const onStatus = jest.fn();
+    const processor = createBatchSpanProcessor({
+      exporters: [exporter],
+      maxBatchSize: 2,
+      maxQueueSize: 4,
+      scheduleDelayMs: 60000,
+      onStatus,
+    });
+
+    for (let i = 0; i < 10; i++) processor.onEnd(endedSpan(i));
+
+    const stats = processor.getStats();
+    expect(stats.queued_spans + stats.exporting_spans).toBe(4);
+    expect(stats.dropped_spans).toBe(6);
+    expect(onStatus).toHaveBeenCalledTimes(1);
+    expect(onStatus).toHaveBeenCalledWith('dropping', { max_queue_size: 4 });
+
+    // Room again once the batch in flight settles
+    exporter.calls[0].resolve();
+    await tick();
+    processor.onEnd(endedSpan(10));
+
+    expect(processor.getStats().dropped_spans).toBe(6);
+  });
+
+  it('flushes everything queued, in order, one batch after another', async () => {
+    const exported = [];
+    let active = 0;
+    let maxActive = 0;
+    const exporter = {
+      name: 'slow',
+      async export(spans) {
+        active++;
+        maxActive = Math.max(maxActive, active);
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        exported.push(...spans.map((span) => span.name));
+        active--;
+      },
+      shutdown: jest.fn(),
+    };
+    const processor = createBatchSpanProcessor({ exporters: [exporter], maxBatchSize: 3, maxQueueSize: 20, scheduleDelayMs: 60000 });
+
+    for (let i = 0; i < 8; i++) processor.onEnd(endedSpan(i));
+    await processor.shutdown();
+
+    expect(exported).toEqual(Array.from({ length: 8 }, (_, i) => `span-${i}`));
+    expect(maxActive).toBe(1);
+    expect(exporter.shutdown).toHaveBeenCalled();
+    expect(processor.getStats()).toMatchObject({
+      queued_spans: 0,
+      exporting_spans: 0,
+      exporters: { slow: { exported_spans: 8, failed_spans: 0, failing: false } },
+    });
+  });
+
+  it('drops batches an exporter fails to take, and reports failing and recovered once each', async () => {
+    const healthy = manualExporter('healthy');
+    const flaky = manualExporter('flaky');
+    const onStatus = jest.fn();
+    const processor = createBatchSpanProcessor({
+      exporters: [healthy, flaky],
+      maxBatchSize: 1,
+      maxQueueSize: 10,
+      scheduleDelayMs: 60000,
+      onStatus,
+    });
+
+    for (let i = 0; i < 3; i++) processor.onEnd(endedSpan(i));
+
+    for (let i = 0; i < 3; i++) {
+      healthy.calls[i].resolve();
+      if (i < 2) flaky.calls[i].reject(new Error('HTTP 503'));
+      else flaky.calls[i].resolve();
+      await tick();
+    }
+
+    expect(onStatus.mock.calls).toEqual([
+      ['failing', { exporter: 'flaky', error: 'HTTP 503', span_count: 1 }],
+      ['recovered', { exporter: 'flaky' }],
+    ]);
+    expect(processor.getStats().exporters).toEqual({
+      healthy: { exported_spans: 3, failed_spans: 0, failing: false },
+      flaky: { exported_spans: 1, failed_spans: 2, failing: false },
+    });
+  });
+
+  it('exports partial batches on the schedule', async () => {
+    jest.useFakeTimers();
+    try {
+      const exporter = manualExporter();
+      const processor = createBatchSpanProcessor({ exporters: [exporter], maxBatchSize: 5, maxQueueSize: 10, scheduleDelayMs: 1000 });
+
+      processor.onEnd(endedSpan(0));
+      expect(exporter.calls).toHaveLength(0);
+
+      jest.advanceTimersByTime(1000);
+      expect(exporter.calls).toHaveLength(1);
+      expect(exporter.calls[0].spans).toHaveLength(1);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
@@ -0,0 +1,216 @@
+/**
+ * Syslog Transport Tests
+ * RFC 5424 formatting, and delivery to local UDP, TCP and Unix socket listeners
+ */
+
+const dgram = require('dgram');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { RECORD_TIME } = require('../../src/utils/logFormats');
+const {
+  assertSyslogOptions,
+  formatSyslogMessage,
+  createSyslogSender,
+  SyslogTransport,
+} = require('../../src/utils/syslog');
+
+const MESSAGE_OPTIONS = {
+  facility: 'local0',
+  appName: 'test-app',
+  sdId: 'ctx@32473',
+  format: 'json',
+  hostname: 'host-1',
+  procId: 42,
+};
+
+const entry = (overrides = {}) => ({
+  level: 'info',
+  message: 'hello',
+  time: new Date('2024-01-15T10:00:00.000Z'),
+  metadata: { request_id: 'req-1' },
+  ...overrides,
+});
+
+/**
+ * Resolve with the next `count` messages a stream listener receives,
+ * split with the given framing
+ */
+const collectStreamMessages = (server, framing, count) => new Promise((resolve) => {
+  const messages = [];
+  server.on('connection', (socket) => {
+    let pending = '';
+    socket.on('data', (chunk) => {
+      pending += chunk.toString();
+      for (;;) {
+        if (framing === 'newline') {
+          const end = pending.indexOf('\n');
+          if (end === -1) break;
+          messages.push(pending.substring(0, end));
+          pending = pending.substring(end + 1);
+        } else {
+          const space = pending.indexOf(' ');
+          if (space === -1) break;
+          const length = Number(pending.substring(0, space));
+          const body = Buffer.from(pending.substring(space + 1));
+          if (!Number.isInteger(length) || body.length < length) break;
+          messages.push(body.subarray(0, length).toString());
+          pending = body.subarray(length).toString();
+        }
+      }
+      if (messages.length >= count) resolve(messages.slice(0, count));
+    });
+  });
+});
+
+const listen = (server, ...args) => new Promise((resolve) => server.listen(...args, resolve));
+const close = (closable) => new Promise((resolve) => closable.close(() => resolve()));
+
+describe('formatSyslogMessage', () => {
+  it('writes the RFC 5424 header, structured data and the formatted line', () => {
+    const message = formatSyslogMessage(entry({ level: 'warn' }), MESSAGE_OPTIONS);
+
+    // local0 (16) * 8 + warning (4)
+    expect(message).toBe(
+      '<132>1 2024-01-15T10:00:00.000Z host-1 test-app 42 - [ctx@32473 request_id="req-1"] '
+      + '{"level":"warn","message":"hello","metadata":{"request_id":"req-1"},'
+      + `"timestamp":"${JSON.parse(message.substring(message.indexOf('{'))).timestamp}"}`
+    );
+  });
+
+  it('escapes structured data values and routes audit records by MSGID', () => {
+    const message = formatSyslogMessage(entry({
+      metadata: { audit: true, user_id: 'a"b]c\\d' },
+    }), MESSAGE_OPTIONS);
+
+    expect(message).toContain(' audit [ctx@32473 user_id="a\\"b\\]c\\\\d"] ');
+  });
+
+  it('replaces spaces and control characters in header fields', () => {
+    const message = formatSyslogMessage(entry({ metadata: {} }), {
+      ...MESSAGE_OPTIONS,
+      appName: 'my app\nname',
+    });
+
+    expect(message.split(' ')[3]).toBe('my_app_name');
+    expect(message).toContain(' - - {');
+  });
+});
+
+describe('assertSyslogOptions', () => {
+  it('rejects unknown protocols, facilities and unix without a path', () => {
+    const valid = { protocol: 'udp', facility: 'local0', format: 'json' };
+    expect(() => assertSyslogOptions(valid)).not.toThrow();
+    expect(() => assertSyslogOptions({ ...valid, protocol: 'http' })).toThrow(/protocol/);
+    expect(() => assertSyslogOptions({ ...valid, facility: 'local9' })).toThrow(/facility/);
+    expect(() => assertSyslogOptions({ ...valid, protocol: 'unix' })).toThrow(/socket path/);
+  });
+});
+
+describe('createSyslogSender', () => {
+  it('sends one datagram per message over UDP', async () => {
+    const listener = dgram.createSocket('udp4');
+    await new Promise((resolve) => listener.bind(0, '127.0.0.1', resolve));
+    const received = new Promise((resolve) => listener.once('message', (data) => resolve(data.toString())));
+
+    const sender = createSyslogSender({ protocol: 'udp', host: '127.0.0.1', port: listener.address().port });
+    sender.send('<134>1 - - - - - - first');
+
+    await expect(received).resolves.toBe('<134>1 - - - - - - first');
+    await close(sender);
+    await close(listener);
+  });
+
+  it('frames messages with octet counting over TCP', async () => {
+    const server = net.createServer();
+    const received = collectStreamMessages(server, 'octet-counting', 2);
+    await listen(server, 0, '127.0.0.1');
+
+    const sender = createSyslogSender({ protocol: 'tcp', host: '127.0.0.1', port: server.address().port });
+    sender.send('first message');
+    sender.send('second\nmessage é');
+
+    await expect(received).resolves.toEqual(['first message', 'second\nmessage é']);
+    await close(sender);
+    await close(server);
+  });
+
+  it('frames messages with newlines over a Unix socket', async () => {
+    const socketPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'syslog-')), 'log.sock');
+    const server = net.createServer();
+    const received = collectStreamMessages(server, 'newline', 2);
+    await listen(server, socketPath);
+
+    const sender = createSyslogSender({ protocol: 'unix', path: socketPath });
+    sender.send('first');
+    sender.send('multi\nline');
+
+    await expect(received).resolves.toEqual(['first', 'multi line']);
+    await close(sender);
+    await close(server);
+  });
+
+  it('buffers while the listener is down and flushes on reconnect, reporting the outage once', async () => {
+    // Reserve a port, then free it so that the first connection is refused
+    const probe = net.createServer();
+    await listen(probe, 0, '127.0.0.1');
+    const { port } = probe.address();
+    await close(probe);
+
+    const statuses = [];
+    const sender = createSyslogSender({
+      protocol: 'tcp',
+      host: '127.0.0.1',
+      port,
+      bufferSize: 2,
+      onStatus: (event, details) => statuses.push({ event, details }),
+    });
+    sender.send('dropped');
+    sender.send('kept 1');
+    sender.send('kept 2');
+
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    expect(statuses.map((status) => status.event)).toEqual(['disconnected']);
+
+    const server = net.createServer();
+    const received = collectStreamMessages(server, 'octet-counting', 2);
+    await listen(server, port, '127.0.0.1');
+
+    await expect(received).resolves.toEqual(['kept 1', 'kept 2']);
+    expect(statuses[1]).toEqual({ event: 'reconnected', details: { flushed: 2, dropped: 1 } });
+    await close(sender);
+    await close(server);
+  });
+});
+
+describe('SyslogTransport', () => {
+  it('writes winston records with their own time', async () => {
+    const listener = dgram.createSocket('udp4');
+    await new Promise((resolve) => listener.bind(0, '127.0.0.1', resolve));
+    const received = new Promise((resolve) => listener.once('message', (data) => resolve(data.toString())));
+
+    const transport = new SyslogTransport({
+      protocol: 'udp',
+      host: '127.0.0.1',
+      port: listener.address().port,
+      facility: 'user',
+      appName: 'test-app',
+      sdId: 'ctx@32473',
+      messageFormat: 'logfmt',
+    });
+    transport.log({
+      level: 'error',
+      message: 'failed',
+      metadata: { trace_id: 'abc' },
+      [RECORD_TIME]: new Date('2024-01-15T10:00:00.000Z'),
+    }, () => {});
+
+    const message = await received;
+    // user (1) * 8 + err (3)
+    expect(message).toMatch(/^<11>1 2024-01-15T10:00:00\.000Z \S+ test-app \d+ - \[ctx@32473 trace_id="abc"\] /);
+    expect(message).toContain('ts=2024-01-15T10:00:00.000Z level=error msg=failed trace_id=abc');
+    transport.close();
+    await close(listener);
+  });
+});